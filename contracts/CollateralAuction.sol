@@ -0,0 +1,269 @@
+pragma solidity ^0.8.0;
+
+// Subset of ERC-20 / ERC-721 used to pay for and hand over auctioned collateral
+interface IAuctionToken {
+    function transferFrom(address from, address to, uint256 amountOrId) external returns (bool);
+    function transfer(address to, uint256 amount) external returns (bool);
+}
+
+// Used to tell pledged NFTs from ERC-20s (see CollateralRegistry.sol)
+interface IAuctionRegistry {
+    function assets(address asset) external view returns (bool isSupported, bool isNft, address priceFeed, uint256 collateralFactorBp, uint8 decimals);
+}
+
+interface IAuctionPlatform {
+    function collateralRegistry() external view returns (IAuctionRegistry);
+}
+
+// Descending-price (Dutch) auction of the collateral of expired loans.
+// The platform hands over the lot (ETH stake plus any pledged asset) together with the amount owed.
+// The price starts above the lot value and drops one step at a time; the first bidder pays it in the loan currency.
+// Proceeds go to the lender up to the amount owed plus penalty, then the liquidator's bonus, and the rest to the borrower.
+// Proceeds, refunds and the ETH stake are credited here and withdrawn by each account, so no recipient can block a sale.
+contract CollateralAuction {
+    struct Auction {
+        uint256 loanId;
+        address lender;
+        address borrower;
+        address liquidator; // caller of liquidateExpiredLoan, receives the bonus
+        address loanToken; // payment currency (zero for ETH)
+        uint256 stake; // ETH in the lot
+        address collateralAsset; // pledged asset in the lot (zero if none)
+        uint256 collateralAmount;
+        uint256 owed; // amount owed plus overdue penalty, in the loan currency
+        uint256 bonusBp; // liquidator bonus, share of the sale price
+        uint256 startPrice;
+        uint256 startTime;
+        address buyer; // zero while the auction is open
+        uint256 salePrice;
+    }
+
+    IAuctionPlatform public immutable platform;
+    address public owner;
+
+    uint256 public stepSeconds = 10 minutes; // the price drops once per step
+    uint256 public auctionDuration = 6 hours; // after this the auction must be reset
+    uint256 public startPremiumBp = 12000; // start price as a share of the larger of lot value and amount owed
+    uint256 public resetPriceBp = 8000; // start price after a reset, as a share of the previous one
+
+    Auction[] public auctions;
+    mapping(uint256 => uint256) public auctionIdOfLoan; // auction id + 1 (0 = never auctioned)
+    mapping(uint256 => uint256) public stepsLogged; // price steps of the current run already emitted as AuctionStep
+    mapping(address => mapping(address => uint256)) public credits; // currency (zero = ETH) => account => amount
+
+    uint256 private _reentrancyStatus = 1;
+
+    event AuctionStarted(uint256 indexed auctionId, uint256 indexed loanId, address indexed liquidator, uint256 owed, uint256 startPrice);
+    event AuctionReset(uint256 indexed auctionId, uint256 startPrice);
+    event AuctionStep(uint256 indexed auctionId, uint256 step, uint256 price);
+    event AuctionBid(uint256 indexed auctionId, address indexed buyer, uint256 price);
+    event AuctionSettled(uint256 indexed auctionId, uint256 toLender, uint256 bonus, uint256 toBorrower);
+    event AuctionParamsUpdated(uint256 stepSeconds, uint256 auctionDuration, uint256 startPremiumBp, uint256 resetPriceBp);
+    event CreditWithdrawn(address indexed token, address indexed account, uint256 amount);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+
+    constructor(address _platform) {
+        require(_platform != address(0), "zero address");
+        platform = IAuctionPlatform(_platform);
+        owner = msg.sender;
+        emit OwnershipTransferred(address(0), msg.sender);
+    }
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "not owner");
+        _;
+    }
+
+    modifier nonReentrant() {
+        require(_reentrancyStatus == 1, "ReentrancyGuard: reentrant call");
+        _reentrancyStatus = 2;
+        _;
+        _reentrancyStatus = 1;
+    }
+
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "zero address");
+        address prev = owner;
+        owner = newOwner;
+        emit OwnershipTransferred(prev, newOwner);
+    }
+
+    function setParams(
+        uint256 _stepSeconds,
+        uint256 _auctionDuration,
+        uint256 _startPremiumBp,
+        uint256 _resetPriceBp
+    ) external onlyOwner {
+        require(_stepSeconds > 0 && _auctionDuration >= _stepSeconds, "invalid duration");
+        require(_startPremiumBp >= 10000 && _startPremiumBp <= 50000, "invalid premium");
+        require(_resetPriceBp > 0 && _resetPriceBp < 10000, "invalid reset price");
+        stepSeconds = _stepSeconds;
+        auctionDuration = _auctionDuration;
+        startPremiumBp = _startPremiumBp;
+        resetPriceBp = _resetPriceBp;
+        emit AuctionParamsUpdated(_stepSeconds, _auctionDuration, _startPremiumBp, _resetPriceBp);
+    }
+
+    // Platform: open an auction for a lot it has just transferred here (the ETH stake comes with the call)
+    function startAuction(
+        uint256 _loanId,
+        address _lender,
+        address _borrower,
+        address _liquidator,
+        address _loanToken,
+        address _collateralAsset,
+        uint256 _collateralAmount,
+        uint256 _owed,
+        uint256 _lotValue,
+        uint256 _bonusBp
+    ) external payable returns (uint256 auctionId) {
+        require(msg.sender == address(platform), "not platform");
+
+        auctionId = auctions.length;
+        Auction storage auction = auctions.push();
+        auction.loanId = _loanId;
+        auction.lender = _lender;
+        auction.borrower = _borrower;
+        auction.liquidator = _liquidator;
+        auction.loanToken = _loanToken;
+        auction.stake = msg.value;
+        auction.collateralAsset = _collateralAsset;
+        auction.collateralAmount = _collateralAmount;
+        auction.owed = _owed;
+        auction.bonusBp = _bonusBp;
+        auction.startPrice = ((_lotValue > _owed ? _lotValue : _owed) * startPremiumBp) / 10000;
+        auction.startTime = block.timestamp;
+        auctionIdOfLoan[_loanId] = auctionId + 1;
+
+        emit AuctionStarted(auctionId, _loanId, _liquidator, _owed, auction.startPrice);
+        _logSteps(auctionId);
+    }
+
+    // Restart an auction that ran its full duration without a bid, from a lower start price
+    function resetAuction(uint256 _auctionId) external {
+        Auction storage auction = auctions[_auctionId];
+        require(auction.buyer == address(0), "Auction closed");
+        require(block.timestamp >= auction.startTime + auctionDuration, "Auction still running");
+        auction.startTime = block.timestamp;
+        auction.startPrice = (auction.startPrice * resetPriceBp) / 10000;
+        stepsLogged[_auctionId] = 0;
+        emit AuctionReset(_auctionId, auction.startPrice);
+        _logSteps(_auctionId);
+    }
+
+    // Anyone: emit AuctionStep for the price steps reached since the last call (bids do it too)
+    function logSteps(uint256 _auctionId) external {
+        Auction storage auction = auctions[_auctionId];
+        require(auction.buyer == address(0), "Auction closed");
+        require(block.timestamp < auction.startTime + auctionDuration, "Auction expired");
+        _logSteps(_auctionId);
+    }
+
+    // Buy the lot at the current price (ETH sent with the call, or tokens approved to this contract)
+    function bid(uint256 _auctionId) external payable nonReentrant {
+        Auction storage auction = auctions[_auctionId];
+        require(auction.buyer == address(0), "Auction closed");
+        require(block.timestamp < auction.startTime + auctionDuration, "Auction expired");
+
+        _logSteps(_auctionId);
+        uint256 price = currentPrice(_auctionId);
+        auction.buyer = msg.sender;
+        auction.salePrice = price;
+        emit AuctionBid(_auctionId, msg.sender, price);
+
+        // Waterfall: lender, then liquidator bonus, then borrower
+        uint256 toLender = price < auction.owed ? price : auction.owed;
+        uint256 bonus = (price * auction.bonusBp) / 10000;
+        if (bonus > price - toLender) {
+            bonus = price - toLender;
+        }
+        uint256 toBorrower = price - toLender - bonus;
+
+        // The buyer's ETH change is credited along with the stake of the lot
+        uint256 toBuyer = auction.stake;
+        if (auction.loanToken == address(0)) {
+            require(msg.value >= price, "Insufficient bid");
+            toBuyer += msg.value - price;
+        } else {
+            require(msg.value == 0, "ETH not accepted");
+            _call(auction.loanToken, abi.encodeWithSelector(IAuctionToken.transferFrom.selector, msg.sender, address(this), price));
+        }
+        credits[auction.loanToken][auction.lender] += toLender;
+        credits[auction.loanToken][auction.liquidator] += bonus;
+        credits[auction.loanToken][auction.borrower] += toBorrower;
+        credits[address(0)][msg.sender] += toBuyer;
+        emit AuctionSettled(_auctionId, toLender, bonus, toBorrower);
+
+        // Hand the pledged asset to the buyer
+        if (auction.collateralAsset != address(0)) {
+            (, bool isNft, , , ) = platform.collateralRegistry().assets(auction.collateralAsset);
+            bytes memory data = isNft
+                ? abi.encodeWithSelector(IAuctionToken.transferFrom.selector, address(this), msg.sender, auction.collateralAmount)
+                : abi.encodeWithSelector(IAuctionToken.transfer.selector, msg.sender, auction.collateralAmount);
+            _call(auction.collateralAsset, data);
+        }
+    }
+
+    // Withdraw the caller's credit in a currency (zero = ETH)
+    function withdraw(address _token) external nonReentrant {
+        uint256 amount = credits[_token][msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+        credits[_token][msg.sender] = 0;
+        emit CreditWithdrawn(_token, msg.sender, amount);
+        if (_token == address(0)) {
+            (bool sent, ) = payable(msg.sender).call{value: amount}("");
+            require(sent, "ETH transfer failed");
+        } else {
+            _call(_token, abi.encodeWithSelector(IAuctionToken.transfer.selector, msg.sender, amount));
+        }
+    }
+
+    // View: price of the lot now; drops by an equal share of the start price at every step
+    function currentPrice(uint256 _auctionId) public view returns (uint256) {
+        (uint256 step, uint256 totalSteps) = _currentStep(auctions[_auctionId]);
+        return _stepPrice(auctions[_auctionId], step, totalSteps);
+    }
+
+    // View: 0 = running, 1 = expired without a bid (needs reset), 2 = sold
+    function auctionStatus(uint256 _auctionId) external view returns (uint8) {
+        Auction storage auction = auctions[_auctionId];
+        if (auction.buyer != address(0)) return 2;
+        if (block.timestamp >= auction.startTime + auctionDuration) return 1;
+        return 0;
+    }
+
+    function auctionCount() external view returns (uint256) {
+        return auctions.length;
+    }
+
+    // Emits AuctionStep for each step from the first one not yet logged up to the current one
+    function _logSteps(uint256 _auctionId) internal {
+        Auction storage auction = auctions[_auctionId];
+        (uint256 step, uint256 totalSteps) = _currentStep(auction);
+        for (uint256 i = stepsLogged[_auctionId]; i <= step; i++) {
+            emit AuctionStep(_auctionId, i, _stepPrice(auction, i, totalSteps));
+        }
+        if (stepsLogged[_auctionId] <= step) {
+            stepsLogged[_auctionId] = step + 1;
+        }
+    }
+
+    // Step of the price curve reached now (the last one once the auction ran out) and the number of steps
+    function _currentStep(Auction storage _auction) internal view returns (uint256 step, uint256 totalSteps) {
+        totalSteps = auctionDuration / stepSeconds;
+        step = (block.timestamp - _auction.startTime) / stepSeconds;
+        if (step >= totalSteps) {
+            step = totalSteps - 1;
+        }
+    }
+
+    function _stepPrice(Auction storage _auction, uint256 _step, uint256 _totalSteps) internal view returns (uint256) {
+        return _auction.startPrice - (_auction.startPrice * _step) / _totalSteps;
+    }
+
+    // Reverts unless the token call succeeded and returned true (or nothing, e.g. ERC-721)
+    function _call(address _token, bytes memory _data) internal {
+        (bool success, bytes memory data) = _token.call(_data);
+        require(success && (data.length == 0 || abi.decode(data, (bool))), "Token transfer failed");
+    }
+}
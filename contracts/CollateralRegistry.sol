@@ -0,0 +1,175 @@
+pragma solidity ^0.8.0;
+
+import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+
+// Subset of ERC-20 / ERC-721 used to escrow collateral (transferFrom has the same selector in both)
+interface ICollateralToken {
+    function transferFrom(address from, address to, uint256 amountOrId) external returns (bool);
+    function transfer(address to, uint256 amount) external returns (bool);
+    function decimals() external view returns (uint8);
+}
+
+// Whitelist and escrow for non-ETH collateral (ERC-20 tokens and ERC-721 deeds).
+// Each asset has its own USD price feed and a collateral factor; only the lending platform moves escrowed assets.
+contract CollateralRegistry {
+    struct CollateralAsset {
+        bool isSupported;
+        bool isNft; // ERC-721: amountOrId is a token id and the feed prices one token
+        AggregatorV3Interface priceFeed; // USD price per whole token
+        uint256 collateralFactorBp; // share of the market value counted as collateral
+        uint8 decimals; // ERC-20 decimals (0 for NFTs)
+    }
+
+    mapping(address => CollateralAsset) public assets;
+    address[] private assetList;
+
+    address public owner;
+    address public platform;
+    uint256 public maxPriceStalenessSeconds = 1 hours;
+
+    event AssetConfigured(address indexed asset, bool isNft, address priceFeed, uint256 collateralFactorBp);
+    event AssetRemoved(address indexed asset);
+    event PlatformUpdated(address indexed platform);
+    event CollateralLocked(address indexed asset, address indexed from, uint256 amountOrId);
+    event CollateralReleased(address indexed asset, address indexed to, uint256 amountOrId);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+
+    constructor() {
+        owner = msg.sender;
+        emit OwnershipTransferred(address(0), msg.sender);
+    }
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "not owner");
+        _;
+    }
+
+    modifier onlyPlatform() {
+        require(msg.sender == platform, "not platform");
+        _;
+    }
+
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "zero address");
+        address prev = owner;
+        owner = newOwner;
+        emit OwnershipTransferred(prev, newOwner);
+    }
+
+    function setPlatform(address _platform) external onlyOwner {
+        require(_platform != address(0), "zero address");
+        platform = _platform;
+        emit PlatformUpdated(_platform);
+    }
+
+    function setMaxPriceStaleness(uint256 _seconds) external onlyOwner {
+        maxPriceStalenessSeconds = _seconds;
+    }
+
+    // Whitelist (or reconfigure) an asset; ERC-20 decimals are cached for pricing
+    function setAsset(address _asset, bool _isNft, address _priceFeed, uint256 _collateralFactorBp) external onlyOwner {
+        require(_asset != address(0) && _priceFeed != address(0), "zero address");
+        require(_collateralFactorBp > 0 && _collateralFactorBp <= 10000, "invalid collateral factor");
+
+        CollateralAsset storage info = assets[_asset];
+        if (!info.isSupported) {
+            assetList.push(_asset);
+        }
+        info.isSupported = true;
+        info.isNft = _isNft;
+        info.priceFeed = AggregatorV3Interface(_priceFeed);
+        info.collateralFactorBp = _collateralFactorBp;
+        info.decimals = _isNft ? 0 : ICollateralToken(_asset).decimals();
+
+        emit AssetConfigured(_asset, _isNft, _priceFeed, _collateralFactorBp);
+    }
+
+    // New pledges are rejected; collateral already escrowed can still be released
+    function removeAsset(address _asset) external onlyOwner {
+        require(assets[_asset].isSupported, "asset not supported");
+        assets[_asset].isSupported = false;
+        emit AssetRemoved(_asset);
+    }
+
+    function getAssets() external view returns (address[] memory) {
+        return assetList;
+    }
+
+    // Pull collateral from the borrower, who has approved this registry
+    function lockCollateral(address _asset, address _from, uint256 _amountOrId) external onlyPlatform {
+        CollateralAsset storage info = assets[_asset];
+        require(info.isSupported, "asset not supported");
+        require(info.isNft || _amountOrId > 0, "invalid collateral amount");
+
+        _call(_asset, abi.encodeWithSelector(ICollateralToken.transferFrom.selector, _from, address(this), _amountOrId));
+        emit CollateralLocked(_asset, _from, _amountOrId);
+    }
+
+    function releaseCollateral(address _asset, address _to, uint256 _amountOrId) external onlyPlatform {
+        _release(_asset, _to, _amountOrId);
+    }
+
+    function _release(address _asset, address _to, uint256 _amountOrId) internal {
+        if (assets[_asset].isNft) {
+            _call(_asset, abi.encodeWithSelector(ICollateralToken.transferFrom.selector, address(this), _to, _amountOrId));
+        } else {
+            _call(_asset, abi.encodeWithSelector(ICollateralToken.transfer.selector, _to, _amountOrId));
+        }
+        emit CollateralReleased(_asset, _to, _amountOrId);
+    }
+
+    // Split escrowed collateral on liquidation: the lender receives enough to cover the shortfall
+    // at market price (all of it for an NFT), the borrower gets the rest. Returns the amount seized.
+    function settleCollateral(
+        address _asset,
+        uint256 _amountOrId,
+        uint256 _shortfallUsd,
+        address _lender,
+        address _borrower
+    ) external onlyPlatform returns (uint256 seized) {
+        if (_shortfallUsd == 0) {
+            _release(_asset, _borrower, _amountOrId);
+            return 0;
+        }
+        if (assets[_asset].isNft) {
+            _release(_asset, _lender, _amountOrId);
+            return _amountOrId;
+        }
+        uint256 marketUsd = marketValueUsd(_asset, _amountOrId);
+        seized = marketUsd <= _shortfallUsd ? _amountOrId : (_amountOrId * _shortfallUsd) / marketUsd;
+        _release(_asset, _lender, seized);
+        if (_amountOrId > seized) {
+            _release(_asset, _borrower, _amountOrId - seized);
+        }
+    }
+
+    // 1e18-scaled USD market value of a pledge
+    function marketValueUsd(address _asset, uint256 _amountOrId) public view returns (uint256) {
+        CollateralAsset storage info = assets[_asset];
+        uint256 price = _getPrice(info.priceFeed);
+        if (info.isNft) {
+            return price;
+        }
+        return (_amountOrId * price) / (10 ** info.decimals);
+    }
+
+    // 1e18-scaled USD value counted towards the collateral requirement (market value times collateral factor)
+    function collateralValueUsd(address _asset, uint256 _amountOrId) external view returns (uint256) {
+        return (marketValueUsd(_asset, _amountOrId) * assets[_asset].collateralFactorBp) / 10000;
+    }
+
+    function _getPrice(AggregatorV3Interface _feed) internal view returns (uint256) {
+        require(address(_feed) != address(0), "asset not supported");
+        (, int256 answer, , uint256 updatedAt, ) = _feed.latestRoundData();
+        require(answer > 0, "Invalid collateral price");
+        require(block.timestamp - updatedAt <= maxPriceStalenessSeconds, "Stale collateral price");
+        // scale to 1e18
+        return (uint256(answer) * 1e18) / (10 ** _feed.decimals());
+    }
+
+    // Reverts unless the token call succeeded and returned true (or nothing, e.g. ERC-721)
+    function _call(address _asset, bytes memory _data) internal {
+        (bool success, bytes memory data) = _asset.call(_data);
+        require(success && (data.length == 0 || abi.decode(data, (bool))), "Collateral transfer failed");
+    }
+}
@@ -0,0 +1,118 @@
+pragma solidity ^0.8.0;
+
+import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+
+// ETH/USD price with a fallback feed, usable as LendingPlatform's ethUsdFeed.
+// Answers from the primary feed while it is fresh and positive, otherwise from the secondary one.
+// When both are usable they must agree within maxDeviationBp. Answers are normalized to 8 decimals.
+contract FallbackPriceFeed is AggregatorV3Interface {
+    uint8 public constant override decimals = 8;
+    uint256 public constant override version = 1;
+    string public constant override description = "ETH / USD (primary with fallback)";
+
+    address public owner;
+    AggregatorV3Interface public primaryFeed;
+    AggregatorV3Interface public fallbackFeed; // optional
+    uint256 public maxStalenessSeconds = 1 hours; // older answers are skipped (keep in line with the platform's window)
+    uint256 public maxDeviationBp = 500; // 5% max disagreement between the two feeds
+
+    event FeedsUpdated(address indexed primaryFeed, address indexed fallbackFeed);
+    event ParamsUpdated(uint256 maxStalenessSeconds, uint256 maxDeviationBp);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+
+    constructor(address _primaryFeed, address _fallbackFeed) {
+        owner = msg.sender;
+        emit OwnershipTransferred(address(0), msg.sender);
+        _setFeeds(_primaryFeed, _fallbackFeed);
+    }
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "not owner");
+        _;
+    }
+
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "zero address");
+        address prev = owner;
+        owner = newOwner;
+        emit OwnershipTransferred(prev, newOwner);
+    }
+
+    // Zero fallback disables the fallback
+    function setFeeds(address _primaryFeed, address _fallbackFeed) external onlyOwner {
+        _setFeeds(_primaryFeed, _fallbackFeed);
+    }
+
+    function setParams(uint256 _maxStalenessSeconds, uint256 _maxDeviationBp) external onlyOwner {
+        require(_maxStalenessSeconds > 0, "invalid staleness");
+        require(_maxDeviationBp > 0 && _maxDeviationBp <= 5000, "invalid deviation");
+        maxStalenessSeconds = _maxStalenessSeconds;
+        maxDeviationBp = _maxDeviationBp;
+        emit ParamsUpdated(_maxStalenessSeconds, _maxDeviationBp);
+    }
+
+    function latestRoundData()
+        external
+        view
+        override
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)
+    {
+        (bool primaryOk, uint80 primaryRound, int256 primaryAnswer, uint256 primaryUpdatedAt) = _read(primaryFeed);
+        (bool fallbackOk, uint80 fallbackRound, int256 fallbackAnswer, uint256 fallbackUpdatedAt) = _read(fallbackFeed);
+        require(primaryOk || fallbackOk, "No valid ETH/USD price");
+
+        if (primaryOk && fallbackOk) {
+            int256 diff = primaryAnswer > fallbackAnswer ? primaryAnswer - fallbackAnswer : fallbackAnswer - primaryAnswer;
+            require(uint256(diff) * 10000 <= uint256(primaryAnswer) * maxDeviationBp, "ETH/USD feeds deviate");
+        }
+        if (primaryOk) {
+            return (primaryRound, primaryAnswer, primaryUpdatedAt, primaryUpdatedAt, primaryRound);
+        }
+        return (fallbackRound, fallbackAnswer, fallbackUpdatedAt, fallbackUpdatedAt, fallbackRound);
+    }
+
+    // Historical rounds come from the primary feed only
+    function getRoundData(uint80 _roundId)
+        external
+        view
+        override
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)
+    {
+        (roundId, answer, startedAt, updatedAt, answeredInRound) = primaryFeed.getRoundData(_roundId);
+        answer = _scale(answer, primaryFeed.decimals());
+    }
+
+    // Usable answer of a feed (fresh, positive, not reverting), scaled to 8 decimals
+    function _read(AggregatorV3Interface _feed) internal view returns (bool ok, uint80 roundId, int256 answer, uint256 updatedAt) {
+        if (address(_feed) == address(0)) {
+            return (false, 0, 0, 0);
+        }
+        try _feed.latestRoundData() returns (uint80 r, int256 a, uint256, uint256 u, uint80) {
+            if (a <= 0 || u == 0 || u + maxStalenessSeconds < block.timestamp) {
+                return (false, 0, 0, 0);
+            }
+            try _feed.decimals() returns (uint8 d) {
+                return (true, r, _scale(a, d), u);
+            } catch {
+                return (false, 0, 0, 0);
+            }
+        } catch {
+            return (false, 0, 0, 0);
+        }
+    }
+
+    function _scale(int256 _answer, uint8 _decimals) internal pure returns (int256) {
+        if (_decimals > decimals) {
+            return _answer / int256(10 ** (_decimals - decimals));
+        }
+        return _answer * int256(10 ** (decimals - _decimals));
+    }
+
+    function _setFeeds(address _primaryFeed, address _fallbackFeed) internal {
+        require(_primaryFeed != address(0), "zero address");
+        require(_primaryFeed != _fallbackFeed, "same feed");
+        primaryFeed = AggregatorV3Interface(_primaryFeed);
+        fallbackFeed = AggregatorV3Interface(_fallbackFeed);
+        emit FeedsUpdated(_primaryFeed, _fallbackFeed);
+    }
+}
@@ -4,9 +4,41 @@ import "./LoanTypes.sol";
 import "./LoanStorage.sol";
 import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
 
-// Mock real estate oracle
-interface IRealEstateOracle {
-    function latestIndex() external view returns (int256, uint8);
+// Subset of ERC-20 used for stablecoin loans
+interface IERC20Minimal {
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+    function transfer(address to, uint256 amount) external returns (bool);
+    function decimals() external view returns (uint8);
+}
+
+// Escrow and pricing for ERC-20/ERC-721 collateral (see CollateralRegistry.sol)
+interface ICollateralRegistry {
+    function lockCollateral(address asset, address from, uint256 amountOrId) external;
+    function releaseCollateral(address asset, address to, uint256 amountOrId) external;
+    function settleCollateral(address asset, uint256 amountOrId, uint256 shortfallUsd, address lender, address borrower) external returns (uint256);
+    function collateralValueUsd(address asset, uint256 amountOrId) external view returns (uint256);
+}
+
+// Dutch auction of expired collateral (see CollateralAuction.sol)
+interface ICollateralAuction {
+    function startAuction(
+        uint256 loanId,
+        address lender,
+        address borrower,
+        address liquidator,
+        address loanToken,
+        address collateralAsset,
+        uint256 collateralAmount,
+        uint256 owed,
+        uint256 lotValue,
+        uint256 bonusBp
+    ) external payable returns (uint256);
+}
+
+// Tokenized property deeds (see PropertyDeed.sol)
+interface IPropertyDeed {
+    function propertyIdCommitment(uint256 tokenId) external view returns (bytes32);
+    function propertyUnits(uint256 tokenId) external view returns (uint256);
 }
 
 contract LendingPlatform is LoanStorage {
@@ -17,22 +49,59 @@ contract LendingPlatform is LoanStorage {
     uint256 private constant _ENTERED = 1;
     uint256 private constant _NOT_ENTERED = 2;
 
-    // Chainlink ETH/USD oracle feed (8 decimals)
+    // Chainlink ETH/USD oracle feed (8 decimals), or a FallbackPriceFeed wrapping two of them
     AggregatorV3Interface public ethUsdFeed;
     // Demo fixed price used if oracle unset
     uint256 public demoFixedEthUsdPrice = 2000 * 1e18;
 
     address public realEstateOracle;
 
+    // Whitelisted non-ETH collateral, escrowed outside this contract
+    ICollateralRegistry public collateralRegistry;
+    // Deeds pledged as collateral must match the request's propertyIdCommitment
+    address public propertyDeed;
+    // When set, expired loans are liquidated through a Dutch auction instead of the fixed bonus split
+    ICollateralAuction public collateralAuction;
+    // Counter-offers and liquidity offers (see LoanOffers.sol); the only caller of openOfferLoan and createOfferRequest
+    address public loanOffers;
+    // Serves the full-scan views below (see LoanLens.sol)
+    address public loanLens;
+
+    // Stablecoins accepted as loan currency, valued at 1 USD per token
+    mapping(address => bool) public isLoanTokenSupported;
+    mapping(address => uint8) public loanTokenDecimals;
+
     // Owner and pause
     address public owner;
     bool public paused;
+    // Roles, all held by the deployer until handed over with setRoles.
+    // Risk and oracle changes are meant to go through a ParameterTimelock holding those roles, and owner changes
+    // (roles included) through the same timelock as owner; only the pauser is meant to act at once.
+    address public pauser; // pause, unpause and the price circuit breaker
+    address public riskAdmin; // penalties, bonus, ratios, grace period, fees, real-estate bounds
+    address public oracleAdmin; // ETH/USD feed, demo price and real-estate oracle
+    // Halts only the actions that need the ETH/USD price (e.g. during an oracle incident)
+    bool public priceCircuitBreaker;
 
     // Configurable parameters
     // Interest as percent (0..7) but penalties and bonuses use basis points (bp)
-    uint256 public overdueRepayPenaltyBp = 300; // 3% penalty applied to total USD due when repaid after expiry
+    uint256 public overdueRepayPenaltyBp = 300; // 3% penalty on the total USD due per started day of late repayment (see overduePenaltyBp)
     uint256 public liquidationBonusBp = 300; // 3% of collateral awarded to lender
     uint256 public maxPriceStalenessSeconds = 1 hours; // max allowed staleness of oracle price
+    uint256 public gracePeriodSeconds = 3 days; // after endTime only late repayment is allowed, liquidation waits
+    uint256 public minCollateralRatioBp = 20000; // collateral posted must be at least 200% of the loan amount
+    uint256 public liquidationThresholdBp = 12000; // loans whose collateral covers less than 120% of the debt can be liquidated
+    // Protocol fees, kept by the contract per currency (zero address = ETH) until the treasury withdraws them
+    uint256 public originationFeeBp; // share of the principal withheld from the borrower at funding
+    uint256 public interestFeeBp; // share of the interest repaid withheld from the lender
+    address public treasury;
+    mapping(address => uint256) public feeBalance;
+    // ETH owed to accounts (surplus collateral of price liquidations), claimed with withdrawCredit
+    mapping(address => uint256) public ethCredit;
+    // Real-estate index used to value pledged property units (USD per unit, 1e18-scaled bounds)
+    uint256 public maxRealEstateStalenessSeconds = 30 days;
+    uint256 public minRealEstateUnitUsd = 1e18;
+    uint256 public maxRealEstateUnitUsd = 10_000_000 * 1e18;
 
     modifier nonReentrant() {
         require(_reentrancyStatus != _ENTERED, "ReentrancyGuard: reentrant call");
@@ -46,6 +115,21 @@ contract LendingPlatform is LoanStorage {
         _;
     }
 
+    modifier onlyPauser() {
+        require(msg.sender == pauser, "Only pauser");
+        _;
+    }
+
+    modifier onlyRiskAdmin() {
+        require(msg.sender == riskAdmin, "Only risk admin");
+        _;
+    }
+
+    modifier onlyOracleAdmin() {
+        require(msg.sender == oracleAdmin, "Only oracle admin");
+        _;
+    }
+
     modifier whenNotPaused() {
         require(!paused, "Paused");
         _;
@@ -58,6 +142,10 @@ contract LendingPlatform is LoanStorage {
             ethUsdFeed = AggregatorV3Interface(_ethUsdFeed);
         }
         owner = msg.sender;
+        pauser = msg.sender;
+        riskAdmin = msg.sender;
+        oracleAdmin = msg.sender;
+        treasury = msg.sender;
         paused = false;
     }
 
@@ -70,6 +158,12 @@ contract LendingPlatform is LoanStorage {
         uint256 stake
     );
 
+    event LoanRequestCancelled(
+        uint256 indexed requestId,
+        address indexed borrower,
+        uint256 stakeReturned
+    );
+
     event LoanFunded(
         uint256 indexed loanId,
         uint256 indexed requestId,
@@ -84,18 +178,88 @@ contract LendingPlatform is LoanStorage {
         uint256 repayAmount
     );
 
+    event LoanPayment(
+        uint256 indexed loanId,
+        address indexed borrower,
+        uint256 amount, // in the loan currency (wei or token units)
+        uint256 interestPaidUsd,
+        uint256 principalPaidUsd,
+        uint256 principalOutstandingUsd,
+        uint256 penaltyBp // overdue penalty included in amount, 0 if paid on time
+    );
+
+    event CollateralAdded(
+        uint256 indexed loanId,
+        address indexed borrower,
+        uint256 amount,
+        uint256 newStake
+    );
+
+    event CollateralWithdrawn(
+        uint256 indexed loanId,
+        address indexed borrower,
+        uint256 amount,
+        uint256 newStake
+    );
+
+    event LoanExtensionProposed(
+        uint256 indexed loanId,
+        address indexed borrower,
+        uint256 newEndTime,
+        uint256 newInterestRate,
+        bool capitalizeInterest,
+        uint256 settlementEscrow
+    );
+
+    event LoanExtensionCancelled(uint256 indexed loanId);
+
+    event LoanExtended(
+        uint256 indexed loanId,
+        address indexed lender,
+        uint256 newEndTime,
+        uint256 newInterestRate,
+        uint256 interestSettledEth,
+        uint256 interestCapitalizedUsd
+    );
+
     event LoanLiquidated(
         uint256 indexed loanId,
         address indexed lender,
-        uint256 collateralTransferred
+        uint256 collateralTransferred // ETH stake paid to the lender
+    );
+
+    event LoanLiquidatedUndercollateralized(
+        uint256 indexed loanId,
+        address indexed liquidator,
+        uint256 healthFactorBp,
+        uint256 returnedToBorrower
     );
 
     event OwnerUpdated(address indexed oldOwner, address indexed newOwner);
+    event RolesUpdated(address indexed pauser, address indexed riskAdmin, address indexed oracleAdmin);
     event Paused(address indexed by);
     event Unpaused(address indexed by);
+    event PriceCircuitBreakerUpdated(bool tripped);
     event ParamsUpdated(uint256 overdueRepayPenaltyBp, uint256 liquidationBonusBp, uint256 maxPriceStalenessSeconds);
+    event GracePeriodUpdated(uint256 gracePeriodSeconds);
+    event FeesUpdated(uint256 originationFeeBp, uint256 interestFeeBp);
+    event TreasuryUpdated(address indexed newTreasury);
+    event FeeCharged(uint256 indexed loanId, address indexed token, uint256 amount);
+    event FeesWithdrawn(address indexed token, address indexed to, uint256 amount);
+    event CreditWithdrawn(address indexed account, uint256 amount);
+    event LiquidationThresholdUpdated(uint256 liquidationThresholdBp);
+    event CollateralRatioUpdated(uint256 minCollateralRatioBp);
+    event LoanTokenUpdated(address indexed token, bool supported);
     event OracleUpdated(address indexed newFeed);
+    event DemoPriceUpdated(uint256 price); // USD per ETH, 1e18-scaled
     event RealEstateOracleUpdated(address indexed newOracle);
+    event CollateralRegistryUpdated(address indexed newRegistry);
+    event PropertyDeedUpdated(address indexed newDeed);
+    event CollateralAuctionUpdated(address indexed newAuction);
+    event LoanOffersUpdated(address indexed newOffers);
+    event LoanLensUpdated(address indexed newLens);
+    event LoanAuctioned(uint256 indexed loanId, uint256 indexed auctionId, uint256 owed);
+    event RealEstateParamsUpdated(uint256 maxStalenessSeconds, uint256 minUnitUsd, uint256 maxUnitUsd);
 
     function createLoanRequest(
         uint256 _loanAmount,
@@ -105,17 +269,34 @@ contract LendingPlatform is LoanStorage {
         string calldata _encryptedCid,
         bytes32 _propertyIdCommitment,
         string calldata _appraisalEncryptedCid,
-        uint256 _propertyUnits
-    ) external payable whenNotPaused {
+        uint256 _propertyUnits,
+        uint256 _installmentCount,
+        uint256 _fundingDeadline,
+        address _loanToken,
+        address _collateralAsset,
+        uint256 _collateralAmount
+    ) external payable nonReentrant whenNotPaused {
         require(_loanAmount > 0, "Loan amount must be greater than 0");
-        require(_durationInDays > 0, "Duration must be greater than 0");
-        // Collateral must be exactly 2x the loan amount
-        require(msg.value == _loanAmount * 2, "Collateral must be exactly 2x loan amount");
-        require(
-            _interestRate <= MAX_INTEREST_RATE,
-            "Interest rate exceeds maximum allowed (7%)"
-        );
-        require(_interestRate > 0, "Interest rate must be greater than 0");
+        _checkTerms(_durationInDays, _interestRate, _installmentCount);
+        // Collateral (ETH stake plus any pledged asset at its collateral factor) must cover at least the minimum ratio
+        uint256 collateralEth = _collateralValueEth(msg.value, _collateralAsset, _collateralAmount, _propertyUnits);
+        if (_loanToken == address(0)) {
+            require(collateralEth * 10000 >= _loanAmount * minCollateralRatioBp, "Insufficient collateral");
+        } else {
+            require(isLoanTokenSupported[_loanToken], "Loan token not supported");
+            uint256 collateralUsd = (collateralEth * _getEthUsdPrice()) / 1e18;
+            require(collateralUsd * 10000 >= _tokenToUsd(_loanToken, _loanAmount) * minCollateralRatioBp, "Insufficient collateral");
+        }
+        // Zero deadline means the request stays fundable until cancelled
+        require(_fundingDeadline == 0 || _fundingDeadline > block.timestamp, "Funding deadline in the past");
+        // A pledged deed binds the request to that property and caps the units it can declare
+        if (_collateralAsset != address(0) && _collateralAsset == propertyDeed) {
+            require(
+                IPropertyDeed(propertyDeed).propertyIdCommitment(_collateralAmount) == _propertyIdCommitment,
+                "Deed does not match property"
+            );
+            require(_propertyUnits <= IPropertyDeed(propertyDeed).propertyUnits(_collateralAmount), "Units exceed deed");
+        }
 
         // Creating new loan request
         uint256 requestId = getNextRequestId();
@@ -134,8 +315,38 @@ contract LendingPlatform is LoanStorage {
         request.propertyIdCommitment = _propertyIdCommitment;
         request.appraisalEncryptedCid = _appraisalEncryptedCid;
         request.propertyUnits = _propertyUnits;
+        request.installmentCount = _installmentCount == 0 ? 1 : _installmentCount;
+        request.fundingDeadline = _fundingDeadline;
+        request.loanToken = _loanToken;
+        request.collateralAsset = _collateralAsset;
+        request.collateralAmount = _collateralAsset == address(0) ? 0 : _collateralAmount;
 
+        _indexRequest(requestId, msg.sender);
         emit LoanRequested(requestId, msg.sender, _loanAmount, _durationInDays, _interestRate, msg.value);
+
+        // Interactions: escrow the pledged asset (borrower approved the registry)
+        if (_collateralAsset != address(0)) {
+            collateralRegistry.lockCollateral(_collateralAsset, msg.sender, _collateralAmount);
+        }
+    }
+
+    // Withdraw an unfunded (or expired) request and reclaim its collateral (allowed while paused)
+    function cancelLoanRequest(uint256 _requestId) external nonReentrant {
+        LoanTypes.LoanRequest storage request = loanRequests[_requestId];
+
+        require(msg.sender == request.borrower, "Only borrower can cancel");
+        require(request.isActive, "Request is not active");
+
+        // Effects
+        request.isActive = false;
+        _indexRemove(openRequestIds, openRequestSlot, _requestId);
+
+        emit LoanRequestCancelled(_requestId, request.borrower, request.stake);
+
+        // Interactions
+        (bool sentStake, ) = payable(request.borrower).call{value: request.stake}("");
+        require(sentStake, "Collateral return failed");
+        _releasePledge(request.collateralAsset, request.collateralAmount, request.borrower);
     }
 
     function fundLoanRequest(
@@ -144,37 +355,216 @@ contract LendingPlatform is LoanStorage {
         LoanTypes.LoanRequest storage request = loanRequests[_requestId];
 
         require(request.isActive, "Request is not active");
-        require(msg.value == request.loanAmount, "Must send exact loan amount");
+        require(!isRequestExpired(_requestId), "Request expired");
+        if (request.loanToken == address(0)) {
+            require(msg.value == request.loanAmount, "Must send exact loan amount");
+        } else {
+            require(msg.value == 0, "Token loans are funded in tokens");
+        }
 
-        uint256 loanId = getNextLoanId();
-        LoanTypes.ActiveLoan storage loan = activeLoans[loanId];
+        (, uint256 fee) = _openLoan(_requestId, msg.sender, request.interestRate, request.duration);
 
-        loan.borrower = request.borrower;
-        loan.lender = msg.sender;
-        loan.loanAmount = request.loanAmount;
-        loan.stake = request.stake;
-        loan.startTimestamp = block.timestamp;
-        loan.endTime = block.timestamp + (request.duration * 1 days);
-        loan.interestRate = request.interestRate; // percent (0-7)
-        loan.initialEthPrice = _getEthUsdPrice(); // 1e18-scaled USD price
-        // Carry forward demo property units so UIs can display after funding
-        loan.propertyUnits = request.propertyUnits;
+        if (request.loanToken != address(0)) {
+            // Principal moves straight from lender to borrower (requires prior approval); the fee comes here
+            _safeTransferFrom(request.loanToken, msg.sender, request.borrower, request.loanAmount - fee);
+            if (fee > 0) {
+                _safeTransferFrom(request.loanToken, msg.sender, address(this), fee);
+            }
+            return;
+        }
 
-        request.isActive = false;
+        // call-based ETH transfer
+        (bool sentBorrower, ) = payable(request.borrower).call{value: msg.value - fee}("");
+        require(sentBorrower, "Borrower transfer failed");
+    }
 
-        // Effects before interactions
-        emit LoanFunded(loanId, _requestId, msg.sender, loan.initialEthPrice);
+    // Offer book: record the request of a borrower drawing on a liquidity offer; msg.value is the stake
+    function createOfferRequest(
+        address _borrower,
+        uint256 _loanAmount,
+        uint256 _durationInDays,
+        uint256 _interestRate
+    ) external payable whenNotPaused returns (uint256 requestId) {
+        require(msg.sender == loanOffers, "Only offer book");
 
-        // index for lookups
-        borrowerToLoanIds[request.borrower].push(loanId);
-        lenderToLoanIds[msg.sender].push(loanId);
+        requestId = getNextRequestId();
+        LoanTypes.LoanRequest storage request = loanRequests[requestId];
+        request.borrower = _borrower;
+        request.loanAmount = _loanAmount;
+        request.duration = _durationInDays;
+        request.isActive = true; // filled right away through openOfferLoan
+        request.stake = msg.value;
+        request.interestRate = _interestRate;
+        request.installmentCount = 1;
+        _indexRequest(requestId, _borrower);
+        emit LoanRequested(requestId, _borrower, _loanAmount, _durationInDays, _interestRate, msg.value);
+    }
 
-        // call-based ETH transfer
-        (bool sentBorrower, ) = payable(request.borrower).call{value: msg.value}("");
+    // Offer book: open a loan for a request on the terms of an offer; msg.value is the principal the lender escrowed
+    function openOfferLoan(
+        uint256 _requestId,
+        address _lender,
+        uint256 _interestRate,
+        uint256 _durationInDays
+    ) external payable nonReentrant whenNotPaused returns (uint256 loanId) {
+        LoanTypes.LoanRequest storage request = loanRequests[_requestId];
+
+        require(msg.sender == loanOffers, "Only offer book");
+        require(request.isActive, "Request is not active");
+        require(msg.value == request.loanAmount, "Must send exact loan amount");
+        // Same bounds as createLoanRequest, whatever contract holds the offer-book slot
+        _checkTerms(_durationInDays, _interestRate, request.installmentCount);
+
+        uint256 fee;
+        (loanId, fee) = _openLoan(_requestId, _lender, _interestRate, _durationInDays);
+
+        (bool sentBorrower, ) = payable(request.borrower).call{value: msg.value - fee}("");
         require(sentBorrower, "Borrower transfer failed");
     }
 
-    // Repay loan
+    // Top up the stake of an active loan (allowed while paused, so borrowers can always defend a loan)
+    function addCollateral(uint256 _loanId) external payable nonReentrant {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
+
+        require(msg.sender == loan.borrower, "Only borrower can add collateral");
+        require(!loan.isRepaid, "Loan already repaid");
+        require(msg.value > 0, "Invalid collateral amount");
+
+        loan.stake += msg.value;
+
+        emit CollateralAdded(_loanId, msg.sender, msg.value, loan.stake);
+    }
+
+    // Withdraw stake above the minimum collateral ratio, measured against the current amount due
+    function withdrawExcessCollateral(uint256 _loanId, uint256 _amount) external nonReentrant whenNotPaused {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
+
+        require(msg.sender == loan.borrower, "Only borrower can withdraw collateral");
+        require(!loan.isRepaid, "Loan already repaid");
+        require(_amount > 0 && _amount <= loan.stake, "Invalid collateral amount");
+
+        uint256 dueEth = calculateAmountDueEth(_loanId);
+        uint256 remainingEth = _collateralValueEth(loan.stake - _amount, loan.collateralAsset, loan.collateralAmount, loan.propertyUnits);
+        require(remainingEth * 10000 >= dueEth * minCollateralRatioBp, "Withdrawal exceeds excess collateral");
+
+        // Effects
+        loan.stake -= _amount;
+
+        emit CollateralWithdrawn(_loanId, msg.sender, _amount, loan.stake);
+
+        // Interactions
+        (bool sent, ) = payable(msg.sender).call{value: _amount}("");
+        require(sent, "Collateral transfer failed");
+    }
+
+    // Propose a new end time and (optionally, 0 = unchanged) interest rate for the lender to accept.
+    // Unless interest is capitalized, msg.value is escrowed to settle the interest accrued so far.
+    function proposeLoanExtension(
+        uint256 _loanId,
+        uint256 _newEndTime,
+        uint256 _newInterestRate,
+        bool _capitalizeInterest
+    ) external payable nonReentrant whenNotPaused {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
+
+        require(msg.sender == loan.borrower, "Only borrower can propose extension");
+        require(!loan.isRepaid, "Loan already repaid");
+        require(_newEndTime > loan.endTime && _newEndTime > block.timestamp, "New end time must extend the loan");
+        require(
+            _newInterestRate <= MAX_INTEREST_RATE,
+            "Interest rate exceeds maximum allowed (7%)"
+        );
+        require(!_capitalizeInterest || msg.value == 0, "No escrow when capitalizing interest");
+        require(_capitalizeInterest || loan.loanToken == address(0), "Token loans must capitalize interest");
+
+        // Replacing a proposal refunds its escrow
+        uint256 previousEscrow = _clearExtensionProposal(_loanId);
+
+        LoanTypes.ExtensionProposal storage proposal = extensionProposals[_loanId];
+        proposal.newEndTime = _newEndTime;
+        proposal.newInterestRate = _newInterestRate == 0 ? loan.interestRate : _newInterestRate;
+        proposal.capitalizeInterest = _capitalizeInterest;
+        proposal.settlementEscrow = msg.value;
+        proposal.isActive = true;
+
+        emit LoanExtensionProposed(_loanId, msg.sender, _newEndTime, proposal.newInterestRate, _capitalizeInterest, msg.value);
+
+        if (previousEscrow > 0) {
+            (bool refunded, ) = payable(msg.sender).call{value: previousEscrow}("");
+            require(refunded, "Refund failed");
+        }
+    }
+
+    // Withdraw a pending extension proposal and its escrow
+    function cancelLoanExtension(uint256 _loanId) external nonReentrant {
+        require(msg.sender == activeLoans[_loanId].borrower, "Only borrower can cancel extension");
+        require(extensionProposals[_loanId].isActive, "No pending extension");
+
+        uint256 escrow = _clearExtensionProposal(_loanId);
+
+        emit LoanExtensionCancelled(_loanId);
+
+        if (escrow > 0) {
+            (bool refunded, ) = payable(msg.sender).call{value: escrow}("");
+            require(refunded, "Refund failed");
+        }
+    }
+
+    // Lender accepts the pending proposal: accrued interest is settled or capitalized, then the term is updated
+    function acceptLoanExtension(uint256 _loanId) external nonReentrant whenNotPaused {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
+        LoanTypes.ExtensionProposal memory proposal = extensionProposals[_loanId];
+
+        require(msg.sender == loan.lender, "Only lender can accept extension");
+        require(!loan.isRepaid, "Loan already repaid");
+        require(proposal.isActive, "No pending extension");
+
+        _clearExtensionProposal(_loanId);
+        _accrueInterest(loan);
+
+        uint256 interestSettledEth;
+        uint256 interestCapitalizedUsd;
+        if (proposal.capitalizeInterest) {
+            interestCapitalizedUsd = loan.accruedInterestUsd;
+            loan.principalOutstandingUsd += interestCapitalizedUsd;
+            scheduledPrincipalUsd[_loanId] += interestCapitalizedUsd;
+        } else {
+            interestSettledEth = (loan.accruedInterestUsd * 1e18) / _getEthUsdPrice();
+            require(proposal.settlementEscrow >= interestSettledEth, "Escrow does not cover accrued interest");
+        }
+        loan.accruedInterestUsd = 0;
+        loan.endTime = proposal.newEndTime;
+        loan.interestRate = proposal.newInterestRate;
+
+        emit LoanExtended(_loanId, msg.sender, proposal.newEndTime, proposal.newInterestRate, interestSettledEth, interestCapitalizedUsd);
+
+        if (interestSettledEth > 0) {
+            (bool sentLender, ) = payable(loan.lender).call{value: interestSettledEth}("");
+            require(sentLender, "Lender transfer failed");
+        }
+        uint256 excess = proposal.settlementEscrow - interestSettledEth;
+        if (excess > 0) {
+            (bool refunded, ) = payable(loan.borrower).call{value: excess}("");
+            require(refunded, "Refund failed");
+        }
+    }
+
+    // View: interest accrued so far, in ETH at the current price
+    function calculateInterestDueEth(uint256 _loanId) external view returns (uint256) {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
+        require(!loan.isRepaid, "Loan repaid");
+        uint256 interestUsd = loan.accruedInterestUsd + _pendingInterestUsd(loan);
+        return (interestUsd * 1e18) / _getEthUsdPrice();
+    }
+
+    // View: request past its funding deadline (stake can still be reclaimed via cancelLoanRequest)
+    function isRequestExpired(uint256 _requestId) public view returns (bool) {
+        uint256 deadline = loanRequests[_requestId].fundingDeadline;
+        return deadline != 0 && block.timestamp > deadline;
+    }
+
+    // Repay an ETH loan, fully or in part.
+    // _repayAmount is the ETH amount to pay; zero (or anything >= the amount due) settles the whole loan.
     function repayLoan(
         uint256 _loanId,
         uint256 _repayAmount
@@ -183,34 +573,107 @@ contract LendingPlatform is LoanStorage {
 
         require(msg.sender == loan.borrower, "Only borrower can repay");
         require(!loan.isRepaid, "Loan already repaid");
+        require(loan.loanToken == address(0), "Use repayTokenLoan for token loans");
         require(msg.value > 0, "Invalid repay amount");
 
         // Calculate amount due in ETH
         uint256 dueEth = calculateAmountDueEth(_loanId);
         // Overdue penalty
-        if (block.timestamp > loan.endTime) {
+        bool overdue = block.timestamp > loan.endTime;
+        if (overdue) {
             uint256 dueEthWithPenalty = _applyOverduePenaltyEth(_loanId, dueEth);
             dueEth = dueEthWithPenalty;
         }
-        require(msg.value >= dueEth, "Insufficient repayment");
+        bool fullRepayment = _repayAmount == 0 || _repayAmount >= dueEth;
+        uint256 payEth = fullRepayment ? dueEth : _repayAmount;
+        require(msg.value >= payEth, "Insufficient repayment");
 
         // Effects
-        loan.isRepaid = true;
+        uint256 paidUsd = fullRepayment ? 0 : (payEth * _getEthUsdPrice()) / 1e18;
+        uint256 feeEth = (_applyPayment(_loanId, loan, payEth, paidUsd, overdue, fullRepayment) * 1e18) / _getEthUsdPrice();
+        _chargeFee(_loanId, address(0), feeEth);
 
         // Interactions
-        (bool sentLender, ) = payable(loan.lender).call{value: dueEth}("");
+        (bool sentLender, ) = payable(loan.lender).call{value: payEth - feeEth}("");
         require(sentLender, "Lender transfer failed");
-        (bool sentBorrowerStake, ) = payable(loan.borrower).call{value: loan.stake}("");
-        require(sentBorrowerStake, "Collateral return failed");
+        if (loan.isRepaid) {
+            _returnCollateral(loan);
+        }
 
         // Refund any excess
-        uint256 excess = msg.value - dueEth;
+        uint256 excess = msg.value - payEth;
         if (excess > 0) {
             (bool refunded, ) = payable(loan.borrower).call{value: excess}("");
             require(refunded, "Refund failed");
         }
 
-        emit LoanRepaid(_loanId, loan.borrower, loan.lender, dueEth);
+        if (loan.isRepaid) {
+            emit LoanRepaid(_loanId, loan.borrower, loan.lender, payEth);
+        }
+    }
+
+    // Repay a stablecoin loan, fully or in part, in token units (requires prior approval).
+    // Zero (or anything >= the amount due) settles the whole loan and returns the ETH stake.
+    function repayTokenLoan(uint256 _loanId, uint256 _repayAmount) external nonReentrant whenNotPaused {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
+
+        require(msg.sender == loan.borrower, "Only borrower can repay");
+        require(!loan.isRepaid, "Loan already repaid");
+        require(loan.loanToken != address(0), "Not a token loan");
+
+        uint256 due = calculateAmountDue(_loanId);
+        bool overdue = block.timestamp > loan.endTime;
+        if (overdue) {
+            due = (due * (10000 + overduePenaltyBp(_loanId))) / 10000;
+        }
+        bool fullRepayment = _repayAmount == 0 || _repayAmount >= due;
+        uint256 payAmount = fullRepayment ? due : _repayAmount;
+
+        // Effects
+        uint256 feeUsd = _applyPayment(_loanId, loan, payAmount, _tokenToUsd(loan.loanToken, payAmount), overdue, fullRepayment);
+        uint256 fee = _usdToToken(loan.loanToken, feeUsd);
+        _chargeFee(_loanId, loan.loanToken, fee);
+
+        // Interactions
+        _safeTransferFrom(loan.loanToken, msg.sender, loan.lender, payAmount - fee);
+        if (fee > 0) {
+            _safeTransferFrom(loan.loanToken, msg.sender, address(this), fee);
+        }
+        if (loan.isRepaid) {
+            _returnCollateral(loan);
+            emit LoanRepaid(_loanId, loan.borrower, loan.lender, payAmount);
+        }
+    }
+
+    // View: next scheduled installment (principal share plus interest so far), in the loan currency
+    function getNextInstallment(
+        uint256 _loanId
+    ) external view returns (uint256 installmentIndex, uint256 dueTimestamp, uint256 amount) {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
+        require(!loan.isRepaid, "Loan repaid");
+
+        uint256 count = loan.installmentCount == 0 ? 1 : loan.installmentCount;
+        uint256 principalUsd = scheduledPrincipalUsd[_loanId];
+        uint256 paidUsd = principalUsd - loan.principalOutstandingUsd;
+
+        // First installment whose scheduled principal is not fully paid yet
+        installmentIndex = (paidUsd * count) / principalUsd + 1;
+        if (installmentIndex > count) {
+            installmentIndex = count;
+        }
+        uint256 scheduledRemainingUsd = principalUsd - (principalUsd * installmentIndex) / count;
+        uint256 principalDueUsd = loan.principalOutstandingUsd - scheduledRemainingUsd;
+        dueTimestamp = installmentIndex == count
+            ? loan.endTime
+            : loan.startTimestamp + ((loan.endTime - loan.startTimestamp) * installmentIndex) / count;
+
+        uint256 totalUsd = principalDueUsd + loan.accruedInterestUsd + _pendingInterestUsd(loan);
+        amount = loan.loanToken == address(0)
+            ? (totalUsd * 1e18) / _getEthUsdPrice()
+            : _usdToToken(loan.loanToken, totalUsd);
+        if (block.timestamp > loan.endTime) {
+            amount = (amount * (10000 + overduePenaltyBp(_loanId))) / 10000;
+        }
     }
 
     function checkLoanStatus(
@@ -238,14 +701,20 @@ contract LendingPlatform is LoanStorage {
         );
     }
 
-    // Liquidate expired loan
+    // Liquidate expired loan: fixed bonus split, or a Dutch auction of the collateral when an auction contract is set
     function liquidateExpiredLoan(uint256 _loanId) external nonReentrant {
         LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
 
         require(!loan.isRepaid, "Loan is already repaid");
         require(block.timestamp > loan.endTime, "Loan is not expired yet");
+        require(block.timestamp > loan.endTime + gracePeriodSeconds, "Grace period active");
 
-        loan.isRepaid = true;
+        if (address(collateralAuction) != address(0)) {
+            _auctionCollateral(_loanId, loan);
+            return;
+        }
+
+        _closeLoan(_loanId, loan);
 
         // Pay liquidator bonus and the remainder to lender from collateral
         uint256 bonus = (loan.stake * liquidationBonusBp) / 10000;
@@ -255,26 +724,293 @@ contract LendingPlatform is LoanStorage {
         require(sentBonus, "Bonus transfer failed");
         (bool sentLender, ) = payable(loan.lender).call{value: toLender}("");
         require(sentLender, "Collateral transfer failed");
+        // Any pledged asset goes to the lender as well
+        _releasePledge(loan.collateralAsset, loan.collateralAmount, loan.lender);
+
+        emit LoanLiquidated(_loanId, loan.lender, toLender);
+    }
+
+    // Liquidate a loan whose collateral no longer covers the debt by the liquidation threshold.
+    // The lender is paid what is owed, the caller gets the bonus and any surplus is credited to the borrower.
+    function liquidateUndercollateralizedLoan(uint256 _loanId) external nonReentrant {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
+
+        require(!loan.isRepaid, "Loan is already repaid");
+        uint256 healthFactorBp = getHealthFactor(_loanId);
+        require(healthFactorBp < liquidationThresholdBp, "Loan is sufficiently collateralized");
+
+        uint256 dueEth = calculateAmountDueEth(_loanId);
+        _closeLoan(_loanId, loan);
+
+        uint256 bonus = (loan.stake * liquidationBonusBp) / 10000;
+        uint256 toLender = loan.stake - bonus;
+        if (toLender > dueEth) {
+            toLender = dueEth;
+        }
+        uint256 toBorrower = loan.stake - bonus - toLender;
+
+        (bool sentBonus, ) = payable(msg.sender).call{value: bonus}("");
+        require(sentBonus, "Bonus transfer failed");
+        (bool sentLender, ) = payable(loan.lender).call{value: toLender}("");
+        require(sentLender, "Collateral transfer failed");
+        // Credited rather than sent, so a borrower that rejects ETH cannot block the liquidation
+        if (toBorrower > 0) {
+            ethCredit[loan.borrower] += toBorrower;
+        }
+        // The pledged asset covers what the ETH stake could not; the rest returns to the borrower
+        if (loan.collateralAsset != address(0)) {
+            uint256 shortfallUsd = ((dueEth - toLender) * _getEthUsdPrice()) / 1e18;
+            collateralRegistry.settleCollateral(loan.collateralAsset, loan.collateralAmount, shortfallUsd, loan.lender, loan.borrower);
+        }
 
-        emit LoanLiquidated(_loanId, loan.lender, loan.stake);
+        emit LoanLiquidated(_loanId, loan.lender, toLender);
+        emit LoanLiquidatedUndercollateralized(_loanId, msg.sender, healthFactorBp, toBorrower);
     }
 
-    // View: calculate amount due in ETH
+    // View: collateral value against the amount due, in basis points (10000 = fully covered)
+    function getHealthFactor(uint256 _loanId) public view returns (uint256) {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
+        uint256 dueEth = calculateAmountDueEth(_loanId);
+        if (dueEth == 0) return type(uint256).max;
+        // Debt is USD-denominated and converted at the current price, so the ETH ratio equals the USD ratio
+        return (_collateralValueEth(loan.stake, loan.collateralAsset, loan.collateralAmount, loan.propertyUnits) * 10000) / dueEth;
+    }
+
+    // View: amount due in the loan currency (wei for ETH loans, token units for stablecoin loans)
+    function calculateAmountDue(uint256 _loanId) public view returns (uint256) {
+        LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
+        if (loan.loanToken == address(0)) {
+            return calculateAmountDueEth(_loanId);
+        }
+        require(!loan.isRepaid, "Loan repaid");
+        uint256 totalUsd = loan.principalOutstandingUsd + loan.accruedInterestUsd + _pendingInterestUsd(loan);
+        return _usdToToken(loan.loanToken, totalUsd);
+    }
+
+    // View: calculate amount due in ETH (for stablecoin loans, the ETH value of the debt)
     function calculateAmountDueEth(uint256 _loanId) public view returns (uint256) {
         LoanTypes.ActiveLoan storage loan = activeLoans[_loanId];
         require(!loan.isRepaid, "Loan repaid");
 
-        uint256 elapsed = block.timestamp > loan.startTimestamp ? (block.timestamp - loan.startTimestamp) : 0;
-        // principal in USD (1e18): loanAmount(wei) * price(USD 1e18) / 1e18 (1 ETH = price USD).
-        uint256 principalUsd = (loan.loanAmount * loan.initialEthPrice) / 1e18;
-        uint256 interestUsd = (principalUsd * loan.interestRate * elapsed) / (365 days * 100);
-        uint256 totalUsd = principalUsd + interestUsd; // 1e18-scaled USD
+        // Outstanding principal and interest in USD (1e18); principal was fixed at the funding price
+        uint256 interestUsd = loan.accruedInterestUsd + _pendingInterestUsd(loan);
+        uint256 totalUsd = loan.principalOutstandingUsd + interestUsd; // 1e18-scaled USD
         uint256 currentPrice = _getEthUsdPrice(); // 1e18 USD per ETH
         uint256 dueEth = (totalUsd * 1e18) / currentPrice;
         return dueEth;
     }
 
+    // Simple interest on the outstanding principal since the last payment
+    function _pendingInterestUsd(LoanTypes.ActiveLoan storage loan) internal view returns (uint256) {
+        uint256 elapsed = block.timestamp > loan.lastAccrualTimestamp ? (block.timestamp - loan.lastAccrualTimestamp) : 0;
+        return (loan.principalOutstandingUsd * loan.interestRate * elapsed) / (365 days * 100);
+    }
+
+    function _accrueInterest(LoanTypes.ActiveLoan storage loan) internal {
+        loan.accruedInterestUsd += _pendingInterestUsd(loan);
+        loan.lastAccrualTimestamp = block.timestamp;
+    }
+
+    // Books a payment against accrued interest first, then principal; a full repayment clears both.
+    // paidUsd is ignored for full repayments. Returns the interest fee in USD (1e18).
+    function _applyPayment(
+        uint256 _loanId,
+        LoanTypes.ActiveLoan storage loan,
+        uint256 amount,
+        uint256 paidUsd,
+        bool overdue,
+        bool fullRepayment
+    ) internal returns (uint256 feeUsd) {
+        _accrueInterest(loan);
+        uint256 penaltyBp = overdue ? overduePenaltyBp(_loanId) : 0;
+        uint256 interestPaidUsd;
+        uint256 principalPaidUsd;
+        if (fullRepayment) {
+            interestPaidUsd = loan.accruedInterestUsd;
+            principalPaidUsd = loan.principalOutstandingUsd;
+        } else {
+            // Late partial payments carry the same penalty share as a full late repayment
+            paidUsd = (paidUsd * 10000) / (10000 + penaltyBp);
+            interestPaidUsd = paidUsd < loan.accruedInterestUsd ? paidUsd : loan.accruedInterestUsd;
+            principalPaidUsd = paidUsd - interestPaidUsd;
+            if (principalPaidUsd > loan.principalOutstandingUsd) {
+                principalPaidUsd = loan.principalOutstandingUsd;
+            }
+        }
+        loan.accruedInterestUsd -= interestPaidUsd;
+        loan.principalOutstandingUsd -= principalPaidUsd;
+        if (loan.principalOutstandingUsd == 0) {
+            _closeLoan(_loanId, loan);
+        }
+
+        emit LoanPayment(
+            _loanId,
+            loan.borrower,
+            amount,
+            interestPaidUsd,
+            principalPaidUsd,
+            loan.principalOutstandingUsd,
+            penaltyBp
+        );
+        feeUsd = (interestPaidUsd * interestFeeBp) / 10000;
+    }
+
+    // 1e18-scaled USD value of a stablecoin amount
+    function _tokenToUsd(address _token, uint256 _amount) internal view returns (uint256) {
+        return (_amount * 1e18) / (10 ** loanTokenDecimals[_token]);
+    }
+
+    function _usdToToken(address _token, uint256 _usd) internal view returns (uint256) {
+        return (_usd * (10 ** loanTokenDecimals[_token])) / 1e18;
+    }
+
+    // ETH stake plus the ETH value of a pledged asset (after its collateral factor).
+    // Property units only count when backed by a pledged deed; they then value the deed through the real-estate index.
+    function _collateralValueEth(
+        uint256 _stake,
+        address _asset,
+        uint256 _amountOrId,
+        uint256 _propertyUnits
+    ) internal view returns (uint256) {
+        if (_asset == address(0)) return _stake;
+        require(address(collateralRegistry) != address(0), "Collateral registry not set");
+        uint256 pledgeUsd = _asset == propertyDeed && _propertyUnits > 0
+            ? _propertyUnits * _realEstateUnitUsd()
+            : collateralRegistry.collateralValueUsd(_asset, _amountOrId);
+        return _stake + (pledgeUsd * 1e18) / _getEthUsdPrice();
+    }
+
+    // 1e18-scaled USD value of one property unit, rejecting stale or implausible index values
+    function _realEstateUnitUsd() internal view returns (uint256 unitUsd) {
+        (int256 v, uint8 d, uint256 updatedAt) = _latestRealEstateIndex();
+        // same staleness rule as the ETH/USD feed, with its own window
+        require(block.timestamp - updatedAt <= maxRealEstateStalenessSeconds, "Stale RWA index");
+        unitUsd = (uint256(v) * 1e18) / (10 ** d);
+        require(unitUsd >= minRealEstateUnitUsd && unitUsd <= maxRealEstateUnitUsd, "RWA index out of bounds");
+    }
+
+    // Hands the stake and any pledge to the auction, with the amount owed plus penalty and the lot value in the loan currency
+    function _auctionCollateral(uint256 _loanId, LoanTypes.ActiveLoan storage loan) internal {
+        uint256 owed;
+        uint256 lotValue = _collateralValueEth(loan.stake, loan.collateralAsset, loan.collateralAmount, loan.propertyUnits);
+        if (loan.loanToken == address(0)) {
+            owed = _applyOverduePenaltyEth(_loanId, calculateAmountDueEth(_loanId));
+        } else {
+            owed = (calculateAmountDue(_loanId) * (10000 + overduePenaltyBp(_loanId))) / 10000;
+            lotValue = _usdToToken(loan.loanToken, (lotValue * _getEthUsdPrice()) / 1e18);
+        }
+        _closeLoan(_loanId, loan);
+
+        _releasePledge(loan.collateralAsset, loan.collateralAmount, address(collateralAuction));
+        uint256 auctionId = collateralAuction.startAuction{value: loan.stake}(
+            _loanId, loan.lender, loan.borrower, msg.sender, loan.loanToken,
+            loan.collateralAsset, loan.collateralAmount, owed, lotValue, liquidationBonusBp
+        );
+        // Nothing reaches the lender yet: the sale's split is reported by the auction's AuctionSettled
+        emit LoanLiquidated(_loanId, loan.lender, 0);
+        emit LoanAuctioned(_loanId, auctionId, owed);
+    }
+
+    // Stake and pledge of a settled loan back to its borrower
+    function _returnCollateral(LoanTypes.ActiveLoan storage loan) internal {
+        (bool sentBorrowerStake, ) = payable(loan.borrower).call{value: loan.stake}("");
+        require(sentBorrowerStake, "Collateral return failed");
+        _releasePledge(loan.collateralAsset, loan.collateralAmount, loan.borrower);
+    }
+
+    function _releasePledge(address _asset, uint256 _amountOrId, address _to) internal {
+        if (_asset != address(0)) {
+            collateralRegistry.releaseCollateral(_asset, _to, _amountOrId);
+        }
+    }
+
+    function _safeTransferFrom(address _token, address _from, address _to, uint256 _amount) internal {
+        _callToken(_token, abi.encodeWithSelector(IERC20Minimal.transferFrom.selector, _from, _to, _amount));
+    }
+
+    // Reverts unless the token call succeeded and returned true (or nothing, for non-standard tokens)
+    function _callToken(address _token, bytes memory _data) internal {
+        (bool success, bytes memory data) = _token.call(_data);
+        require(success && (data.length == 0 || abi.decode(data, (bool))), "Token transfer failed");
+    }
+
+    // Adds a fee, in the loan currency, to the treasury balance
+    function _chargeFee(uint256 _loanId, address _token, uint256 _amount) internal {
+        if (_amount == 0) return;
+        feeBalance[_token] += _amount;
+        emit FeeCharged(_loanId, _token, _amount);
+    }
+
+    // Creates the active loan for a request on the given terms and charges the origination fee;
+    // the caller moves the principal, less the fee, to the borrower
+    function _openLoan(
+        uint256 _requestId,
+        address _lender,
+        uint256 _interestRate,
+        uint256 _durationInDays
+    ) internal returns (uint256 loanId, uint256 fee) {
+        LoanTypes.LoanRequest storage request = loanRequests[_requestId];
+
+        loanId = getNextLoanId();
+        LoanTypes.ActiveLoan storage loan = activeLoans[loanId];
+
+        loan.borrower = request.borrower;
+        loan.lender = _lender;
+        loan.loanAmount = request.loanAmount;
+        loan.stake = request.stake;
+        loan.startTimestamp = block.timestamp;
+        loan.endTime = block.timestamp + (_durationInDays * 1 days);
+        loan.interestRate = _interestRate; // percent (0-7)
+        loan.initialEthPrice = _getEthUsdPrice(); // 1e18-scaled USD price
+        // Carry forward demo property units so UIs can display after funding
+        loan.propertyUnits = request.propertyUnits;
+        // Outstanding balance starts at the full principal in USD
+        loan.loanToken = request.loanToken;
+        loan.principalOutstandingUsd = loan.loanToken == address(0)
+            ? (loan.loanAmount * loan.initialEthPrice) / 1e18
+            : _tokenToUsd(loan.loanToken, loan.loanAmount);
+        scheduledPrincipalUsd[loanId] = loan.principalOutstandingUsd;
+        loan.lastAccrualTimestamp = block.timestamp;
+        loan.installmentCount = request.installmentCount;
+        loan.collateralAsset = request.collateralAsset;
+        loan.collateralAmount = request.collateralAmount;
+
+        request.isActive = false;
+        _indexRemove(openRequestIds, openRequestSlot, _requestId);
+        _indexAdd(openLoanIds, openLoanSlot, loanId);
+
+        // Effects before interactions
+        emit LoanFunded(loanId, _requestId, _lender, loan.initialEthPrice);
+
+        // index for lookups
+        borrowerToLoanIds[request.borrower].push(loanId);
+        lenderToLoanIds[_lender].push(loanId);
+
+        // The borrower still owes the full principal
+        fee = (loan.loanAmount * originationFeeBp) / 10000;
+        _chargeFee(loanId, loan.loanToken, fee);
+    }
+
+    // Loan terms accepted by the platform, for requests and for loans opened through the offer book
+    function _checkTerms(uint256 _durationInDays, uint256 _interestRate, uint256 _installmentCount) internal pure {
+        require(_durationInDays > 0, "Duration must be greater than 0");
+        require(
+            _interestRate <= MAX_INTEREST_RATE,
+            "Interest rate exceeds maximum allowed (7%)"
+        );
+        require(_interestRate > 0, "Interest rate must be greater than 0");
+        // Zero installments means a single repayment at the end of the term
+        require(_installmentCount <= _durationInDays, "At most one installment per day");
+    }
+
+    // Deletes a pending proposal and returns the escrow it held
+    function _clearExtensionProposal(uint256 _loanId) internal returns (uint256 escrow) {
+        escrow = extensionProposals[_loanId].settlementEscrow;
+        delete extensionProposals[_loanId];
+    }
+
     function _getEthUsdPrice() internal view returns (uint256) {
+        require(!priceCircuitBreaker, "Price circuit breaker active");
         // Demo mode fallback
         if (address(ethUsdFeed) == address(0)) {
             return demoFixedEthUsdPrice;
@@ -292,17 +1028,29 @@ contract LendingPlatform is LoanStorage {
         return uint256(answer) * 1e10;
     }
 
+    // View: late-repayment penalty in bp. overdueRepayPenaltyBp for each started day past endTime,
+    // rising through the grace period and capped at its last day (a single day's worth without grace) and at 50%.
+    function overduePenaltyBp(uint256 _loanId) public view returns (uint256) {
+        uint256 endTime = activeLoans[_loanId].endTime;
+        if (block.timestamp <= endTime) return 0;
+        uint256 daysLate = (block.timestamp - endTime - 1) / 1 days + 1;
+        uint256 maxDays = gracePeriodSeconds == 0 ? 1 : (gracePeriodSeconds + 1 days - 1) / 1 days;
+        uint256 penaltyBp = overdueRepayPenaltyBp * (daysLate < maxDays ? daysLate : maxDays);
+        return penaltyBp > 5000 ? 5000 : penaltyBp;
+    }
+
     function _applyOverduePenaltyEth(uint256 _loanId, uint256 baseDueEth) internal view returns (uint256) {
-        if (overdueRepayPenaltyBp == 0) return baseDueEth;
+        uint256 penaltyBp = overduePenaltyBp(_loanId);
+        if (penaltyBp == 0) return baseDueEth;
         // Convert baseDueEth to USD, apply penalty, back to ETH
         uint256 currentPrice = _getEthUsdPrice();
         uint256 baseDueUsd = (baseDueEth * currentPrice) / 1e18; // 1e18 USD
-        uint256 penaltyUsd = (baseDueUsd * overdueRepayPenaltyBp) / 10000;
+        uint256 penaltyUsd = (baseDueUsd * penaltyBp) / 10000;
         uint256 totalUsd = baseDueUsd + penaltyUsd;
         return (totalUsd * 1e18) / currentPrice;
     }
 
-    // Owner controls
+    // Owner and role controls
     function transferOwnership(address newOwner) external onlyOwner {
         require(newOwner != address(0), "zero address");
         address old = owner;
@@ -310,17 +1058,32 @@ contract LendingPlatform is LoanStorage {
         emit OwnerUpdated(old, newOwner);
     }
 
-    function pause() external onlyOwner {
+    // The treasury role is set separately with setTreasury
+    function setRoles(address _pauser, address _riskAdmin, address _oracleAdmin) external onlyOwner {
+        require(_pauser != address(0) && _riskAdmin != address(0) && _oracleAdmin != address(0), "zero address");
+        pauser = _pauser;
+        riskAdmin = _riskAdmin;
+        oracleAdmin = _oracleAdmin;
+        emit RolesUpdated(_pauser, _riskAdmin, _oracleAdmin);
+    }
+
+    function pause() external onlyPauser {
         paused = true;
         emit Paused(msg.sender);
     }
 
-    function unpause() external onlyOwner {
+    function unpause() external onlyPauser {
         paused = false;
         emit Unpaused(msg.sender);
     }
 
-    function updateParams(uint256 _overdueRepayPenaltyBp, uint256 _liquidationBonusBp, uint256 _maxPriceStalenessSeconds) external onlyOwner {
+    // Token-loan repayments, cancellations and collateral top-ups keep working while tripped
+    function setPriceCircuitBreaker(bool _tripped) external onlyPauser {
+        priceCircuitBreaker = _tripped;
+        emit PriceCircuitBreakerUpdated(_tripped);
+    }
+
+    function updateParams(uint256 _overdueRepayPenaltyBp, uint256 _liquidationBonusBp, uint256 _maxPriceStalenessSeconds) external onlyRiskAdmin {
         require(_liquidationBonusBp <= 5000, "bonus too high");
         require(_overdueRepayPenaltyBp <= 5000, "penalty too high");
         overdueRepayPenaltyBp = _overdueRepayPenaltyBp;
@@ -329,40 +1092,150 @@ contract LendingPlatform is LoanStorage {
         emit ParamsUpdated(overdueRepayPenaltyBp, liquidationBonusBp, maxPriceStalenessSeconds);
     }
 
-    function updateOracle(address _newFeed) external onlyOwner {
-        // Allow zero to switch to demo mode
-        if (_newFeed == address(0)) {
-            ethUsdFeed = AggregatorV3Interface(address(0));
-            emit OracleUpdated(_newFeed);
-            return;
+    // Window after endTime in which the borrower can still repay (with a rising penalty) before liquidation opens
+    function setGracePeriod(uint256 _gracePeriodSeconds) external onlyRiskAdmin {
+        require(_gracePeriodSeconds <= 30 days, "grace period too long");
+        gracePeriodSeconds = _gracePeriodSeconds;
+        emit GracePeriodUpdated(_gracePeriodSeconds);
+    }
+
+    function setFees(uint256 _originationFeeBp, uint256 _interestFeeBp) external onlyRiskAdmin {
+        require(_originationFeeBp <= 5000 && _interestFeeBp <= 5000, "fee too high");
+        originationFeeBp = _originationFeeBp;
+        interestFeeBp = _interestFeeBp;
+        emit FeesUpdated(_originationFeeBp, _interestFeeBp);
+    }
+
+    function setTreasury(address _treasury) external onlyOwner {
+        require(_treasury != address(0), "zero address");
+        treasury = _treasury;
+        emit TreasuryUpdated(_treasury);
+    }
+
+    // Treasury: withdraw accrued fees of one currency (zero address = ETH)
+    function withdrawFees(address _token, uint256 _amount) external nonReentrant {
+        require(msg.sender == treasury, "Only treasury");
+        require(_amount > 0 && _amount <= feeBalance[_token], "Invalid amount");
+        feeBalance[_token] -= _amount;
+        emit FeesWithdrawn(_token, msg.sender, _amount);
+        if (_token == address(0)) {
+            (bool sent, ) = payable(msg.sender).call{value: _amount}("");
+            require(sent, "Fee transfer failed");
+        } else {
+            _callToken(_token, abi.encodeWithSelector(IERC20Minimal.transfer.selector, msg.sender, _amount));
         }
+    }
+
+    // Withdraw the caller's ETH credit
+    function withdrawCredit() external nonReentrant {
+        uint256 amount = ethCredit[msg.sender];
+        require(amount > 0, "Invalid amount");
+        ethCredit[msg.sender] = 0;
+        emit CreditWithdrawn(msg.sender, amount);
+        (bool sent, ) = payable(msg.sender).call{value: amount}("");
+        require(sent, "Collateral return failed");
+    }
+
+    function setLiquidationThreshold(uint256 _liquidationThresholdBp) external onlyRiskAdmin {
+        require(_liquidationThresholdBp >= 10000, "threshold too low");
+        require(_liquidationThresholdBp < minCollateralRatioBp, "threshold too high");
+        liquidationThresholdBp = _liquidationThresholdBp;
+        emit LiquidationThresholdUpdated(_liquidationThresholdBp);
+    }
+
+    // Applies to new requests; funded loans keep the stake they were created with
+    function setMinCollateralRatio(uint256 _minCollateralRatioBp) external onlyRiskAdmin {
+        require(_minCollateralRatioBp > liquidationThresholdBp, "ratio below liquidation threshold");
+        require(_minCollateralRatioBp <= 50000, "ratio too high");
+        minCollateralRatioBp = _minCollateralRatioBp;
+        emit CollateralRatioUpdated(_minCollateralRatioBp);
+    }
+
+    // Whitelist a USD stablecoin as loan currency; decimals are cached for USD conversions
+    function setLoanTokenSupported(address _token, bool _supported) external onlyOwner {
+        require(_token != address(0), "zero address");
+        isLoanTokenSupported[_token] = _supported;
+        if (_supported) {
+            loanTokenDecimals[_token] = IERC20Minimal(_token).decimals();
+        }
+        emit LoanTokenUpdated(_token, _supported);
+    }
+
+    function updateOracle(address _newFeed) external onlyOracleAdmin {
+        // Zero switches to demo mode
         ethUsdFeed = AggregatorV3Interface(_newFeed);
         emit OracleUpdated(_newFeed);
     }
 
     // Set demo fixed price (1e18-scaled USD per ETH)
-    function setDemoFixedEthUsdPrice(uint256 _price) external onlyOwner {
+    function setDemoFixedEthUsdPrice(uint256 _price) external onlyOracleAdmin {
         require(_price > 0, "price=0");
         demoFixedEthUsdPrice = _price;
+        emit DemoPriceUpdated(_price);
+    }
+
+    function setCollateralRegistry(address _registry) external onlyOwner {
+        require(_registry != address(0), "zero address");
+        collateralRegistry = ICollateralRegistry(_registry);
+        emit CollateralRegistryUpdated(_registry);
     }
 
-    function updateRealEstateOracle(address _newOracle) external onlyOwner {
+    function setPropertyDeed(address _deed) external onlyOwner {
+        require(_deed != address(0), "zero address");
+        propertyDeed = _deed;
+        emit PropertyDeedUpdated(_deed);
+    }
+
+    // Zero switches expired-loan liquidations back to the fixed bonus split
+    function setCollateralAuction(address _auction) external onlyOwner {
+        collateralAuction = ICollateralAuction(_auction);
+        emit CollateralAuctionUpdated(_auction);
+    }
+
+    // Zero disables counter-offers and liquidity offers
+    function setLoanOffers(address _offers) external onlyOwner {
+        loanOffers = _offers;
+        emit LoanOffersUpdated(_offers);
+    }
+
+    function setLoanLens(address _lens) external onlyOwner {
+        loanLens = _lens;
+        emit LoanLensUpdated(_lens);
+    }
+
+    function updateRealEstateOracle(address _newOracle) external onlyOracleAdmin {
         require(_newOracle != address(0), "zero address");
         realEstateOracle = _newOracle;
         emit RealEstateOracleUpdated(_newOracle);
     }
 
+    // Staleness window and plausible range (USD per unit, 1e18-scaled) for the real-estate index
+    function setRealEstateParams(uint256 _maxStalenessSeconds, uint256 _minUnitUsd, uint256 _maxUnitUsd) external onlyRiskAdmin {
+        require(_minUnitUsd > 0 && _minUnitUsd <= _maxUnitUsd, "invalid index bounds");
+        maxRealEstateStalenessSeconds = _maxStalenessSeconds;
+        minRealEstateUnitUsd = _minUnitUsd;
+        maxRealEstateUnitUsd = _maxUnitUsd;
+        emit RealEstateParamsUpdated(_maxStalenessSeconds, _minUnitUsd, _maxUnitUsd);
+    }
+
     // Expose current RWA index
     function getRealEstateIndex() external view returns (int256 indexValue, uint8 decimals) {
+        (indexValue, decimals, ) = _latestRealEstateIndex();
+    }
+
+    // Latest answer of the real-estate aggregator (see RealEstateOracle.sol)
+    function _latestRealEstateIndex() internal view returns (int256 v, uint8 d, uint256 updatedAt) {
         require(realEstateOracle != address(0), "RWA oracle not set");
-        (int256 v, uint8 d) = IRealEstateOracle(realEstateOracle).latestIndex();
+        AggregatorV3Interface feed = AggregatorV3Interface(realEstateOracle);
+        (, v, , updatedAt, ) = feed.latestRoundData();
         require(v > 0, "invalid RWA index");
-        return (v, d);
+        d = feed.decimals();
     }
 
     // Borrower/lender indexes
     mapping(address => uint256[]) private borrowerToLoanIds;
     mapping(address => uint256[]) private lenderToLoanIds;
+    mapping(address => uint256[]) private borrowerToRequestIds;
 
     function getBorrowerLoanIds(address borrower) external view returns (uint256[] memory) {
         return borrowerToLoanIds[borrower];
@@ -372,77 +1245,80 @@ contract LendingPlatform is LoanStorage {
         return lenderToLoanIds[lender];
     }
 
-    function getBorrowerActiveLoans(
-        address _borrower
-    )
-        external
-        view
-        returns (uint256[] memory loanIds, LoanTypes.LoanRequest[] memory loans)
-    {
-        uint256 activeCount = 0;
-        for (uint256 i = 0; i < totalRequests; i++) {
-            if (loanRequests[i].borrower == _borrower) {
-                activeCount++;
-            }
-        }
+    function getBorrowerRequestIds(address borrower) external view returns (uint256[] memory) {
+        return borrowerToRequestIds[borrower];
+    }
 
-        loanIds = new uint256[](activeCount);
-        loans = new LoanTypes.LoanRequest[](activeCount);
+    // One entry of an account index (0 = borrower loans, 1 = lender loans, 2 = borrower requests) and the index size,
+    // so LoanLens can page through long lists without copying them; id is 0 past the end
+    function accountIdAt(uint8 _index, address _account, uint256 _position) external view returns (uint256 id, uint256 total) {
+        uint256[] storage ids = _index == 0 ? borrowerToLoanIds[_account] : _index == 1 ? lenderToLoanIds[_account] : borrowerToRequestIds[_account];
+        total = ids.length;
+        if (_position < total) id = ids[_position];
+    }
 
-        uint256 arrayIndex = 0;
-        for (uint256 i = 0; i < totalRequests; i++) {
-            if (loanRequests[i].borrower == _borrower) {
-                loanIds[arrayIndex] = i; //the ids are sequentially assigned (see LoanStorage)
-                loans[arrayIndex] = loanRequests[i];
-                arrayIndex++;
-            }
-        }
+    // Full-scan views, answered by the loan lens with the same ABI (the code would not fit in this contract)
+    function getBorrowerActiveLoans(
+        address
+    ) external view returns (uint256[] memory, LoanTypes.LoanRequest[] memory) {
+        _forwardToLens();
     }
 
     function getAllActiveLoans()
         external
         view
-        returns (
-            uint256[] memory loanIds,
-            LoanTypes.ActiveLoan[] memory loans,
-            uint256[] memory requestIds,
-            LoanTypes.LoanRequest[] memory requests
-        )
+        returns (uint256[] memory, LoanTypes.ActiveLoan[] memory, uint256[] memory, LoanTypes.LoanRequest[] memory)
     {
-        uint256 activeCount = 0;
-        uint256 requestCount = 0;
+        _forwardToLens();
+    }
 
-        for (uint256 i = 0; i < totalLoans; i++) {
-            if (!activeLoans[i].isRepaid) {
-                activeCount++;
-            }
-        }
-        for (uint256 i = 0; i < totalRequests; i++) {
-            if (loanRequests[i].isActive) {
-                requestCount++;
-            }
+    // Replays the call on the lens and returns (or reverts with) its raw result
+    function _forwardToLens() internal view {
+        require(loanLens != address(0), "Loan lens not set");
+        (bool success, bytes memory result) = loanLens.staticcall(msg.data);
+        assembly ("memory-safe") {
+            if iszero(success) { revert(add(result, 32), mload(result)) }
+            return(add(result, 32), mload(result))
         }
+    }
 
-        loanIds = new uint256[](activeCount);
-        loans = new LoanTypes.ActiveLoan[](activeCount);
-        requestIds = new uint256[](requestCount);
-        requests = new LoanTypes.LoanRequest[](requestCount);
+    // Status indexes: requests still open (expired ones until cancelled) and loans not yet repaid or liquidated.
+    // Removal moves the last id into the gap, so the order is not stable; page through them with LoanLens.
+    uint256[] public openRequestIds;
+    uint256[] public openLoanIds;
+    mapping(uint256 => uint256) private openRequestSlot; // position + 1, 0 = not indexed
+    mapping(uint256 => uint256) private openLoanSlot;
 
-        uint256 loanIndex = 0;
-        uint256 requestIndex = 0;
-        for (uint256 i = 0; i < totalLoans; i++) {
-            if (!activeLoans[i].isRepaid) {
-                loanIds[loanIndex] = i;
-                loans[loanIndex] = activeLoans[i];
-                loanIndex++;
-            }
-        }
-        for (uint256 i = 0; i < totalRequests; i++) {
-            if (loanRequests[i].isActive) {
-                requestIds[requestIndex] = i;
-                requests[requestIndex] = loanRequests[i];
-                requestIndex++;
-            }
-        }
+    function openRequestCount() external view returns (uint256) {
+        return openRequestIds.length;
+    }
+
+    function openLoanCount() external view returns (uint256) {
+        return openLoanIds.length;
+    }
+
+    function _indexRequest(uint256 _requestId, address _borrower) internal {
+        _indexAdd(openRequestIds, openRequestSlot, _requestId);
+        borrowerToRequestIds[_borrower].push(_requestId);
+    }
+
+    function _closeLoan(uint256 _loanId, LoanTypes.ActiveLoan storage loan) internal {
+        loan.isRepaid = true;
+        _indexRemove(openLoanIds, openLoanSlot, _loanId);
+    }
+
+    function _indexAdd(uint256[] storage _ids, mapping(uint256 => uint256) storage _slot, uint256 _id) internal {
+        _ids.push(_id);
+        _slot[_id] = _ids.length;
+    }
+
+    function _indexRemove(uint256[] storage _ids, mapping(uint256 => uint256) storage _slot, uint256 _id) internal {
+        uint256 slot = _slot[_id];
+        if (slot == 0) return;
+        uint256 last = _ids[_ids.length - 1];
+        _ids[slot - 1] = last;
+        _slot[last] = slot;
+        _ids.pop();
+        delete _slot[_id];
     }
 }
@@ -0,0 +1,324 @@
+pragma solidity ^0.8.0;
+
+import "./LoanTypes.sol";
+import "./LendingPlatform.sol";
+
+// Read-only aggregate views over LendingPlatform, kept out of the platform to stay under the contract size limit.
+// Reads through the public getters, so frontends can fetch everything in one call.
+contract LoanLens {
+    // Status filters of the paginated views
+    uint8 public constant STATUS_ANY = 0;
+    uint8 public constant STATUS_OPEN = 1; // request still open / loan not yet repaid or liquidated
+    uint8 public constant STATUS_CLOSED = 2; // request funded or cancelled / loan repaid or liquidated
+
+    // Account indexes of LendingPlatform.accountIdAt
+    uint8 internal constant BORROWER_LOANS = 0;
+    uint8 internal constant LENDER_LOANS = 1;
+    uint8 internal constant BORROWER_REQUESTS = 2;
+
+    // LoanRequest without the encrypted-CID strings
+    struct RequestSummary {
+        address borrower;
+        uint256 loanAmount;
+        uint256 duration;
+        bool isActive;
+        uint256 stake;
+        uint256 interestRate;
+        bytes32 propertyIdCommitment;
+        uint256 propertyUnits;
+        uint256 installmentCount;
+        uint256 fundingDeadline;
+        address loanToken;
+        address collateralAsset;
+        uint256 collateralAmount;
+    }
+
+    LendingPlatform public immutable platform;
+
+    constructor(address _platform) {
+        require(_platform != address(0), "zero address");
+        platform = LendingPlatform(_platform);
+    }
+
+    // Page of the open requests index (order is not stable across removals); total is the index size
+    function getOpenRequests(
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (uint256[] memory ids, RequestSummary[] memory requests, uint256 total) {
+        total = platform.openRequestCount();
+        uint256 count = _pageSize(total, _offset, _limit);
+        ids = new uint256[](count);
+        requests = new RequestSummary[](count);
+        for (uint256 i = 0; i < count; i++) {
+            ids[i] = platform.openRequestIds(_offset + i);
+            requests[i] = getRequestSummary(ids[i]);
+        }
+    }
+
+    // Page of the open loans index (order is not stable across removals); total is the index size
+    function getOpenLoans(
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (uint256[] memory ids, LoanTypes.ActiveLoan[] memory loans, uint256 total) {
+        total = platform.openLoanCount();
+        uint256 count = _pageSize(total, _offset, _limit);
+        ids = new uint256[](count);
+        loans = new LoanTypes.ActiveLoan[](count);
+        for (uint256 i = 0; i < count; i++) {
+            ids[i] = platform.openLoanIds(_offset + i);
+            loans[i] = getActiveLoan(ids[i]);
+        }
+    }
+
+    // Per-account views: positions [_offset, _offset + _limit) of the account's index, oldest first, keeping the
+    // entries with the given status. Only that window is read, so a page can hold fewer than _limit entries;
+    // total is the index size, and callers keep paging while _offset + _limit < total.
+    function getBorrowerRequests(
+        address _borrower,
+        uint8 _status,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (uint256[] memory ids, RequestSummary[] memory requests, uint256 total) {
+        (ids, total) = _pageIds(BORROWER_REQUESTS, _borrower, _status, _offset, _limit);
+        requests = new RequestSummary[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            requests[i] = getRequestSummary(ids[i]);
+        }
+    }
+
+    function getBorrowerLoans(
+        address _borrower,
+        uint8 _status,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (uint256[] memory ids, LoanTypes.ActiveLoan[] memory loans, uint256 total) {
+        (ids, total) = _pageIds(BORROWER_LOANS, _borrower, _status, _offset, _limit);
+        loans = _loansOf(ids);
+    }
+
+    function getLenderLoans(
+        address _lender,
+        uint8 _status,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (uint256[] memory ids, LoanTypes.ActiveLoan[] memory loans, uint256 total) {
+        (ids, total) = _pageIds(LENDER_LOANS, _lender, _status, _offset, _limit);
+        loans = _loansOf(ids);
+    }
+
+    // Details of ids listed off-chain (the indexer), in the given order
+    function getRequestSummaries(uint256[] memory _ids) external view returns (RequestSummary[] memory requests) {
+        requests = new RequestSummary[](_ids.length);
+        for (uint256 i = 0; i < _ids.length; i++) {
+            requests[i] = getRequestSummary(_ids[i]);
+        }
+    }
+
+    function getActiveLoans(uint256[] memory _ids) external view returns (LoanTypes.ActiveLoan[] memory) {
+        return _loansOf(_ids);
+    }
+
+    // Full scans over every request and loan; prefer the paginated views above as the book grows
+    function getBorrowerActiveLoans(
+        address _borrower
+    )
+        external
+        view
+        returns (uint256[] memory loanIds, LoanTypes.LoanRequest[] memory loans)
+    {
+        uint256 totalRequests = platform.totalRequests();
+        uint256 activeCount = 0;
+        for (uint256 i = 0; i < totalRequests; i++) {
+            if (_requestBorrower(i) == _borrower) {
+                activeCount++;
+            }
+        }
+
+        loanIds = new uint256[](activeCount);
+        loans = new LoanTypes.LoanRequest[](activeCount);
+
+        uint256 arrayIndex = 0;
+        for (uint256 i = 0; i < totalRequests; i++) {
+            if (_requestBorrower(i) == _borrower) {
+                loanIds[arrayIndex] = i; //the ids are sequentially assigned (see LoanStorage)
+                loans[arrayIndex] = getLoanRequest(i);
+                arrayIndex++;
+            }
+        }
+    }
+
+    function getAllActiveLoans()
+        external
+        view
+        returns (
+            uint256[] memory loanIds,
+            LoanTypes.ActiveLoan[] memory loans,
+            uint256[] memory requestIds,
+            LoanTypes.LoanRequest[] memory requests
+        )
+    {
+        uint256 totalLoans = platform.totalLoans();
+        uint256 totalRequests = platform.totalRequests();
+
+        bool[] memory loanOpen = new bool[](totalLoans);
+        bool[] memory requestOpen = new bool[](totalRequests);
+        uint256 activeCount = 0;
+        uint256 requestCount = 0;
+
+        for (uint256 i = 0; i < totalLoans; i++) {
+            (, , , , , , , bool isRepaid, , , , , , , , , ) = platform.activeLoans(i);
+            if (!isRepaid) {
+                loanOpen[i] = true;
+                activeCount++;
+            }
+        }
+        for (uint256 i = 0; i < totalRequests; i++) {
+            (, , , bool isActive, , , , , , , , , , , , ) = platform.loanRequests(i);
+            if (isActive) {
+                requestOpen[i] = true;
+                requestCount++;
+            }
+        }
+
+        loanIds = new uint256[](activeCount);
+        loans = new LoanTypes.ActiveLoan[](activeCount);
+        requestIds = new uint256[](requestCount);
+        requests = new LoanTypes.LoanRequest[](requestCount);
+
+        uint256 loanIndex = 0;
+        uint256 requestIndex = 0;
+        for (uint256 i = 0; i < totalLoans; i++) {
+            if (loanOpen[i]) {
+                loanIds[loanIndex] = i;
+                loans[loanIndex] = getActiveLoan(i);
+                loanIndex++;
+            }
+        }
+        for (uint256 i = 0; i < totalRequests; i++) {
+            if (requestOpen[i]) {
+                requestIds[requestIndex] = i;
+                requests[requestIndex] = getLoanRequest(i);
+                requestIndex++;
+            }
+        }
+    }
+
+    // Rebuild the structs from the public getters (field order as declared in LoanTypes)
+    function getLoanRequest(uint256 _requestId) public view returns (LoanTypes.LoanRequest memory r) {
+        (
+            r.borrower,
+            r.loanAmount,
+            r.duration,
+            r.isActive,
+            r.stake,
+            r.interestRate,
+            r.metadataCommitment,
+            r.encryptedCid,
+            r.propertyIdCommitment,
+            r.appraisalEncryptedCid,
+            r.propertyUnits,
+            r.installmentCount,
+            r.fundingDeadline,
+            r.loanToken,
+            r.collateralAsset,
+            r.collateralAmount
+        ) = platform.loanRequests(_requestId);
+    }
+
+    function getActiveLoan(uint256 _loanId) public view returns (LoanTypes.ActiveLoan memory l) {
+        (
+            l.borrower,
+            l.lender,
+            l.loanAmount,
+            l.startTimestamp,
+            l.stake,
+            l.endTime,
+            l.interestRate,
+            l.isRepaid,
+            l.initialEthPrice,
+            l.propertyUnits,
+            l.principalOutstandingUsd,
+            l.accruedInterestUsd,
+            l.lastAccrualTimestamp,
+            l.installmentCount,
+            l.loanToken,
+            l.collateralAsset,
+            l.collateralAmount
+        ) = platform.activeLoans(_loanId);
+    }
+
+    function getRequestSummary(uint256 _requestId) public view returns (RequestSummary memory r) {
+        (
+            r.borrower,
+            r.loanAmount,
+            r.duration,
+            r.isActive,
+            r.stake,
+            r.interestRate,
+            ,
+            ,
+            r.propertyIdCommitment,
+            ,
+            r.propertyUnits,
+            r.installmentCount,
+            r.fundingDeadline,
+            r.loanToken,
+            r.collateralAsset,
+            r.collateralAmount
+        ) = platform.loanRequests(_requestId);
+    }
+
+    // Ids in a window of an account index with the given status, and the index size
+    function _pageIds(
+        uint8 _index,
+        address _account,
+        uint8 _status,
+        uint256 _offset,
+        uint256 _limit
+    ) internal view returns (uint256[] memory ids, uint256 total) {
+        (, total) = platform.accountIdAt(_index, _account, 0);
+        uint256 count = _pageSize(total, _offset, _limit);
+        uint256[] memory window = new uint256[](count);
+        uint256 matched = 0;
+        for (uint256 i = 0; i < count; i++) {
+            (uint256 id, ) = platform.accountIdAt(_index, _account, _offset + i);
+            bool isOpen;
+            if (_index == BORROWER_REQUESTS) {
+                (, , , isOpen, , , , , , , , , , , , ) = platform.loanRequests(id);
+            } else {
+                (, , , , , , , bool isRepaid, , , , , , , , , ) = platform.activeLoans(id);
+                isOpen = !isRepaid;
+            }
+            if (_matches(_status, isOpen)) {
+                window[matched++] = id;
+            }
+        }
+        ids = new uint256[](matched);
+        for (uint256 i = 0; i < matched; i++) {
+            ids[i] = window[i];
+        }
+    }
+
+    function _loansOf(uint256[] memory _ids) internal view returns (LoanTypes.ActiveLoan[] memory loans) {
+        loans = new LoanTypes.ActiveLoan[](_ids.length);
+        for (uint256 i = 0; i < _ids.length; i++) {
+            loans[i] = getActiveLoan(_ids[i]);
+        }
+    }
+
+    function _matches(uint8 _status, bool _isOpen) internal pure returns (bool) {
+        require(_status <= STATUS_CLOSED, "invalid status");
+        return _status == STATUS_ANY || (_status == STATUS_OPEN) == _isOpen;
+    }
+
+    // Entries left from _offset, at most _limit
+    function _pageSize(uint256 _total, uint256 _offset, uint256 _limit) internal pure returns (uint256) {
+        if (_offset >= _total) return 0;
+        uint256 remaining = _total - _offset;
+        return remaining < _limit ? remaining : _limit;
+    }
+
+    function _requestBorrower(uint256 _requestId) internal view returns (address borrower) {
+        (borrower, , , , , , , , , , , , , , , ) = platform.loanRequests(_requestId);
+    }
+}
@@ -0,0 +1,241 @@
+pragma solidity ^0.8.0;
+
+import "./LoanTypes.sol";
+import "./LendingPlatform.sol";
+
+// Counter-offers and standing liquidity offers, kept out of LendingPlatform to stay under the contract size limit.
+// Lenders escrow ETH here; when a borrower takes an offer the principal goes to the platform, which opens the loan.
+// These functions, their events and getters used to live on LendingPlatform (see "Offer Book" in the README).
+contract LoanOffers {
+    LendingPlatform public immutable platform;
+
+    mapping(uint256 => LoanTypes.CounterOffer) public counterOffers;
+    uint256 public totalCounterOffers;
+    mapping(uint256 => uint256[]) internal requestToCounterOfferIds;
+
+    mapping(uint256 => LoanTypes.LiquidityOffer) public liquidityOffers;
+    uint256 public totalLiquidityOffers;
+
+    uint256 private _reentrancyStatus = 1;
+
+    event CounterOfferPosted(
+        uint256 indexed offerId,
+        uint256 indexed requestId,
+        address indexed lender,
+        uint256 amount,
+        uint256 interestRate,
+        uint256 durationInDays
+    );
+
+    event CounterOfferWithdrawn(uint256 indexed offerId, address indexed lender, uint256 amount);
+
+    event CounterOfferAccepted(uint256 indexed offerId, uint256 indexed requestId, uint256 indexed loanId);
+
+    event LiquidityOfferPosted(
+        uint256 indexed offerId,
+        address indexed lender,
+        uint256 amount,
+        uint256 maxDurationInDays,
+        uint256 interestRate,
+        uint256 minCollateralRatioBp
+    );
+
+    event LiquidityOfferDrawn(
+        uint256 indexed offerId,
+        uint256 indexed loanId,
+        address indexed borrower,
+        uint256 amount
+    );
+
+    event LiquidityOfferWithdrawn(uint256 indexed offerId, address indexed lender, uint256 amount);
+
+    constructor(address _platform) {
+        require(_platform != address(0), "zero address");
+        platform = LendingPlatform(_platform);
+    }
+
+    modifier nonReentrant() {
+        require(_reentrancyStatus == 1, "ReentrancyGuard: reentrant call");
+        _reentrancyStatus = 2;
+        _;
+        _reentrancyStatus = 1;
+    }
+
+    // Follows the platform's pause switch
+    modifier whenNotPaused() {
+        require(!platform.paused(), "Paused");
+        _;
+    }
+
+    // Lender escrows the loan amount and offers a different rate and/or duration for a request
+    function postCounterOffer(
+        uint256 _requestId,
+        uint256 _interestRate,
+        uint256 _durationInDays
+    ) external payable nonReentrant whenNotPaused {
+        (address borrower, uint256 loanAmount, bool isActive, uint256 installmentCount, address loanToken) = _request(_requestId);
+
+        require(isActive, "Request is not active");
+        require(!platform.isRequestExpired(_requestId), "Request expired");
+        require(msg.sender != borrower, "Borrower cannot make offers");
+        require(loanToken == address(0), "Counter-offers support ETH loans only");
+        require(msg.value == loanAmount, "Must send exact loan amount");
+        require(_durationInDays > 0, "Duration must be greater than 0");
+        require(installmentCount <= _durationInDays, "At most one installment per day");
+        _checkInterestRate(_interestRate);
+
+        uint256 offerId = totalCounterOffers++;
+        LoanTypes.CounterOffer storage offer = counterOffers[offerId];
+        offer.requestId = _requestId;
+        offer.lender = msg.sender;
+        offer.amount = msg.value;
+        offer.interestRate = _interestRate;
+        offer.durationInDays = _durationInDays;
+        offer.isActive = true;
+        requestToCounterOfferIds[_requestId].push(offerId);
+
+        emit CounterOfferPosted(offerId, _requestId, msg.sender, msg.value, _interestRate, _durationInDays);
+    }
+
+    // Lender takes back an offer that has not been accepted (allowed while paused)
+    function withdrawCounterOffer(uint256 _offerId) external nonReentrant {
+        LoanTypes.CounterOffer storage offer = counterOffers[_offerId];
+
+        require(msg.sender == offer.lender, "Only lender can withdraw offer");
+        require(offer.isActive, "Offer is not active");
+
+        offer.isActive = false;
+
+        emit CounterOfferWithdrawn(_offerId, msg.sender, offer.amount);
+
+        (bool refunded, ) = payable(msg.sender).call{value: offer.amount}("");
+        require(refunded, "Refund failed");
+    }
+
+    // Anyone can send a lender back the escrow of an offer whose request was funded, cancelled or has expired
+    function refundOffer(uint256 _requestId, uint256 _offerId) external nonReentrant {
+        LoanTypes.CounterOffer storage offer = counterOffers[_offerId];
+        (, , bool isActive, , ) = _request(_requestId);
+
+        require(offer.isActive, "Offer is not active");
+        require(offer.requestId == _requestId, "Offer is not on this request");
+        require(!isActive || platform.isRequestExpired(_requestId), "Request still open");
+
+        offer.isActive = false;
+
+        emit CounterOfferWithdrawn(_offerId, offer.lender, offer.amount);
+
+        (bool refunded, ) = payable(offer.lender).call{value: offer.amount}("");
+        require(refunded, "Refund failed");
+    }
+
+    // Borrower accepts one offer and the loan opens on its terms. Competing offers are not refunded here
+    // (a request can collect any number of them): their lenders withdraw them, or anyone calls refundOffer.
+    function acceptCounterOffer(uint256 _offerId) external nonReentrant whenNotPaused {
+        LoanTypes.CounterOffer storage offer = counterOffers[_offerId];
+        uint256 requestId = offer.requestId;
+        (address borrower, , bool isActive, , ) = _request(requestId);
+
+        require(offer.isActive, "Offer is not active");
+        require(msg.sender == borrower, "Only borrower can accept offer");
+        require(isActive, "Request is not active");
+        require(!platform.isRequestExpired(requestId), "Request expired");
+
+        offer.isActive = false;
+        // The platform pays the principal (less its origination fee) to the borrower
+        uint256 loanId = platform.openOfferLoan{value: offer.amount}(requestId, offer.lender, offer.interestRate, offer.durationInDays);
+
+        emit CounterOfferAccepted(_offerId, requestId, loanId);
+    }
+
+    function getRequestCounterOfferIds(uint256 _requestId) external view returns (uint256[] memory) {
+        return requestToCounterOfferIds[_requestId];
+    }
+
+    // Lender escrows ETH as a standing offer that borrowers can draw on
+    function postLiquidityOffer(
+        uint256 _maxDurationInDays,
+        uint256 _interestRate,
+        uint256 _minCollateralRatioBp
+    ) external payable nonReentrant whenNotPaused {
+        require(msg.value > 0, "Offer amount must be greater than 0");
+        require(_maxDurationInDays > 0, "Duration must be greater than 0");
+        _checkInterestRate(_interestRate);
+        require(_minCollateralRatioBp >= platform.minCollateralRatioBp(), "Collateral ratio below platform minimum");
+        require(_minCollateralRatioBp <= 50000, "ratio too high");
+
+        uint256 offerId = totalLiquidityOffers++;
+        LoanTypes.LiquidityOffer storage offer = liquidityOffers[offerId];
+        offer.lender = msg.sender;
+        offer.availableAmount = msg.value;
+        offer.maxDurationInDays = _maxDurationInDays;
+        offer.interestRate = _interestRate;
+        offer.minCollateralRatioBp = _minCollateralRatioBp;
+        offer.isActive = true;
+
+        emit LiquidityOfferPosted(offerId, msg.sender, msg.value, _maxDurationInDays, _interestRate, _minCollateralRatioBp);
+    }
+
+    // Borrower draws part or all of an offer; msg.value is the collateral.
+    // A filled request is recorded on the platform so the loan has the same history as one funded through fundLoanRequest.
+    function borrowFromLiquidityOffer(
+        uint256 _offerId,
+        uint256 _loanAmount,
+        uint256 _durationInDays
+    ) external payable nonReentrant whenNotPaused {
+        LoanTypes.LiquidityOffer storage offer = liquidityOffers[_offerId];
+
+        require(offer.isActive, "Offer is not active");
+        require(msg.sender != offer.lender, "Lender cannot borrow from own offer");
+        require(_loanAmount > 0, "Loan amount must be greater than 0");
+        require(_loanAmount <= offer.availableAmount, "Exceeds offer liquidity");
+        require(_durationInDays > 0, "Duration must be greater than 0");
+        require(_durationInDays <= offer.maxDurationInDays, "Duration exceeds offer maximum");
+        uint256 platformRatioBp = platform.minCollateralRatioBp();
+        uint256 ratioBp = offer.minCollateralRatioBp > platformRatioBp ? offer.minCollateralRatioBp : platformRatioBp;
+        require(msg.value * 10000 >= _loanAmount * ratioBp, "Insufficient collateral");
+
+        offer.availableAmount -= _loanAmount;
+        if (offer.availableAmount == 0) {
+            offer.isActive = false;
+        }
+
+        uint256 requestId = platform.createOfferRequest{value: msg.value}(msg.sender, _loanAmount, _durationInDays, offer.interestRate);
+        uint256 loanId = platform.openOfferLoan{value: _loanAmount}(requestId, offer.lender, offer.interestRate, _durationInDays);
+        emit LiquidityOfferDrawn(_offerId, loanId, msg.sender, _loanAmount);
+    }
+
+    // Lender closes an offer and takes back the liquidity not lent out (allowed while paused)
+    function withdrawLiquidityOffer(uint256 _offerId) external nonReentrant {
+        LoanTypes.LiquidityOffer storage offer = liquidityOffers[_offerId];
+
+        require(msg.sender == offer.lender, "Only lender can withdraw offer");
+        require(offer.isActive, "Offer is not active");
+
+        uint256 amount = offer.availableAmount;
+        offer.availableAmount = 0;
+        offer.isActive = false;
+
+        emit LiquidityOfferWithdrawn(_offerId, msg.sender, amount);
+
+        (bool refunded, ) = payable(msg.sender).call{value: amount}("");
+        require(refunded, "Refund failed");
+    }
+
+    function _checkInterestRate(uint256 _interestRate) internal view {
+        require(
+            _interestRate <= platform.MAX_INTEREST_RATE(),
+            "Interest rate exceeds maximum allowed (7%)"
+        );
+        require(_interestRate > 0, "Interest rate must be greater than 0");
+    }
+
+    // Request fields the offers depend on (field order as declared in LoanTypes)
+    function _request(uint256 _requestId)
+        internal
+        view
+        returns (address borrower, uint256 loanAmount, bool isActive, uint256 installmentCount, address loanToken)
+    {
+        (borrower, loanAmount, , isActive, , , , , , , , installmentCount, , loanToken, , ) = platform.loanRequests(_requestId);
+    }
+}
@@ -8,6 +8,9 @@ contract LoanStorage {
 
     mapping(uint256 => LoanTypes.ActiveLoan) public activeLoans;
     uint256 public totalLoans; //loans funded
+    mapping(uint256 => uint256) public scheduledPrincipalUsd; //by loan id, USD principal the installments split (capitalized interest included)
+
+    mapping(uint256 => LoanTypes.ExtensionProposal) public extensionProposals; //by loan id
 
     function getNextRequestId() internal returns (uint256) {
         return totalRequests++;
@@ -14,6 +14,11 @@ contract LoanTypes {
         bytes32 propertyIdCommitment;
         string appraisalEncryptedCid;
         uint256 propertyUnits;
+        uint256 installmentCount; // 1 = single repayment at endTime
+        uint256 fundingDeadline; // 0 = no deadline
+        address loanToken; // address(0) = native ETH, otherwise a whitelisted USD stablecoin
+        address collateralAsset; // address(0) = ETH stake only, otherwise escrowed in the CollateralRegistry
+        uint256 collateralAmount; // token amount, or token id for an ERC-721
     }
 
     struct ActiveLoan {
@@ -27,5 +32,42 @@ contract LoanTypes {
         bool isRepaid;
         uint256 initialEthPrice;
         uint256 propertyUnits;
+        // Partial repayments (USD, 1e18-scaled)
+        uint256 principalOutstandingUsd;
+        uint256 accruedInterestUsd;
+        uint256 lastAccrualTimestamp;
+        uint256 installmentCount;
+        address loanToken; // principal and repayments in this token, collateral stays in ETH
+        address collateralAsset; // pledged ERC-20/ERC-721 on top of the ETH stake
+        uint256 collateralAmount;
+    }
+
+    // Borrower-proposed change of term, accepted on-chain by the lender
+    struct ExtensionProposal {
+        uint256 newEndTime;
+        uint256 newInterestRate;
+        bool capitalizeInterest; // true: accrued interest is added to principal, false: settled from escrow
+        uint256 settlementEscrow; // ETH escrowed by the borrower to settle accrued interest
+        bool isActive;
+    }
+
+    // Lender's alternative terms for a request, with the loan amount escrowed
+    struct CounterOffer {
+        uint256 requestId;
+        address lender;
+        uint256 amount;
+        uint256 interestRate;
+        uint256 durationInDays;
+        bool isActive;
+    }
+
+    // Standing lender offer that borrowers draw on by posting collateral
+    struct LiquidityOffer {
+        address lender;
+        uint256 availableAmount; // escrowed ETH not yet lent out
+        uint256 maxDurationInDays;
+        uint256 interestRate;
+        uint256 minCollateralRatioBp;
+        bool isActive;
     }
 }
@@ -0,0 +1,85 @@
+pragma solidity ^0.8.0;
+
+// Delayed execution of admin calls, meant to hold LendingPlatform's owner, risk-admin and oracle-admin roles
+// and to own the satellite contracts (collateral registry, price fallback, auction, real-estate oracle).
+// The admin queues a call with an execution time at least `delay` ahead; users see it (ChangeQueued) and can react
+// before it runs. A queued call can be executed once its time has come, or cancelled at any time before.
+contract ParameterTimelock {
+    uint256 public constant MIN_DELAY = 1 days;
+    uint256 public constant MAX_DELAY = 30 days;
+
+    address public admin;
+    uint256 public delay;
+    mapping(bytes32 => bool) public queued; // by changeId(target, data, eta)
+
+    event ChangeQueued(bytes32 indexed id, address indexed target, bytes data, uint256 eta);
+    event ChangeExecuted(bytes32 indexed id, address indexed target, bytes data, uint256 eta);
+    event ChangeCancelled(bytes32 indexed id);
+    event DelayUpdated(uint256 delay);
+    event AdminUpdated(address indexed previousAdmin, address indexed newAdmin);
+
+    constructor(uint256 _delay) {
+        require(_delay >= MIN_DELAY && _delay <= MAX_DELAY, "invalid delay");
+        admin = msg.sender;
+        delay = _delay;
+        emit AdminUpdated(address(0), msg.sender);
+        emit DelayUpdated(_delay);
+    }
+
+    modifier onlyAdmin() {
+        require(msg.sender == admin, "not admin");
+        _;
+    }
+
+    function setAdmin(address _admin) external onlyAdmin {
+        require(_admin != address(0), "zero address");
+        address prev = admin;
+        admin = _admin;
+        emit AdminUpdated(prev, _admin);
+    }
+
+    // Only through the timelock itself, so a shorter delay is also announced in advance
+    function setDelay(uint256 _delay) external {
+        require(msg.sender == address(this), "only timelock");
+        require(_delay >= MIN_DELAY && _delay <= MAX_DELAY, "invalid delay");
+        delay = _delay;
+        emit DelayUpdated(_delay);
+    }
+
+    function queue(address _target, bytes calldata _data, uint256 _eta) external onlyAdmin returns (bytes32 id) {
+        require(_eta >= block.timestamp + delay, "eta before delay");
+        id = changeId(_target, _data, _eta);
+        require(!queued[id], "already queued");
+        queued[id] = true;
+        emit ChangeQueued(id, _target, _data, _eta);
+    }
+
+    function cancel(address _target, bytes calldata _data, uint256 _eta) external onlyAdmin {
+        bytes32 id = changeId(_target, _data, _eta);
+        require(queued[id], "not queued");
+        queued[id] = false;
+        emit ChangeCancelled(id);
+    }
+
+    // Runs a queued call; reverts with the target's reason if the call fails
+    function execute(address _target, bytes calldata _data, uint256 _eta) external onlyAdmin returns (bytes memory result) {
+        bytes32 id = changeId(_target, _data, _eta);
+        require(queued[id], "not queued");
+        require(block.timestamp >= _eta, "too early");
+        queued[id] = false;
+
+        bool success;
+        (success, result) = _target.call(_data);
+        if (!success) {
+            require(result.length > 0, "change failed");
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        emit ChangeExecuted(id, _target, _data, _eta);
+    }
+
+    function changeId(address _target, bytes calldata _data, uint256 _eta) public pure returns (bytes32) {
+        return keccak256(abi.encode(_target, _data, _eta));
+    }
+}
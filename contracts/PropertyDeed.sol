@@ -0,0 +1,169 @@
+pragma solidity ^0.8.0;
+
+interface IERC721Receiver {
+    function onERC721Received(address operator, address from, uint256 tokenId, bytes calldata data) external returns (bytes4);
+}
+
+// On-chain deed for a real-estate property, one token per propertyIdCommitment.
+// Registrars mint deeds carrying the encrypted appraisal CID; the deed can then be pledged as loan collateral.
+contract PropertyDeed {
+    string public constant name = "DLoan Property Deed";
+    string public constant symbol = "DEED";
+
+    address public owner;
+    mapping(address => bool) public isRegistrar;
+
+    uint256 public totalSupply;
+    mapping(uint256 => bytes32) public propertyIdCommitment; // by token id
+    mapping(uint256 => string) public appraisalEncryptedCid; // by token id
+    mapping(uint256 => uint256) public propertyUnits; // surveyed size in real-estate index units, by token id
+    mapping(bytes32 => uint256) public tokenIdOfProperty; // 0 = not minted (ids start at 1)
+
+    mapping(uint256 => address) private owners;
+    mapping(address => uint256) private balances;
+    mapping(uint256 => address) private tokenApprovals;
+    mapping(address => mapping(address => bool)) private operatorApprovals;
+
+    event Transfer(address indexed from, address indexed to, uint256 indexed tokenId);
+    event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId);
+    event ApprovalForAll(address indexed owner, address indexed operator, bool approved);
+    event DeedMinted(uint256 indexed tokenId, bytes32 indexed propertyIdCommitment, address indexed to, string appraisalEncryptedCid);
+    event AppraisalUpdated(uint256 indexed tokenId, string appraisalEncryptedCid);
+    event PropertyUnitsUpdated(uint256 indexed tokenId, uint256 units);
+    event RegistrarUpdated(address indexed registrar, bool enabled);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+
+    constructor() {
+        owner = msg.sender;
+        isRegistrar[msg.sender] = true;
+        emit OwnershipTransferred(address(0), msg.sender);
+        emit RegistrarUpdated(msg.sender, true);
+    }
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "not owner");
+        _;
+    }
+
+    modifier onlyRegistrar() {
+        require(isRegistrar[msg.sender], "not registrar");
+        _;
+    }
+
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "zero address");
+        address prev = owner;
+        owner = newOwner;
+        emit OwnershipTransferred(prev, newOwner);
+    }
+
+    function setRegistrar(address _registrar, bool _enabled) external onlyOwner {
+        require(_registrar != address(0), "zero address");
+        isRegistrar[_registrar] = _enabled;
+        emit RegistrarUpdated(_registrar, _enabled);
+    }
+
+    // Registrar: mint the deed of a property to its owner
+    function mint(address _to, bytes32 _propertyIdCommitment, string calldata _appraisalEncryptedCid) external onlyRegistrar returns (uint256 tokenId) {
+        require(_to != address(0), "zero address");
+        require(_propertyIdCommitment != bytes32(0), "empty commitment");
+        require(tokenIdOfProperty[_propertyIdCommitment] == 0, "property already registered");
+
+        tokenId = ++totalSupply;
+        propertyIdCommitment[tokenId] = _propertyIdCommitment;
+        appraisalEncryptedCid[tokenId] = _appraisalEncryptedCid;
+        tokenIdOfProperty[_propertyIdCommitment] = tokenId;
+        owners[tokenId] = _to;
+        balances[_to]++;
+
+        emit Transfer(address(0), _to, tokenId);
+        emit DeedMinted(tokenId, _propertyIdCommitment, _to, _appraisalEncryptedCid);
+    }
+
+    // Registrar: attach a new encrypted appraisal to an existing deed
+    function updateAppraisal(uint256 _tokenId, string calldata _appraisalEncryptedCid) external onlyRegistrar {
+        require(owners[_tokenId] != address(0), "nonexistent token");
+        appraisalEncryptedCid[_tokenId] = _appraisalEncryptedCid;
+        emit AppraisalUpdated(_tokenId, _appraisalEncryptedCid);
+    }
+
+    // Registrar: record the property's size; loans can value at most this many units of the deed
+    function setPropertyUnits(uint256 _tokenId, uint256 _units) external onlyRegistrar {
+        require(owners[_tokenId] != address(0), "nonexistent token");
+        propertyUnits[_tokenId] = _units;
+        emit PropertyUnitsUpdated(_tokenId, _units);
+    }
+
+    // ERC-721
+    function balanceOf(address _owner) external view returns (uint256) {
+        require(_owner != address(0), "zero address");
+        return balances[_owner];
+    }
+
+    function ownerOf(uint256 _tokenId) public view returns (address) {
+        address tokenOwner = owners[_tokenId];
+        require(tokenOwner != address(0), "nonexistent token");
+        return tokenOwner;
+    }
+
+    function tokenURI(uint256 _tokenId) external view returns (string memory) {
+        ownerOf(_tokenId);
+        return appraisalEncryptedCid[_tokenId];
+    }
+
+    function approve(address _to, uint256 _tokenId) external {
+        address tokenOwner = ownerOf(_tokenId);
+        require(msg.sender == tokenOwner || operatorApprovals[tokenOwner][msg.sender], "not approved");
+        tokenApprovals[_tokenId] = _to;
+        emit Approval(tokenOwner, _to, _tokenId);
+    }
+
+    function getApproved(uint256 _tokenId) external view returns (address) {
+        ownerOf(_tokenId);
+        return tokenApprovals[_tokenId];
+    }
+
+    function setApprovalForAll(address _operator, bool _approved) external {
+        operatorApprovals[msg.sender][_operator] = _approved;
+        emit ApprovalForAll(msg.sender, _operator, _approved);
+    }
+
+    function isApprovedForAll(address _owner, address _operator) external view returns (bool) {
+        return operatorApprovals[_owner][_operator];
+    }
+
+    function transferFrom(address _from, address _to, uint256 _tokenId) public {
+        address tokenOwner = ownerOf(_tokenId);
+        require(tokenOwner == _from, "wrong owner");
+        require(_to != address(0), "zero address");
+        require(
+            msg.sender == tokenOwner || msg.sender == tokenApprovals[_tokenId] || operatorApprovals[tokenOwner][msg.sender],
+            "not approved"
+        );
+
+        delete tokenApprovals[_tokenId];
+        balances[_from]--;
+        balances[_to]++;
+        owners[_tokenId] = _to;
+
+        emit Transfer(_from, _to, _tokenId);
+    }
+
+    function safeTransferFrom(address _from, address _to, uint256 _tokenId) external {
+        safeTransferFrom(_from, _to, _tokenId, "");
+    }
+
+    function safeTransferFrom(address _from, address _to, uint256 _tokenId, bytes memory _data) public {
+        transferFrom(_from, _to, _tokenId);
+        if (_to.code.length > 0) {
+            bytes4 retval = IERC721Receiver(_to).onERC721Received(msg.sender, _from, _tokenId, _data);
+            require(retval == IERC721Receiver.onERC721Received.selector, "unsafe recipient");
+        }
+    }
+
+    function supportsInterface(bytes4 _interfaceId) external pure returns (bool) {
+        return _interfaceId == 0x01ffc9a7 // ERC-165
+            || _interfaceId == 0x80ac58cd // ERC-721
+            || _interfaceId == 0x5b5e139f; // ERC-721 metadata
+    }
+}
@@ -1,17 +1,57 @@
 pragma solidity ^0.8.0;
 
-// Demo-only mock oracle for a Real World Asset
-contract RealEstateOracle {
-    int256 private indexValue;
+import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+
+// Real-estate index (USD per property unit, 8 decimals) reported by several authorized reporters.
+// Each reporter submits once per round; when `quorum` submissions are in, the round's answer is their median
+// and a new round opens. A round that misses quorum within `roundTimeout` of its first submission is discarded
+// and reporting starts over. Rounds are exposed through the Chainlink AggregatorV3Interface.
+contract RealEstateOracle is AggregatorV3Interface {
+    struct Round {
+        int256 answer;
+        uint256 startedAt; // first submission of the round
+        uint256 updatedAt; // 0 until the round reaches quorum
+    }
+
+    uint8 public constant override decimals = 8;
+    uint256 public constant override version = 1;
+    string public constant override description = "DLoan real-estate index / USD";
+
     address public owner;
+    mapping(address => bool) public isReporter;
+    uint256 public reporterCount;
+    uint256 public quorum; // submissions needed to close a round
+    uint256 public roundTimeout = 1 days; // lifetime of the open round's submissions
+
+    uint80 public latestRoundId; // last answered round; the open round is latestRoundId + 1
+    uint256 public updatedAt; // timestamp of the latest answer
+    mapping(uint80 => Round) private rounds;
+    mapping(uint80 => int256[]) private roundSubmissions;
+    mapping(uint80 => mapping(address => bool)) public hasSubmitted;
+    mapping(uint80 => address[]) private roundReporters;
 
-    event IndexUpdated(int256 newValue);
+    event AnswerSubmitted(uint80 indexed roundId, address indexed reporter, int256 value);
+    event IndexUpdated(uint80 indexed roundId, int256 newValue, uint256 updatedAt);
+    event ReporterUpdated(address indexed reporter, bool enabled);
+    event QuorumUpdated(uint256 quorum);
+    event RoundTimeoutUpdated(uint256 roundTimeout);
+    event RoundDiscarded(uint80 indexed roundId, uint256 submissions);
     event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
 
+    // The deployer is the first reporter and the initial value answers round 1
     constructor(int256 initialValue) {
+        require(initialValue > 0, "invalid value");
         owner = msg.sender;
-        indexValue = initialValue;
+        isReporter[msg.sender] = true;
+        reporterCount = 1;
+        quorum = 1;
+        latestRoundId = 1;
+        updatedAt = block.timestamp;
+        rounds[1] = Round(initialValue, block.timestamp, block.timestamp);
         emit OwnershipTransferred(address(0), msg.sender);
+        emit ReporterUpdated(msg.sender, true);
+        emit QuorumUpdated(1);
+        emit IndexUpdated(1, initialValue, block.timestamp);
     }
 
     modifier onlyOwner() {
@@ -26,15 +66,120 @@ contract RealEstateOracle {
         emit OwnershipTransferred(prev, newOwner);
     }
 
-    function setIndexValue(int256 newValue) external onlyOwner {
+    function setReporter(address _reporter, bool _enabled) external onlyOwner {
+        require(_reporter != address(0), "zero address");
+        require(isReporter[_reporter] != _enabled, "reporter unchanged");
+        if (_enabled) {
+            reporterCount++;
+        } else {
+            require(reporterCount - 1 >= quorum, "quorum exceeds reporters");
+            reporterCount--;
+        }
+        isReporter[_reporter] = _enabled;
+        emit ReporterUpdated(_reporter, _enabled);
+    }
+
+    function setQuorum(uint256 _quorum) external onlyOwner {
+        require(_quorum > 0 && _quorum <= reporterCount, "invalid quorum");
+        quorum = _quorum;
+        emit QuorumUpdated(_quorum);
+    }
+
+    function setRoundTimeout(uint256 _roundTimeout) external onlyOwner {
+        require(_roundTimeout > 0, "invalid timeout");
+        roundTimeout = _roundTimeout;
+        emit RoundTimeoutUpdated(_roundTimeout);
+    }
+
+    // Reporter: submit a value for the open round; the submission reaching quorum publishes the median.
+    // Submissions older than roundTimeout are dropped first, so a stale value never counts toward quorum.
+    function setIndexValue(int256 newValue) external {
+        require(isReporter[msg.sender], "not reporter");
         require(newValue > 0, "invalid value");
-        indexValue = newValue;
-        emit IndexUpdated(newValue);
+        uint80 roundId = latestRoundId + 1;
+        uint256 startedAt = rounds[roundId].startedAt;
+        if (startedAt != 0 && block.timestamp > startedAt + roundTimeout) {
+            _discardRound(roundId);
+        }
+        require(!hasSubmitted[roundId][msg.sender], "already submitted");
+
+        hasSubmitted[roundId][msg.sender] = true;
+        roundReporters[roundId].push(msg.sender);
+        int256[] storage values = roundSubmissions[roundId];
+        values.push(newValue);
+        if (rounds[roundId].startedAt == 0) {
+            rounds[roundId].startedAt = block.timestamp;
+        }
+        emit AnswerSubmitted(roundId, msg.sender, newValue);
+
+        if (values.length >= quorum) {
+            int256 answer = _median(values);
+            rounds[roundId].answer = answer;
+            rounds[roundId].updatedAt = block.timestamp;
+            latestRoundId = roundId;
+            updatedAt = block.timestamp;
+            emit IndexUpdated(roundId, answer, block.timestamp);
+        }
+    }
+
+    // Submissions received so far for a round (the open one included)
+    function getSubmissions(uint80 _roundId) external view returns (int256[] memory) {
+        return roundSubmissions[_roundId];
     }
 
+    function getRoundData(uint80 _roundId)
+        public
+        view
+        override
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt_, uint80 answeredInRound)
+    {
+        Round storage round = rounds[_roundId];
+        require(round.updatedAt > 0, "No data present");
+        return (_roundId, round.answer, round.startedAt, round.updatedAt, _roundId);
+    }
+
+    function latestRoundData()
+        external
+        view
+        override
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt_, uint80 answeredInRound)
+    {
+        return getRoundData(latestRoundId);
+    }
+
+    // Latest answer and its decimals, kept for older readers
     function latestIndex() external view returns (int256, uint8) {
-        return (indexValue, 8);
+        return (rounds[latestRoundId].answer, decimals);
     }
-}
 
+    // Clears the open round so every reporter can submit again
+    function _discardRound(uint80 _roundId) internal {
+        address[] storage reporters = roundReporters[_roundId];
+        for (uint256 i = 0; i < reporters.length; i++) {
+            hasSubmitted[_roundId][reporters[i]] = false;
+        }
+        emit RoundDiscarded(_roundId, reporters.length);
+        delete roundReporters[_roundId];
+        delete roundSubmissions[_roundId];
+        delete rounds[_roundId];
+    }
 
+    // Median of the submissions (mean of the two middle values for an even count)
+    function _median(int256[] storage _values) internal view returns (int256) {
+        uint256 n = _values.length;
+        int256[] memory sorted = new int256[](n);
+        for (uint256 i = 0; i < n; i++) {
+            int256 v = _values[i];
+            uint256 j = i;
+            while (j > 0 && sorted[j - 1] > v) {
+                sorted[j] = sorted[j - 1];
+                j--;
+            }
+            sorted[j] = v;
+        }
+        if (n % 2 == 1) {
+            return sorted[n / 2];
+        }
+        return (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+    }
+}
@@ -0,0 +1,40 @@
+pragma solidity ^0.8.0;
+
+// Test/demo-only ERC-721 with open minting (no safe-transfer hooks)
+contract MockERC721 {
+    mapping(uint256 => address) public ownerOf;
+    mapping(uint256 => address) public getApproved;
+    mapping(address => mapping(address => bool)) public isApprovedForAll;
+
+    event Transfer(address indexed from, address indexed to, uint256 indexed tokenId);
+    event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId);
+    event ApprovalForAll(address indexed owner, address indexed operator, bool approved);
+
+    function mint(address to, uint256 tokenId) external {
+        require(ownerOf[tokenId] == address(0), "already minted");
+        ownerOf[tokenId] = to;
+        emit Transfer(address(0), to, tokenId);
+    }
+
+    function approve(address to, uint256 tokenId) external {
+        require(msg.sender == ownerOf[tokenId], "not owner");
+        getApproved[tokenId] = to;
+        emit Approval(msg.sender, to, tokenId);
+    }
+
+    function setApprovalForAll(address operator, bool approved) external {
+        isApprovedForAll[msg.sender][operator] = approved;
+        emit ApprovalForAll(msg.sender, operator, approved);
+    }
+
+    function transferFrom(address from, address to, uint256 tokenId) external {
+        require(ownerOf[tokenId] == from, "wrong owner");
+        require(
+            msg.sender == from || msg.sender == getApproved[tokenId] || isApprovedForAll[from][msg.sender],
+            "not approved"
+        );
+        ownerOf[tokenId] = to;
+        delete getApproved[tokenId];
+        emit Transfer(from, to, tokenId);
+    }
+}
@@ -0,0 +1,10 @@
+pragma solidity ^0.8.0;
+
+// Test-only price feed whose reads always revert, like a deprecated or misconfigured aggregator
+contract MockRevertingAggregator {
+    uint8 public constant decimals = 8;
+
+    function latestRoundData() external pure returns (uint80, int256, uint256, uint256, uint80) {
+        revert("feed unavailable");
+    }
+}
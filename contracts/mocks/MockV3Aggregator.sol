@@ -0,0 +1,56 @@
+pragma solidity ^0.8.0;
+
+import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+
+// Test-only Chainlink-style price feed with settable answers and round history
+contract MockV3Aggregator is AggregatorV3Interface {
+    uint8 public override decimals;
+    uint256 public constant override version = 0;
+    string public constant override description = "MockV3Aggregator";
+
+    int256 public latestAnswer;
+    uint256 public latestTimestamp;
+    uint80 public latestRound;
+
+    mapping(uint80 => int256) public getAnswer;
+    mapping(uint80 => uint256) public getTimestamp;
+    mapping(uint80 => uint256) private getStartedAt;
+
+    constructor(uint8 _decimals, int256 _initialAnswer) {
+        decimals = _decimals;
+        updateAnswer(_initialAnswer);
+    }
+
+    // New round answered now
+    function updateAnswer(int256 _answer) public {
+        updateRoundData(latestRound + 1, _answer, block.timestamp, block.timestamp);
+    }
+
+    // Set an arbitrary round as the latest one, e.g. with an old timestamp to simulate a stale feed
+    function updateRoundData(uint80 _roundId, int256 _answer, uint256 _timestamp, uint256 _startedAt) public {
+        latestRound = _roundId;
+        latestAnswer = _answer;
+        latestTimestamp = _timestamp;
+        getAnswer[_roundId] = _answer;
+        getTimestamp[_roundId] = _timestamp;
+        getStartedAt[_roundId] = _startedAt;
+    }
+
+    function getRoundData(uint80 _roundId)
+        external
+        view
+        override
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)
+    {
+        return (_roundId, getAnswer[_roundId], getStartedAt[_roundId], getTimestamp[_roundId], _roundId);
+    }
+
+    function latestRoundData()
+        external
+        view
+        override
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)
+    {
+        return (latestRound, latestAnswer, getStartedAt[latestRound], latestTimestamp, latestRound);
+    }
+}
@@ -0,0 +1,589 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Form, Button, Table, Card, Badge, Toast } from 'react-bootstrap';
+import { ethers } from 'ethers';
+import { TxLink } from './TxLink';
+import LendingPlatformABI from '../contracts/LendingPlatform.json';
+import ParameterTimelockABI from '../contracts/ParameterTimelock.json';
+import RealEstateOracleABI from '../contracts/RealEstateOracle.json';
+import Address from '../contracts/contract-address.json';
+
+// On-chain caps, as enforced by the LendingPlatform setters
+const MAX_PENALTY_BP = 5000;
+const MAX_BONUS_BP = 5000;
+const MAX_FEE_BP = 5000;
+const MAX_GRACE_SECONDS = 30 * 24 * 60 * 60;
+const MIN_THRESHOLD_BP = 10000;
+const MAX_COLLATERAL_RATIO_BP = 50000;
+
+// Extra time on top of the timelock delay, so a queued change is not rejected by a block mined meanwhile
+const ETA_MARGIN_SECONDS = 60;
+
+// Admin events listed in the audit trail
+const AUDITED_EVENTS = ['ParamsUpdated', 'OracleUpdated', 'DemoPriceUpdated', 'RealEstateOracleUpdated'];
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+// Error message for a whole number outside [min, max], or null
+const checkInteger = (value, label, min, max) => {
+  const n = Number(value);
+  if (value === '' || !Number.isInteger(n)) return `${label} must be a whole number`;
+  if (n < min) return `${label} must be at least ${min}`;
+  if (max !== undefined && n > max) return `${label} cannot exceed ${max}`;
+  return null;
+};
+
+const checkPositive = (value, label) =>
+  (value === '' || !(Number(value) > 0) ? `${label} must be greater than 0` : null);
+
+const Admin = () => {
+  const [account, setAccount] = useState('');
+  const [contract, setContract] = useState(null);
+  const [timelock, setTimelock] = useState(null);
+  const [settings, setSettings] = useState(null); // current on-chain values and role holders
+  const [form, setForm] = useState({});
+  const [indexOracle, setIndexOracle] = useState(null); // { value, isReporter } of the wired real-estate oracle
+  const [queuedChanges, setQueuedChanges] = useState([]);
+  const [auditLog, setAuditLog] = useState([]);
+  const [toast, setToast] = useState({ show: false, message: '', variant: 'success' });
+
+  // Connect wallet and contracts
+  useEffect(() => {
+    const init = async () => {
+      if (typeof window.ethereum === 'undefined') return;
+      try {
+        const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
+        setAccount(accounts[0]);
+        const signer = new ethers.providers.Web3Provider(window.ethereum).getSigner();
+        setContract(new ethers.Contract(Address.LendingPlatform, LendingPlatformABI.abi, signer));
+        if (Address.ParameterTimelock) {
+          setTimelock(new ethers.Contract(Address.ParameterTimelock, ParameterTimelockABI.abi, signer));
+        }
+      } catch (error) {
+        console.error("Initialization error:", error);
+        showToast("Error initializing admin console", 'danger');
+      }
+    };
+    init();
+  }, []);
+
+  useEffect(() => {
+    loadSettings();
+    loadAuditLog();
+  }, [contract]);
+
+  useEffect(() => {
+    loadQueuedChanges();
+  }, [contract, timelock]);
+
+  // Current parameters and role holders; the forms start from these values
+  const loadSettings = async () => {
+    if (!contract) return;
+    try {
+      const current = {
+        owner: await contract.owner(),
+        pauser: await contract.pauser(),
+        riskAdmin: await contract.riskAdmin(),
+        oracleAdmin: await contract.oracleAdmin(),
+        treasury: await contract.treasury(),
+        paused: await contract.paused(),
+        circuitBreaker: await contract.priceCircuitBreaker(),
+        penaltyBp: (await contract.overdueRepayPenaltyBp()).toString(),
+        bonusBp: (await contract.liquidationBonusBp()).toString(),
+        stalenessSeconds: (await contract.maxPriceStalenessSeconds()).toString(),
+        graceSeconds: (await contract.gracePeriodSeconds()).toString(),
+        originationFeeBp: (await contract.originationFeeBp()).toString(),
+        interestFeeBp: (await contract.interestFeeBp()).toString(),
+        thresholdBp: (await contract.liquidationThresholdBp()).toString(),
+        minRatioBp: (await contract.minCollateralRatioBp()).toString(),
+        reStalenessSeconds: (await contract.maxRealEstateStalenessSeconds()).toString(),
+        reMinUnitUsd: ethers.utils.formatUnits(await contract.minRealEstateUnitUsd(), 18),
+        reMaxUnitUsd: ethers.utils.formatUnits(await contract.maxRealEstateUnitUsd(), 18),
+        ethUsdFeed: await contract.ethUsdFeed(),
+        demoPriceUsd: ethers.utils.formatUnits(await contract.demoFixedEthUsdPrice(), 18),
+        realEstateOracle: await contract.realEstateOracle()
+      };
+      if (timelock) {
+        current.timelockDelay = (await timelock.delay()).toNumber();
+      }
+      setSettings(current);
+      setForm({ ...current, newOwner: '', indexValueUsd: '' });
+
+      if (current.realEstateOracle !== ethers.constants.AddressZero) {
+        const oracle = new ethers.Contract(current.realEstateOracle, RealEstateOracleABI.abi, contract.signer);
+        const [value, decimals] = await oracle.latestIndex();
+        setIndexOracle({
+          value: ethers.utils.formatUnits(value, decimals),
+          isReporter: await oracle.isReporter(await contract.signer.getAddress())
+        });
+      }
+    } catch (error) {
+      console.error("Error loading settings:", error);
+      showToast("Error loading platform settings", 'danger');
+    }
+  };
+
+  // Changes waiting in the timelock (queued and neither executed nor cancelled)
+  const loadQueuedChanges = async () => {
+    if (!contract || !timelock) return;
+    try {
+      const events = await timelock.queryFilter(timelock.filters.ChangeQueued());
+      const pending = [];
+      for (const event of events) {
+        if (!(await timelock.queued(event.args.id))) continue;
+        const { target, data, eta } = event.args;
+        let description = data;
+        if (sameAddress(target, contract.address)) {
+          const call = contract.interface.parseTransaction({ data });
+          description = `${call.name}(${call.args.map((arg) => arg.toString()).join(', ')})`;
+        }
+        pending.push({ id: event.args.id, target, data, eta: eta.toNumber(), description, txHash: event.transactionHash });
+      }
+      setQueuedChanges(pending);
+    } catch (error) {
+      console.error("Error loading queued changes:", error);
+      showToast("Error loading queued changes", 'danger');
+    }
+  };
+
+  // Past parameter and oracle changes, newest first
+  const loadAuditLog = async () => {
+    if (!contract) return;
+    try {
+      const entries = [];
+      for (const name of AUDITED_EVENTS) {
+        for (const event of await contract.queryFilter(contract.filters[name]())) {
+          const block = await event.getBlock();
+          entries.push({
+            key: `${event.blockNumber}-${event.logIndex}`,
+            blockNumber: event.blockNumber,
+            logIndex: event.logIndex,
+            name,
+            date: new Date(block.timestamp * 1000).toLocaleString(),
+            details: describeAuditEvent(name, event.args),
+            txHash: event.transactionHash
+          });
+        }
+      }
+      entries.sort((a, b) => (b.blockNumber - a.blockNumber) || (b.logIndex - a.logIndex));
+      setAuditLog(entries);
+    } catch (error) {
+      console.error("Error loading audit log:", error);
+      showToast("Error loading audit log", 'danger');
+    }
+  };
+
+  const describeAuditEvent = (name, args) => {
+    if (name === 'ParamsUpdated') {
+      return `Daily overdue penalty ${args.overdueRepayPenaltyBp} bp, bonus ${args.liquidationBonusBp} bp, max staleness ${args.maxPriceStalenessSeconds}s`;
+    }
+    if (name === 'OracleUpdated') {
+      return args.newFeed === ethers.constants.AddressZero ? 'ETH/USD feed removed (demo price)' : `ETH/USD feed ${args.newFeed}`;
+    }
+    if (name === 'DemoPriceUpdated') {
+      return `Demo ETH/USD price ${ethers.utils.formatUnits(args.price, 18)} USD`;
+    }
+    return `Real-estate oracle ${args.newOracle}`;
+  };
+
+  // Who can apply a change held by `holder`: this account directly, or through the timelock it administers
+  const actionLabel = (holder) => {
+    if (sameAddress(holder, account)) return 'Apply';
+    if (timelock && sameAddress(holder, timelock.address)) return 'Queue';
+    return null;
+  };
+
+  // Calls a setter when this account holds its role, or queues it on the timelock holding the role
+  const submitChange = async (holder, method, args, label) => {
+    try {
+      if (sameAddress(holder, account)) {
+        await (await contract[method](...args)).wait();
+        showToast(`${label} updated`, 'success');
+      } else if (timelock && sameAddress(holder, timelock.address)) {
+        const data = contract.interface.encodeFunctionData(method, args);
+        const latest = await contract.provider.getBlock('latest');
+        const eta = latest.timestamp + settings.timelockDelay + ETA_MARGIN_SECONDS;
+        await (await timelock.queue(contract.address, data, eta)).wait();
+        showToast(`${label} queued, executable from ${new Date(eta * 1000).toLocaleString()}`, 'info');
+      } else {
+        showToast(`This account cannot change ${label.toLowerCase()}`, 'danger');
+        return;
+      }
+      //Update UI
+      await loadSettings();
+      await loadQueuedChanges();
+      await loadAuditLog();
+    } catch (error) {
+      console.error(`Error updating ${label}:`, error);
+      showToast(error.reason || `Error updating ${label.toLowerCase()}`, 'danger');
+    }
+  };
+
+  const executeChange = async (change) => {
+    try {
+      await (await timelock.execute(change.target, change.data, change.eta)).wait();
+      showToast("Change executed", 'success');
+      //Update UI
+      await loadSettings();
+      await loadQueuedChanges();
+      await loadAuditLog();
+    } catch (error) {
+      console.error("Error executing change:", error);
+      showToast(error.reason || "Error executing change", 'danger');
+    }
+  };
+
+  const cancelChange = async (change) => {
+    try {
+      await (await timelock.cancel(change.target, change.data, change.eta)).wait();
+      showToast("Change cancelled", 'success');
+      await loadQueuedChanges();
+    } catch (error) {
+      console.error("Error cancelling change:", error);
+      showToast(error.reason || "Error cancelling change", 'danger');
+    }
+  };
+
+  // Pauser actions take effect at once
+  const togglePause = async () => {
+    try {
+      await (await (settings.paused ? contract.unpause() : contract.pause())).wait();
+      showToast(settings.paused ? "Platform resumed" : "Platform paused", 'success');
+      await loadSettings();
+    } catch (error) {
+      console.error("Error toggling pause:", error);
+      showToast(error.reason || "Error toggling pause", 'danger');
+    }
+  };
+
+  const toggleCircuitBreaker = async () => {
+    try {
+      await (await contract.setPriceCircuitBreaker(!settings.circuitBreaker)).wait();
+      showToast(settings.circuitBreaker ? "Circuit breaker reset" : "Circuit breaker tripped", 'success');
+      await loadSettings();
+    } catch (error) {
+      console.error("Error toggling circuit breaker:", error);
+      showToast(error.reason || "Error toggling circuit breaker", 'danger');
+    }
+  };
+
+  // Reporter submission to the real-estate oracle (8 decimals); the index moves once the round reaches quorum
+  const submitIndexValue = async () => {
+    try {
+      const oracle = new ethers.Contract(settings.realEstateOracle, RealEstateOracleABI.abi, contract.signer);
+      await (await oracle.setIndexValue(ethers.utils.parseUnits(form.indexValueUsd, 8))).wait();
+      showToast("Index value submitted", 'success');
+      await loadSettings();
+    } catch (error) {
+      console.error("Error submitting index value:", error);
+      showToast(error.reason || "Error submitting index value", 'danger');
+    }
+  };
+
+  // Applied at once by an owning account, queued when the timelock owns the platform
+  const transferOwnership = async () => {
+    if (!window.confirm(`Transfer platform ownership to ${form.newOwner}? The current owner loses the role.`)) return;
+    await submitChange(settings.owner, 'transferOwnership', [form.newOwner], 'Ownership');
+  };
+
+  const showToast = (message, variant) => setToast({ show: true, message, variant });
+
+  const onChange = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  // Form validation, mirroring the require() checks of each setter
+  const errors = settings ? {
+    params: checkInteger(form.penaltyBp, 'Penalty', 0, MAX_PENALTY_BP)
+      || checkInteger(form.bonusBp, 'Liquidator bonus', 0, MAX_BONUS_BP)
+      || checkInteger(form.stalenessSeconds, 'Max price staleness', 0),
+    grace: checkInteger(form.graceSeconds, 'Grace period', 0, MAX_GRACE_SECONDS),
+    fees: checkInteger(form.originationFeeBp, 'Origination fee', 0, MAX_FEE_BP)
+      || checkInteger(form.interestFeeBp, 'Interest fee', 0, MAX_FEE_BP),
+    threshold: checkInteger(form.thresholdBp, 'Liquidation threshold', MIN_THRESHOLD_BP)
+      || (Number(form.thresholdBp) >= Number(settings.minRatioBp) ? `Liquidation threshold must stay below the collateral ratio (${settings.minRatioBp} bp)` : null),
+    ratio: checkInteger(form.minRatioBp, 'Collateral ratio', 0, MAX_COLLATERAL_RATIO_BP)
+      || (Number(form.minRatioBp) <= Number(settings.thresholdBp) ? `Collateral ratio must stay above the liquidation threshold (${settings.thresholdBp} bp)` : null),
+    realEstate: checkInteger(form.reStalenessSeconds, 'Index staleness', 0)
+      || checkPositive(form.reMinUnitUsd, 'Minimum unit value')
+      || (Number(form.reMinUnitUsd) > Number(form.reMaxUnitUsd) ? 'Minimum unit value cannot exceed the maximum' : null),
+    feed: ethers.utils.isAddress(form.ethUsdFeed || '') ? null : 'Not a valid address',
+    demoPrice: checkPositive(form.demoPriceUsd, 'Demo price'),
+    realEstateOracle: ethers.utils.isAddress(form.realEstateOracle || '') && form.realEstateOracle !== ethers.constants.AddressZero
+      ? null : 'Not a valid address',
+    indexValue: checkPositive(form.indexValueUsd, 'Index value'),
+    newOwner: ethers.utils.isAddress(form.newOwner || '') && form.newOwner !== ethers.constants.AddressZero
+      ? null : 'Not a valid address'
+  } : {};
+
+  // Submit button of a setter form: Apply / Queue, or disabled without the role
+  const renderAction = (holder, error, onClick) => {
+    const label = actionLabel(holder);
+    return (
+      <Button variant={label === 'Queue' ? 'outline-primary' : 'primary'} disabled={!label || !!error} onClick={onClick}>
+        {label || 'No role'}
+      </Button>
+    );
+  };
+
+  const renderField = (field, label, error, hint) => (
+    <Form.Group className="mb-2">
+      <Form.Label>{label}</Form.Label>
+      <Form.Control value={form[field] || ''} onChange={onChange(field)} isInvalid={!!error} />
+      {hint && <Form.Text className="text-muted">{hint}</Form.Text>}
+    </Form.Group>
+  );
+
+  const roleName = (holder) => {
+    if (sameAddress(holder, account)) return 'You';
+    if (timelock && sameAddress(holder, timelock.address)) return 'Timelock';
+    return holder;
+  };
+
+  const now = Math.floor(Date.now() / 1000);
+
+  if (!settings) {
+    return <Container className="mt-5">Loading platform settings...</Container>;
+  }
+
+  return (
+    <Container className="mt-5">
+      <Toast
+        show={toast.show}
+        onClose={() => setToast({ ...toast, show: false })}
+        delay={3000}
+        autohide
+        style={{ position: 'fixed', top: 20, right: 20, zIndex: 9999 }}
+      >
+        <Toast.Header><strong className="me-auto">Notification</strong></Toast.Header>
+        <Toast.Body className={`bg-${toast.variant} text-white`}>{toast.message}</Toast.Body>
+      </Toast>
+
+      <Card className="mb-4">
+        <Card.Header as="h5">Admin Console</Card.Header>
+        <Card.Body>
+          <Table responsive size="sm">
+            <tbody>
+              <tr><td>Owner</td><td>{roleName(settings.owner)}</td></tr>
+              <tr><td>Pauser</td><td>{roleName(settings.pauser)}</td></tr>
+              <tr><td>Risk admin</td><td>{roleName(settings.riskAdmin)}</td></tr>
+              <tr><td>Oracle admin</td><td>{roleName(settings.oracleAdmin)}</td></tr>
+              <tr><td>Treasury</td><td>{roleName(settings.treasury)}</td></tr>
+            </tbody>
+          </Table>
+          {timelock && (
+            <Card.Text className="text-muted">
+              Changes held by the timelock are queued and can be executed {settings.timelockDelay / 3600} hours later.
+            </Card.Text>
+          )}
+        </Card.Body>
+      </Card>
+
+      <Card className="mb-4">
+        <Card.Header as="h5">Emergency Controls</Card.Header>
+        <Card.Body>
+          <Row>
+            <Col md={6}>
+              <div className="mb-2">
+                Platform: <Badge bg={settings.paused ? 'danger' : 'success'}>{settings.paused ? 'Paused' : 'Running'}</Badge>
+              </div>
+              <Button variant={settings.paused ? 'success' : 'danger'} disabled={!sameAddress(settings.pauser, account)} onClick={togglePause}>
+                {settings.paused ? 'Unpause' : 'Pause'}
+              </Button>
+            </Col>
+            <Col md={6}>
+              <div className="mb-2">
+                Price circuit breaker: <Badge bg={settings.circuitBreaker ? 'danger' : 'success'}>{settings.circuitBreaker ? 'Tripped' : 'Off'}</Badge>
+              </div>
+              <Button variant="outline-danger" disabled={!sameAddress(settings.pauser, account)} onClick={toggleCircuitBreaker}>
+                {settings.circuitBreaker ? 'Reset Breaker' : 'Trip Breaker'}
+              </Button>
+            </Col>
+          </Row>
+        </Card.Body>
+      </Card>
+
+      <Card className="mb-4">
+        <Card.Header as="h5">Risk Parameters</Card.Header>
+        <Card.Body>
+          <h6>Penalty, bonus and price staleness</h6>
+          <Row className="align-items-end mb-3">
+            <Col md={3}>{renderField('penaltyBp', 'Overdue penalty per day (bp)', errors.params, `Now ${settings.penaltyBp}, max ${MAX_PENALTY_BP}`)}</Col>
+            <Col md={3}>{renderField('bonusBp', 'Liquidator bonus (bp)', errors.params, `Now ${settings.bonusBp}, max ${MAX_BONUS_BP}`)}</Col>
+            <Col md={3}>{renderField('stalenessSeconds', 'Max price staleness (s)', errors.params, `Now ${settings.stalenessSeconds}`)}</Col>
+            <Col md={3} className="mb-2">
+              {renderAction(settings.riskAdmin, errors.params, () =>
+                submitChange(settings.riskAdmin, 'updateParams', [form.penaltyBp, form.bonusBp, form.stalenessSeconds], 'Risk parameters'))}
+            </Col>
+          </Row>
+          {errors.params && <div className="text-danger mb-3">{errors.params}</div>}
+
+          <h6>Grace period and fees</h6>
+          <Row className="align-items-end mb-3">
+            <Col md={3}>{renderField('graceSeconds', 'Grace period (s)', errors.grace, `Now ${settings.graceSeconds}, max ${MAX_GRACE_SECONDS} (30 days)`)}</Col>
+            <Col md={3} className="mb-2">
+              {renderAction(settings.riskAdmin, errors.grace, () =>
+                submitChange(settings.riskAdmin, 'setGracePeriod', [form.graceSeconds], 'Grace period'))}
+            </Col>
+            <Col md={2}>{renderField('originationFeeBp', 'Origination fee (bp)', errors.fees, `Now ${settings.originationFeeBp}`)}</Col>
+            <Col md={2}>{renderField('interestFeeBp', 'Interest fee (bp)', errors.fees, `Now ${settings.interestFeeBp}`)}</Col>
+            <Col md={2} className="mb-2">
+              {renderAction(settings.riskAdmin, errors.fees, () =>
+                submitChange(settings.riskAdmin, 'setFees', [form.originationFeeBp, form.interestFeeBp], 'Fees'))}
+            </Col>
+          </Row>
+          {(errors.grace || errors.fees) && <div className="text-danger mb-3">{errors.grace || errors.fees}</div>}
+
+          <h6>Collateral</h6>
+          <Row className="align-items-end mb-3">
+            <Col md={3}>{renderField('thresholdBp', 'Liquidation threshold (bp)', errors.threshold, `Now ${settings.thresholdBp}, at least ${MIN_THRESHOLD_BP}`)}</Col>
+            <Col md={3} className="mb-2">
+              {renderAction(settings.riskAdmin, errors.threshold, () =>
+                submitChange(settings.riskAdmin, 'setLiquidationThreshold', [form.thresholdBp], 'Liquidation threshold'))}
+            </Col>
+            <Col md={3}>{renderField('minRatioBp', 'Min collateral ratio (bp)', errors.ratio, `Now ${settings.minRatioBp}, max ${MAX_COLLATERAL_RATIO_BP}`)}</Col>
+            <Col md={3} className="mb-2">
+              {renderAction(settings.riskAdmin, errors.ratio, () =>
+                submitChange(settings.riskAdmin, 'setMinCollateralRatio', [form.minRatioBp], 'Collateral ratio'))}
+            </Col>
+          </Row>
+          {(errors.threshold || errors.ratio) && <div className="text-danger mb-3">{errors.threshold || errors.ratio}</div>}
+
+          <h6>Real-estate index bounds</h6>
+          <Row className="align-items-end">
+            <Col md={3}>{renderField('reStalenessSeconds', 'Max index staleness (s)', errors.realEstate, `Now ${settings.reStalenessSeconds}`)}</Col>
+            <Col md={3}>{renderField('reMinUnitUsd', 'Min unit value (USD)', errors.realEstate, `Now ${settings.reMinUnitUsd}`)}</Col>
+            <Col md={3}>{renderField('reMaxUnitUsd', 'Max unit value (USD)', errors.realEstate, `Now ${settings.reMaxUnitUsd}`)}</Col>
+            <Col md={3} className="mb-2">
+              {renderAction(settings.riskAdmin, errors.realEstate, () =>
+                submitChange(settings.riskAdmin, 'setRealEstateParams', [
+                  form.reStalenessSeconds,
+                  ethers.utils.parseUnits(form.reMinUnitUsd, 18),
+                  ethers.utils.parseUnits(form.reMaxUnitUsd, 18)
+                ], 'Real-estate index bounds'))}
+            </Col>
+          </Row>
+          {errors.realEstate && <div className="text-danger">{errors.realEstate}</div>}
+        </Card.Body>
+      </Card>
+
+      <Card className="mb-4">
+        <Card.Header as="h5">Oracles</Card.Header>
+        <Card.Body>
+          <Row className="align-items-end mb-3">
+            <Col md={9}>{renderField('ethUsdFeed', 'ETH/USD feed (zero address for the demo price)', errors.feed, `Now ${settings.ethUsdFeed}`)}</Col>
+            <Col md={3} className="mb-2">
+              {renderAction(settings.oracleAdmin, errors.feed, () =>
+                submitChange(settings.oracleAdmin, 'updateOracle', [form.ethUsdFeed], 'ETH/USD feed'))}
+            </Col>
+          </Row>
+          <Row className="align-items-end mb-3">
+            <Col md={9}>{renderField('demoPriceUsd', 'Demo ETH/USD price (USD)', errors.demoPrice, `Now ${settings.demoPriceUsd}, used while no feed is set`)}</Col>
+            <Col md={3} className="mb-2">
+              {renderAction(settings.oracleAdmin, errors.demoPrice, () =>
+                submitChange(settings.oracleAdmin, 'setDemoFixedEthUsdPrice', [ethers.utils.parseUnits(form.demoPriceUsd, 18)], 'Demo price'))}
+            </Col>
+          </Row>
+          <Row className="align-items-end mb-3">
+            <Col md={9}>{renderField('realEstateOracle', 'Real-estate oracle', errors.realEstateOracle, `Now ${settings.realEstateOracle}`)}</Col>
+            <Col md={3} className="mb-2">
+              {renderAction(settings.oracleAdmin, errors.realEstateOracle, () =>
+                submitChange(settings.oracleAdmin, 'updateRealEstateOracle', [form.realEstateOracle], 'Real-estate oracle'))}
+            </Col>
+          </Row>
+          {indexOracle && (
+            <Row className="align-items-end">
+              <Col md={9}>
+                {renderField('indexValueUsd', 'Submit real-estate index value (USD per unit)', form.indexValueUsd && errors.indexValue,
+                  `Now ${indexOracle.value}${indexOracle.isReporter ? '' : ' (this account is not a reporter)'}`)}
+              </Col>
+              <Col md={3} className="mb-2">
+                <Button variant="primary" disabled={!indexOracle.isReporter || !!errors.indexValue} onClick={submitIndexValue}>
+                  Submit
+                </Button>
+              </Col>
+            </Row>
+          )}
+        </Card.Body>
+      </Card>
+
+      {timelock && (
+        <Card className="mb-4">
+          <Card.Header as="h5" className="d-flex justify-content-between align-items-center">
+            Queued Changes
+            <Button variant="outline-primary" onClick={loadQueuedChanges}>Refresh</Button>
+          </Card.Header>
+          <Card.Body>
+            <Table responsive>
+              <thead>
+                <tr>
+                  <th>Change</th>
+                  <th>Executable From</th>
+                  <th>Queued In</th>
+                  <th>Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {queuedChanges.map((change) => (
+                  <tr key={change.id}>
+                    <td><code>{change.description}</code></td>
+                    <td>{new Date(change.eta * 1000).toLocaleString()}</td>
+                    <td><TxLink hash={change.txHash} /></td>
+                    <td>
+                      <div className="d-flex gap-2">
+                        <Button variant="primary" disabled={now < change.eta} onClick={() => executeChange(change)}>Execute</Button>
+                        <Button variant="outline-danger" onClick={() => cancelChange(change)}>Cancel</Button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </Card.Body>
+        </Card>
+      )}
+
+      <Card className="mb-4">
+        <Card.Header as="h5">Ownership</Card.Header>
+        <Card.Body>
+          <Row className="align-items-end">
+            <Col md={9}>{renderField('newOwner', 'New owner', form.newOwner && errors.newOwner, 'The owner assigns roles, the treasury and the satellite contracts')}</Col>
+            <Col md={3} className="mb-2">
+              <Button variant="danger" disabled={!actionLabel(settings.owner) || !!errors.newOwner} onClick={transferOwnership}>
+                {actionLabel(settings.owner) === 'Queue' ? 'Queue Transfer' : 'Transfer Ownership'}
+              </Button>
+            </Col>
+          </Row>
+        </Card.Body>
+      </Card>
+
+      <Card>
+        <Card.Header as="h5" className="d-flex justify-content-between align-items-center">
+          Audit Log
+          <Button variant="outline-primary" onClick={loadAuditLog}>Refresh</Button>
+        </Card.Header>
+        <Card.Body>
+          <Table responsive>
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Event</th>
+                <th>Details</th>
+                <th>Transaction</th>
+              </tr>
+            </thead>
+            <tbody>
+              {auditLog.map((entry) => (
+                <tr key={entry.key}>
+                  <td>{entry.date}</td>
+                  <td>{entry.name}</td>
+                  <td>{entry.details}</td>
+                  <td><TxLink hash={entry.txHash} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export { Admin };
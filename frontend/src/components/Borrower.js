@@ -1,9 +1,33 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Form, Button, Table, Card, Badge, Toast } from 'react-bootstrap';
+import { Container, Row, Col, Form, Button, Table, Card, Badge, Toast, Tabs, Tab, Alert } from 'react-bootstrap';
 import { ethers } from 'ethers';
+import { loadLoanHistory } from '../loanHistory';
+import { fetchIndexerItems, readWithFallback } from '../indexer';
+import { subscribeToEvents } from '../liveEvents';
+import { ERC20_ABI, REGISTRY_ABI, AUCTION_ABI, STATUS_OPEN, fetchAllPages } from '../contractReads';
+import { TxLink } from './TxLink';
 import LendingPlatformABI from '../contracts/LendingPlatform.json';
+import LoanLensABI from '../contracts/LoanLens.json';
+import LoanOffersABI from '../contracts/LoanOffers.json';
 import Address from '../contracts/contract-address.json';
 
+// Property deed NFT: each token is bound to one propertyIdCommitment
+const DEED_ABI = [
+  "function propertyIdCommitment(uint256 tokenId) view returns (bytes32)",
+  "function appraisalEncryptedCid(uint256 tokenId) view returns (string)"
+];
+
+// The account's active loans and open requests as listed by the indexer, newest first, with live details from the lens
+const fetchIndexedLoans = async (lens, account) => {
+  const ids = (await fetchIndexerItems(`/loans?borrower=${account}&status=active`)).map((item) => item.loanId);
+  return [ids, await lens.getActiveLoans(ids)];
+};
+
+const fetchIndexedRequests = async (lens, account) => {
+  const ids = (await fetchIndexerItems(`/requests?borrower=${account}&status=open`)).map((item) => item.requestId);
+  return [ids, await lens.getRequestSummaries(ids)];
+};
+
 const App = () => {
   // State management of data
   const [formData, setFormData] = useState({ 
@@ -11,6 +35,11 @@ const App = () => {
   duration: '', 
   collateral: '',
   interestRate: '',
+  currency: 'ETH', // 'ETH' or 'TOKEN' (stablecoin, collateral still in ETH)
+  pledgeAsset: '', // optional whitelisted ERC-20/ERC-721 on top of the ETH stake
+  pledgeAmount: '', // token amount, or token id for an NFT
+  installments: '', // optional, 1 = single repayment at end of term
+  fundingDeadline: '', // optional date after which lenders can no longer fund
   // privacy metadata
   metadata: '', // free-text demo (will be hashed)
   encryptedCid: '', // IPFS CID to encrypt
@@ -22,8 +51,26 @@ const App = () => {
   const [account, setAccount] = useState('');
   const [balance, setBalance] = useState('');
   const [contract, setContract] = useState(null);
+  const [lens, setLens] = useState(null); // aggregate read-only views
+  const [offerBook, setOfferBook] = useState(null); // counter-offers and liquidity offers
   const [myActiveLoans, setMyActiveLoans] = useState([]);
   const [myRequests, setMyRequests] = useState([]);
+  const [loanHistory, setLoanHistory] = useState([]); // every loan taken, including repaid and liquidated ones
+  const [liquidationThreshold, setLiquidationThreshold] = useState(1.2);
+  const [minCollateralRatio, setMinCollateralRatio] = useState(2);
+  const [propertyUnitUsd, setPropertyUnitUsd] = useState(null); // real-estate index, USD per property unit
+  const [fees, setFees] = useState({ originationBp: 0, interestBp: 0 }); // protocol fees kept by the treasury
+  const [gracePeriod, setGracePeriod] = useState({ seconds: 0, penaltyBp: 0 }); // late repayment window after endTime
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000)); // ticks every second for the countdowns
+  const [collateralChange, setCollateralChange] = useState(''); // ETH amount for top-up / withdrawal
+  const [availableOffers, setAvailableOffers] = useState([]);
+  const [drawForm, setDrawForm] = useState({ offerId: '', amount: '', duration: '', collateral: '' });
+  const [extensionForm, setExtensionForm] = useState({ loanId: '', newEndDate: '', newInterestRate: '', capitalizeInterest: true });
+  const [stablecoin, setStablecoin] = useState(null); // { address, symbol, decimals }
+  const [collateralAssets, setCollateralAssets] = useState([]); // [{ address, symbol, isNft, decimals, factor }]
+  const [paused, setPaused] = useState(false);
+  const [credit, setCredit] = useState(ethers.constants.Zero); // surplus ETH of price liquidations, not yet withdrawn
+  const [auctionCredits, setAuctionCredits] = useState([]); // [{ token, amount }] auction surplus, not yet withdrawn
   
   // Toast notification
   const [showToast, setShowToast] = useState(false);
@@ -38,10 +85,153 @@ const App = () => {
       await connectWallet();
       await loadContract();
       await loadActiveLoans();
+      await loadAvailableOffers();
     };
     init();
   }, []);
 
+  // Clock for the end-of-term and grace-period countdowns
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Risk parameters: minimum collateral ratio and the liquidation threshold (collateral / debt)
+  useEffect(() => {
+    const loadRiskParams = async () => {
+      if (!contract) return;
+      try {
+        const ratioBp = await contract.minCollateralRatioBp();
+        const thresholdBp = await contract.liquidationThresholdBp();
+        setMinCollateralRatio(ratioBp.toNumber() / 10000);
+        setLiquidationThreshold(thresholdBp.toNumber() / 10000);
+        const graceSeconds = await contract.gracePeriodSeconds();
+        const penaltyBp = await contract.overdueRepayPenaltyBp();
+        setGracePeriod({ seconds: graceSeconds.toNumber(), penaltyBp: penaltyBp.toNumber() });
+        const originationBp = await contract.originationFeeBp();
+        const interestBp = await contract.interestFeeBp();
+        setFees({ originationBp: originationBp.toNumber(), interestBp: interestBp.toNumber() });
+        setPaused(await contract.paused());
+        const [indexValue, indexDecimals] = await contract.getRealEstateIndex();
+        setPropertyUnitUsd(parseFloat(ethers.utils.formatUnits(indexValue, indexDecimals)));
+      } catch (e) {
+        // keep defaults
+      }
+    };
+    loadRiskParams();
+  }, [contract]);
+
+  useEffect(() => {
+    loadCredit();
+  }, [contract, account, stablecoin]);
+
+  // Stablecoin enabled at deploy (if any)
+  useEffect(() => {
+    const loadStablecoin = async () => {
+      if (!contract || !Address.Stablecoin) return;
+      try {
+        const token = new ethers.Contract(Address.Stablecoin, ERC20_ABI, contract.signer);
+        setStablecoin({ address: Address.Stablecoin, symbol: await token.symbol(), decimals: await token.decimals() });
+      } catch (e) {
+        // ETH loans only
+      }
+    };
+    loadStablecoin();
+  }, [contract]);
+
+  // Assets the registry accepts as collateral
+  useEffect(() => {
+    const loadCollateralAssets = async () => {
+      if (!contract || !Address.CollateralRegistry) return;
+      try {
+        const registry = new ethers.Contract(Address.CollateralRegistry, REGISTRY_ABI, contract.signer);
+        const list = [];
+        for (const asset of await registry.getAssets()) {
+          const info = await registry.assets(asset);
+          if (!info.isSupported) continue;
+          let symbol = `${asset.slice(0, 6)}...`;
+          try {
+            symbol = await new ethers.Contract(asset, ERC20_ABI, contract.signer).symbol();
+          } catch (e) {
+            // keep the short address
+          }
+          list.push({ address: asset, symbol, isNft: info.isNft, decimals: info.decimals, factor: info.collateralFactorBp.toNumber() / 10000 });
+        }
+        setCollateralAssets(list);
+      } catch (e) {
+        // ETH collateral only
+      }
+    };
+    loadCollateralAssets();
+  }, [contract]);
+
+  // Countdown like "2d 03:15:09"
+  const formatCountdown = (seconds) => {
+    const d = Math.floor(seconds / 86400);
+    const time = new Date((seconds % 86400) * 1000).toISOString().substr(11, 8);
+    return d > 0 ? `${d}d ${time}` : time;
+  };
+
+  // Time left until endTime, then through the grace period (penalty rises each started day, capped at the cutoff)
+  const renderDeadline = (loan) => {
+    const graceEnd = loan.endTimestamp + gracePeriod.seconds;
+    if (now <= loan.endTimestamp) {
+      return <div className="text-muted small">Due in {formatCountdown(loan.endTimestamp - now)}</div>;
+    }
+    if (now <= graceEnd) {
+      const daysLate = Math.floor((now - loan.endTimestamp - 1) / 86400) + 1;
+      const maxDays = Math.max(1, Math.ceil(gracePeriod.seconds / 86400));
+      const penalty = Math.min(gracePeriod.penaltyBp * Math.min(daysLate, maxDays), 5000) / 100;
+      return (
+        <div className="small">
+          <Badge bg="warning" text="dark">Grace: {formatCountdown(graceEnd - now)} left</Badge>
+          <div className="text-muted">Late penalty today: {penalty}%</div>
+        </div>
+      );
+    }
+    return <Badge bg="danger">Liquidatable</Badge>;
+  };
+
+  // Property units only count as collateral when a deed is pledged with them
+  const isDeed = (asset) => !!Address.PropertyDeed && !!asset && asset.toLowerCase() === Address.PropertyDeed.toLowerCase();
+  const formatPropertyUnits = (loan) => {
+    if (!loan.deedBacked || loan.propertyUnits === '0' || propertyUnitUsd === null) return loan.propertyUnits;
+    return `${loan.propertyUnits} (~$${(Number(loan.propertyUnits) * propertyUnitUsd).toLocaleString()})`;
+  };
+
+  // Human-readable pledge, e.g. "0.1 WBTC" or "DEED #7"
+  const describePledge = (asset, amount) => {
+    if (!asset || asset === ethers.constants.AddressZero) return '-';
+    const info = collateralAssets.find(a => a.address.toLowerCase() === asset.toLowerCase());
+    if (!info) return `${asset.slice(0, 6)}... ${amount.toString()}`;
+    return info.isNft ? `${info.symbol} #${amount.toString()}` : `${ethers.utils.formatUnits(amount, info.decimals)} ${info.symbol}`;
+  };
+
+  // Amounts are in wei for ETH loans and in token units for stablecoin loans
+  const isTokenLoan = (loanToken) => loanToken && loanToken !== ethers.constants.AddressZero;
+  const formatLoanAmount = (value, loanToken) =>
+    isTokenLoan(loanToken) ? ethers.utils.formatUnits(value, stablecoin ? stablecoin.decimals : 18) : ethers.utils.formatEther(value);
+  const currencyOf = (loanToken) => (isTokenLoan(loanToken) ? (stablecoin ? stablecoin.symbol : 'TOKEN') : 'ETH');
+
+  // What happened to your ETH stake when the loan closed (auction proceeds are in the loan currency)
+  const describeCollateralOutcome = (entry) => {
+    const format = (value) => (entry.status === 'auctioned'
+      ? `${formatLoanAmount(value, entry.loanToken)} ${currencyOf(entry.loanToken)}`
+      : `${ethers.utils.formatEther(value)} ETH`);
+    return [
+      entry.collateralReturned && `${format(entry.collateralReturned)} returned`,
+      entry.collateralSeized && `${format(entry.collateralSeized)} seized`
+    ].filter(Boolean).join(', ') || '-';
+  };
+  const formatEventDate = (ref) => (ref ? new Date(ref.timestamp * 1000).toLocaleString() : '-');
+
+  // Approve the platform (or another spender, e.g. the collateral registry) to pull tokens
+  const approveToken = async (tokenAddress, amount, spender = contract.address) => {
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, contract.signer);
+    const tx = await token.approve(spender, amount);
+    await tx.wait();
+  };
+
   // Initialize smart contract 
   const loadContract = async () => {
     try {
@@ -50,6 +240,8 @@ const App = () => {
       const contractAddress = Address.LendingPlatform;
       const contract = new ethers.Contract(contractAddress, LendingPlatformABI.abi, signer);
       setContract(contract);
+      setLens(new ethers.Contract(Address.LoanLens, LoanLensABI.abi, signer));
+      setOfferBook(new ethers.Contract(Address.LoanOffers, LoanOffersABI.abi, signer));
     } catch (error) {
       console.error("Error loading contract:", error);
       showToastMessage("Error loading contract", 'danger');
@@ -111,11 +303,26 @@ const App = () => {
 
     try {
       // Convert values to appropriate formats
-      const amountInWei = ethers.utils.parseEther(formData.amount);
-      const collateralInWei = ethers.utils.parseEther(formData.collateral);
+      const useToken = formData.currency === 'TOKEN' && stablecoin;
+      const amountInWei = useToken
+        ? ethers.utils.parseUnits(formData.amount, stablecoin.decimals)
+        : ethers.utils.parseEther(formData.amount);
+      const collateralInWei = ethers.utils.parseEther(formData.collateral || '0');
+      const pledge = collateralAssets.find(a => a.address === formData.pledgeAsset);
+      let pledgeAmount = ethers.BigNumber.from(0);
+      if (pledge) {
+        pledgeAmount = pledge.isNft
+          ? ethers.BigNumber.from(formData.pledgeAmount || '0')
+          : ethers.utils.parseUnits(formData.pledgeAmount || '0', pledge.decimals);
+      }
       const durationInDays = Number(formData.duration);
       const interestRate = Math.floor(Number(formData.interestRate));
       const propertyUnits = Math.floor(Number(formData.propertyUnits || 0));
+      const installmentCount = Math.floor(Number(formData.installments || 1));
+      // End of the chosen day, 0 = no deadline
+      const fundingDeadline = formData.fundingDeadline
+        ? Math.floor(new Date(`${formData.fundingDeadline}T23:59:59`).getTime() / 1000)
+        : 0;
 
       // Validate loan duration
       if (durationInDays <= 0) {
@@ -123,12 +330,31 @@ const App = () => {
         return;
       }
 
-      // Frontend collateral check (>= 2x loan amount)
-      if (Number(formData.collateral) < Number(formData.amount) * 2) {
-        showToastMessage("Collateral must be at least 2x the loan amount", 'warning');
+      // Installment check (at most one per day)
+      if (installmentCount < 1 || installmentCount > durationInDays) {
+        showToastMessage("Installments must be between 1 and the duration in days", 'warning');
+        return;
+      }
+
+      // Validate funding deadline
+      if (fundingDeadline !== 0 && fundingDeadline * 1000 <= Date.now()) {
+        showToastMessage("Funding deadline must be in the future", 'warning');
+        return;
+      }
+
+      // Frontend collateral check, mirrors the on-chain minimum ratio
+      // (stablecoin loans and pledged assets are checked on-chain at the USD price)
+      const ratioBp = await contract.minCollateralRatioBp();
+      if (!useToken && !pledge && collateralInWei.mul(10000).lt(amountInWei.mul(ratioBp))) {
+        showToastMessage(`Collateral must be at least ${ratioBp.toNumber() / 10000}x the loan amount`, 'warning');
         return;
       }
 
+      // The registry escrows the pledge, so it needs the allowance (token id for NFTs)
+      if (pledge) {
+        await approveToken(pledge.address, pledgeAmount, Address.CollateralRegistry);
+      }
+
       const provider = new ethers.providers.Web3Provider(window.ethereum);
       const nonce = await provider.getTransactionCount(account);
 
@@ -150,6 +376,13 @@ const App = () => {
         propertyCommitment = propertyHash;
         appraisalCid = formData.appraisalEncryptedCid || '';
       }
+
+      // A pledged deed must carry the request's property: take its commitment and appraisal from the NFT
+      if (pledge && Address.PropertyDeed && pledge.address.toLowerCase() === Address.PropertyDeed.toLowerCase()) {
+        const deed = new ethers.Contract(Address.PropertyDeed, DEED_ABI, contract.signer);
+        propertyCommitment = await deed.propertyIdCommitment(pledgeAmount);
+        appraisalCid = await deed.appraisalEncryptedCid(pledgeAmount);
+      }
       
       // Send transaction
       const tx = await contract.createLoanRequest(
@@ -161,6 +394,11 @@ const App = () => {
         propertyCommitment,
         appraisalCid,
         propertyUnits,
+        installmentCount,
+        fundingDeadline,
+        useToken ? stablecoin.address : ethers.constants.AddressZero,
+        pledge ? pledge.address : ethers.constants.AddressZero,
+        pledgeAmount,
         {
           value: collateralInWei,
           nonce,
@@ -174,7 +412,7 @@ const App = () => {
       await updateBalance();
       await loadActiveLoans();
       
-      setFormData({ amount: '', duration: '', collateral: '', interestRate: '', metadata: '', encryptedCid: '', propertyRef: '', appraisalEncryptedCid: '', propertyUnits: '' });
+      setFormData({ amount: '', duration: '', collateral: '', interestRate: '', currency: 'ETH', pledgeAsset: '', pledgeAmount: '', installments: '', fundingDeadline: '', metadata: '', encryptedCid: '', propertyRef: '', appraisalEncryptedCid: '', propertyUnits: '' });
       showToastMessage("Loan request created successfully", 'success');
     } catch (error) {
       console.error("Error:", error);
@@ -182,62 +420,286 @@ const App = () => {
     }
   };
 
-  // Load all active loans and loan requests
+  // Table row for one of this borrower's loans (a LoanTypes.ActiveLoan)
+  const toActiveLoanRow = (id, loan) => ({
+    loanId: id.toString(),
+    borrower: loan.borrower,
+    loanAmount: formatLoanAmount(loan.loanAmount, loan.loanToken),
+    loanToken: loan.loanToken,
+    currency: currencyOf(loan.loanToken),
+    pledge: describePledge(loan.collateralAsset, loan.collateralAmount),
+    endTime: new Date(loan.endTime.toNumber() * 1000).toLocaleDateString(),
+    endTimestamp: loan.endTime.toNumber(),
+    interestRate: loan.interestRate.toString(),
+    stake: ethers.utils.formatEther(loan.stake),
+    initialEthPrice: ethers.utils.formatUnits(loan.initialEthPrice, 18),
+    propertyUnits: (loan.propertyUnits ? loan.propertyUnits.toString() : '0'),
+    deedBacked: isDeed(loan.collateralAsset),
+    remainingUsd: ethers.utils.formatUnits(loan.principalOutstandingUsd, 18),
+    installmentCount: loan.installmentCount.toString(),
+    state: "ACTIVE"
+  });
+
+  // Table row for one of this borrower's requests (a LoanTypes.LoanRequest)
+  const toRequestRow = (id, request) => {
+    const row = {
+      loanId: id.toString(),
+      borrower: request.borrower,
+      loanAmount: formatLoanAmount(request.loanAmount, request.loanToken),
+      currency: currencyOf(request.loanToken),
+      pledge: describePledge(request.collateralAsset, request.collateralAmount),
+      duration: request.duration.toString(),
+      stake: ethers.utils.formatEther(request.stake),
+      interestRate: request.interestRate.toString(),
+      propertyUnits: (request.propertyUnits ? request.propertyUnits.toString() : '0'),
+      deedBacked: isDeed(request.collateralAsset),
+      initialEthPrice: 'N/A',
+      fundingDeadline: request.fundingDeadline.isZero()
+        ? null
+        : new Date(request.fundingDeadline.toNumber() * 1000),
+      state: "PENDING"
+    };
+    if (row.fundingDeadline && row.fundingDeadline.getTime() < Date.now()) {
+      row.state = "EXPIRED";
+    }
+    return row;
+  };
+
+  // Next scheduled installment, health factor and pending extension of a loan row
+  const addLoanDetails = async (loan) => {
+    const proposal = await contract.extensionProposals(loan.loanId);
+    if (proposal.isActive) {
+      loan.extension = {
+        newEndDate: new Date(proposal.newEndTime.toNumber() * 1000).toLocaleDateString(),
+        newInterestRate: proposal.newInterestRate.toString(),
+        capitalizeInterest: proposal.capitalizeInterest,
+        escrow: ethers.utils.formatEther(proposal.settlementEscrow)
+      };
+    }
+    try {
+      const healthBp = await contract.getHealthFactor(loan.loanId);
+      loan.healthFactor = (healthBp.toNumber() / 10000).toFixed(2);
+    } catch (e) {
+      // leave empty if price unavailable
+    }
+    try {
+      const [index, dueTimestamp, amountWei] = await contract.getNextInstallment(loan.loanId);
+      loan.nextInstallment = {
+        index: index.toString(),
+        dueDate: new Date(dueTimestamp.toNumber() * 1000).toLocaleDateString(),
+        amountWei,
+        amount: formatLoanAmount(amountWei, loan.loanToken)
+      };
+    } catch (error) {
+      // Shown in the row instead of the schedule, so a reverting read is not mistaken for "no installment"
+      console.error(`Error reading the next installment of loan #${loan.loanId}:`, error);
+      loan.installmentError = error.reason || error.message;
+    }
+    return loan;
+  };
+
+  // Open counter-offers from lenders on a request row
+  const addRequestOffers = async (req) => {
+    const offerIds = await offerBook.getRequestCounterOfferIds(req.loanId);
+    req.offers = [];
+    for (const offerId of offerIds) {
+      const offer = await offerBook.counterOffers(offerId);
+      if (offer.isActive) {
+        req.offers.push({
+          offerId: offerId.toString(),
+          lender: offer.lender,
+          interestRate: offer.interestRate.toString(),
+          duration: offer.durationInDays.toString()
+        });
+      }
+    }
+    return req;
+  };
+
+  // Load this borrower's active loans and open requests (through the borrower's indexes)
   const loadActiveLoans = async () => {
-    if (!contract || !account) return;
+    if (!contract || !lens || !offerBook || !account) return;
     try {
-      const [loanIds, loans, requestIds, requests] = await contract.getAllActiveLoans();
-      
-      // Active loans
-      const activeLoansData = loanIds.map((id, index) => ({
-        loanId: id.toString(),
-        borrower: loans[index].borrower,
-        loanAmount: ethers.utils.formatEther(loans[index].loanAmount),
-        endTime: new Date(loans[index].endTime.toNumber() * 1000).toLocaleDateString(),
-        interestRate: loans[index].interestRate.toString(),
-        stake: ethers.utils.formatEther(loans[index].stake),
-        initialEthPrice: ethers.utils.formatUnits(loans[index].initialEthPrice, 18),
-        propertyUnits: (loans[index].propertyUnits ? loans[index].propertyUnits.toString() : '0'),
-        state: "ACTIVE"
-      }));
-  
-      // Loan requests
-      const requestLoansData = requestIds.map((id, index) => ({
-        loanId: id.toString(),
-        borrower: requests[index].borrower,
-        loanAmount: ethers.utils.formatEther(requests[index].loanAmount),
-        duration: requests[index].duration.toString(),
-        stake: ethers.utils.formatEther(requests[index].stake),
-        interestRate: requests[index].interestRate.toString(),
-        propertyUnits: (requests[index].propertyUnits ? requests[index].propertyUnits.toString() : '0'),
-        initialEthPrice: 'N/A',
-        state: "PENDING"
-      }));
-  
-      // Filter by this borrower
-      const myActives = activeLoansData.filter(loan => loan.borrower.toLowerCase() === account.toLowerCase());
-      const myReqs = requestLoansData.filter(loan => loan.borrower.toLowerCase() === account.toLowerCase());
+      const [loanIds, loans] = await readWithFallback(
+        () => fetchIndexedLoans(lens, account),
+        () => fetchAllPages((offset, limit) => lens.getBorrowerLoans(account, STATUS_OPEN, offset, limit))
+      );
+      const [requestIds, requests] = await readWithFallback(
+        () => fetchIndexedRequests(lens, account),
+        () => fetchAllPages((offset, limit) => lens.getBorrowerRequests(account, STATUS_OPEN, offset, limit))
+      );
 
-      setMyActiveLoans(myActives);
-      setMyRequests(myReqs);
+      // Drop what closed since the indexer last caught up
+      const activeLoansData = loanIds
+        .map((id, index) => toActiveLoanRow(id, loans[index]))
+        .filter((loan, index) => !loans[index].isRepaid);
+      for (const loan of activeLoansData) {
+        await addLoanDetails(loan);
+      }
+
+      const requestLoansData = requestIds
+        .map((id, index) => toRequestRow(id, requests[index]))
+        .filter((req, index) => requests[index].isActive);
+      for (const req of requestLoansData) {
+        await addRequestOffers(req);
+      }
+
+      setMyActiveLoans(activeLoansData);
+      setMyRequests(requestLoansData);
     } catch (error) {
       console.error("Error loading loans:", error);
       showToastMessage("Error loading loans", 'danger');
     }
   };
   
+  // Live updates from the platform's events; the listeners are replaced when the account changes.
+  // Notifies the borrower when a lender funds one of their requests or one of their loans is liquidated.
+  useEffect(() => {
+    if (!contract || !offerBook || !account) return undefined;
+    const isMine = (address) => address.toLowerCase() === account.toLowerCase();
+    const dropLoan = (loanId) => setMyActiveLoans((loans) => loans.filter((loan) => loan.loanId !== loanId.toString()));
+    const onLiquidation = async (loanId, message) => {
+      if (!isMine((await contract.activeLoans(loanId)).borrower)) return;
+      dropLoan(loanId);
+      showToastMessage(message, 'warning');
+      await loadCredit();
+    };
+
+    return subscribeToEvents(contract, {
+      LoanRequested: async ({ requestId, borrower }) => {
+        if (!isMine(borrower)) return;
+        const request = await contract.loanRequests(requestId);
+        // Liquidity-offer draws are funded in the same transaction
+        if (!request.isActive) return;
+        const row = await addRequestOffers(toRequestRow(requestId, request));
+        setMyRequests((requests) => [...requests.filter((req) => req.loanId !== row.loanId), row]);
+      },
+      LoanFunded: async ({ loanId, requestId, lender }) => {
+        const loan = await contract.activeLoans(loanId);
+        if (!isMine(loan.borrower)) return;
+        const row = await addLoanDetails(toActiveLoanRow(loanId, loan));
+        setMyRequests((requests) => requests.filter((req) => req.loanId !== requestId.toString()));
+        setMyActiveLoans((loans) => [...loans.filter((active) => active.loanId !== row.loanId), row]);
+        showToastMessage(`Request #${requestId} was funded by ${lender} (loan #${loanId})`, 'success');
+      },
+      LoanRepaid: ({ loanId, borrower }) => {
+        if (isMine(borrower)) dropLoan(loanId);
+      },
+      LoanLiquidated: ({ loanId, collateralTransferred }) => {
+        if (collateralTransferred.isZero()) return; // auctioned: LoanAuctioned follows
+        onLiquidation(loanId, `Loan #${loanId} was liquidated`);
+      },
+      LoanAuctioned: ({ loanId, auctionId }) => onLiquidation(loanId, `The collateral of loan #${loanId} is up for auction #${auctionId}`),
+      Paused: () => setPaused(true),
+      Unpaused: () => setPaused(false),
+      ParamsUpdated: ({ overdueRepayPenaltyBp }) => {
+        setGracePeriod((grace) => ({ ...grace, penaltyBp: overdueRepayPenaltyBp.toNumber() }));
+      }
+    });
+  }, [contract, offerBook, account, stablecoin]);
+
+  // Load every loan this borrower took, with how it ended
+  const loadHistory = async () => {
+    if (!contract || !account) return;
+    try {
+      const history = await loadLoanHistory(contract, account, 'borrower');
+      setLoanHistory(history.map((entry) => ({
+        ...entry,
+        amount: formatLoanAmount(entry.principal, entry.loanToken),
+        paid: formatLoanAmount(entry.amountPaid, entry.loanToken),
+        penalty: formatLoanAmount(entry.penaltyPaid, entry.loanToken),
+        currency: currencyOf(entry.loanToken),
+        collateral: describeCollateralOutcome(entry),
+        state: entry.status.toUpperCase()
+      })));
+    } catch (error) {
+      console.error("Error loading loan history:", error);
+      showToastMessage("Error loading loan history", 'danger');
+    }
+  };
+
+  // Load lenders' standing liquidity offers
+  const loadAvailableOffers = async () => {
+    if (!offerBook || !account) return;
+    try {
+      const total = (await offerBook.totalLiquidityOffers()).toNumber();
+      const offers = [];
+      for (let i = 0; i < total; i++) {
+        const offer = await offerBook.liquidityOffers(i);
+        if (offer.isActive && offer.lender.toLowerCase() !== account.toLowerCase()) {
+          offers.push({
+            offerId: i.toString(),
+            lender: offer.lender,
+            available: ethers.utils.formatEther(offer.availableAmount),
+            maxDuration: offer.maxDurationInDays.toString(),
+            interestRate: offer.interestRate.toString(),
+            minCollateralRatio: offer.minCollateralRatioBp.toNumber() / 10000
+          });
+        }
+      }
+      setAvailableOffers(offers);
+    } catch (error) {
+      console.error("Error loading offers:", error);
+      showToastMessage("Error loading offers", 'danger');
+    }
+  };
+
+  // Borrow from a liquidity offer by posting collateral
+  const borrowFromOffer = async (e) => {
+    e.preventDefault();
+    if (!offerBook) return;
+    const offer = availableOffers.find(o => o.offerId === drawForm.offerId);
+    if (!offer) {
+      showToastMessage("Select an offer", 'warning');
+      return;
+    }
+    const ratio = Math.max(offer.minCollateralRatio, minCollateralRatio);
+    if (Number(drawForm.collateral) < Number(drawForm.amount) * ratio) {
+      showToastMessage(`Collateral must be at least ${ratio}x the loan amount`, 'warning');
+      return;
+    }
+    try {
+      const tx = await offerBook.borrowFromLiquidityOffer(
+        offer.offerId,
+        ethers.utils.parseEther(drawForm.amount),
+        Math.floor(Number(drawForm.duration)),
+        { value: ethers.utils.parseEther(drawForm.collateral) }
+      );
+
+      await tx.wait();
+      showToastMessage("Loan opened from offer", 'success');
+      setDrawForm({ offerId: '', amount: '', duration: '', collateral: '' });
+
+      // Update UI
+      await updateBalance();
+      await loadActiveLoans();
+      await loadAvailableOffers();
+    } catch (error) {
+      console.error("Error borrowing from offer:", error);
+      showToastMessage(error.reason || "Error borrowing from offer", 'danger');
+    }
+  };
+
   // Repay selected loan
   const repayLoan = async (loanId) => {
     if (!contract) return;
+    const loan = myActiveLoans.find(l => l.loanId === loanId);
+    if (loan && isTokenLoan(loan.loanToken)) {
+      await repayTokenLoan(loan);
+      return;
+    }
     try {
       const dueWei = await contract.calculateAmountDueEth(loanId);
+      // Late repayments (during the grace period) also carry the day's penalty
+      const penaltyBp = await contract.overduePenaltyBp(loanId);
       // Use ethers.BigNumber, avoid BigInt issues
-      const due = dueWei; // BigNumber
+      const due = dueWei.mul(penaltyBp.add(10000)).div(10000); // BigNumber
       const buffer = due.div(1000); // 0.1% buffer
       const minBuffer = ethers.BigNumber.from("1000000000000");
       const valueToSend = due.add(buffer.gt(minBuffer) ? buffer : minBuffer);
 
-      const tx = await contract.repayLoan(loanId, dueWei, { value: valueToSend });
+      // zero settles the whole loan; the excess is refunded
+      const tx = await contract.repayLoan(loanId, 0, { value: valueToSend });
 
       await tx.wait();
       showToastMessage("Loan repaid successfully", 'success');
@@ -257,13 +719,270 @@ const App = () => {
   };
   
   
+  // Repay a stablecoin loan in full: approve what is due (plus any overdue penalty) and let the contract pull it
+  const repayTokenLoan = async (loan) => {
+    try {
+      const due = await contract.calculateAmountDue(loan.loanId);
+      const penaltyBp = await contract.overduePenaltyBp(loan.loanId);
+      const withPenalty = due.mul(penaltyBp.add(10000)).div(10000);
+      await approveToken(loan.loanToken, withPenalty.add(withPenalty.div(1000)));
+
+      const tx = await contract.repayTokenLoan(loan.loanId, 0);
+
+      await tx.wait();
+      showToastMessage("Loan repaid successfully", 'success');
+
+      // Update UI
+      await updateBalance();
+      await loadActiveLoans();
+    } catch (error) {
+      console.error("Error repaying loan:", error);
+      showToastMessage(error.reason || "Error repaying loan", 'danger');
+    }
+  };
+
+  // Add collateral to an active loan
+  const addCollateral = async (loanId) => {
+    if (!contract) return;
+    if (!(Number(collateralChange) > 0)) {
+      showToastMessage("Enter a collateral amount first", 'warning');
+      return;
+    }
+    try {
+      const tx = await contract.addCollateral(loanId, { value: ethers.utils.parseEther(collateralChange) });
+
+      await tx.wait();
+      showToastMessage(`Added ${collateralChange} ETH collateral`, 'success');
+      setCollateralChange('');
+
+      // Update UI
+      await updateBalance();
+      await loadActiveLoans();
+    } catch (error) {
+      console.error("Error adding collateral:", error);
+      showToastMessage(error.reason || "Error adding collateral", 'danger');
+    }
+  };
+
+  const loadCredit = async () => {
+    if (!contract || !account) return;
+    try {
+      setCredit(await contract.ethCredit(account));
+      if (Address.CollateralAuction) {
+        const auction = new ethers.Contract(Address.CollateralAuction, AUCTION_ABI, contract.signer);
+        const tokens = [ethers.constants.AddressZero, ...(stablecoin ? [stablecoin.address] : [])];
+        const credits = [];
+        for (const token of tokens) {
+          const amount = await auction.credits(token, account);
+          if (amount.gt(0)) credits.push({ token, amount });
+        }
+        setAuctionCredits(credits);
+      }
+    } catch (error) {
+      console.error("Error loading credit:", error);
+    }
+  };
+
+  // Claim the surplus collateral a price liquidation credited to this account
+  const withdrawCredit = async () => {
+    if (!contract) return;
+    try {
+      const tx = await contract.withdrawCredit();
+
+      await tx.wait();
+      showToastMessage(`Withdrew ${ethers.utils.formatEther(credit)} ETH`, 'success');
+
+      // Update UI
+      await updateBalance();
+      await loadCredit();
+    } catch (error) {
+      console.error("Error withdrawing credit:", error);
+      showToastMessage(error.reason || "Error withdrawing credit", 'danger');
+    }
+  };
+
+  // Claim the surplus of a collateral auction in one currency
+  const withdrawAuctionCredit = async (token) => {
+    if (!contract) return;
+    try {
+      const auction = new ethers.Contract(Address.CollateralAuction, AUCTION_ABI, contract.signer);
+      const tx = await auction.withdraw(token);
+
+      await tx.wait();
+      showToastMessage("Auction surplus withdrawn", 'success');
+
+      // Update UI
+      await updateBalance();
+      await loadCredit();
+    } catch (error) {
+      console.error("Error withdrawing auction surplus:", error);
+      showToastMessage(error.reason || "Error withdrawing auction surplus", 'danger');
+    }
+  };
+
+  // Withdraw collateral above the minimum ratio
+  const withdrawExcessCollateral = async (loanId) => {
+    if (!contract) return;
+    if (!(Number(collateralChange) > 0)) {
+      showToastMessage("Enter a collateral amount first", 'warning');
+      return;
+    }
+    try {
+      const tx = await contract.withdrawExcessCollateral(loanId, ethers.utils.parseEther(collateralChange));
+
+      await tx.wait();
+      showToastMessage(`Withdrew ${collateralChange} ETH collateral`, 'success');
+      setCollateralChange('');
+
+      // Update UI
+      await updateBalance();
+      await loadActiveLoans();
+    } catch (error) {
+      console.error("Error withdrawing collateral:", error);
+      showToastMessage(error.reason || "Error withdrawing collateral", 'danger');
+    }
+  };
+
+  // Propose a new end date (and optionally rate) to the lender
+  const proposeExtension = async (e) => {
+    e.preventDefault();
+    if (!contract) return;
+    try {
+      const { loanId, newEndDate, newInterestRate, capitalizeInterest } = extensionForm;
+      const loan = myActiveLoans.find(l => l.loanId === loanId);
+      if (!loan) {
+        showToastMessage("Select one of your active loans", 'warning');
+        return;
+      }
+      const newEndTime = Math.floor(new Date(`${newEndDate}T23:59:59`).getTime() / 1000);
+      const rate = Math.floor(Number(newInterestRate || 0)); // 0 keeps the current rate
+      if (rate > 7) {
+        showToastMessage("Interest rate cannot exceed 7%", 'warning');
+        return;
+      }
+
+      // Settling interest: escrow what is accrued now plus a week of interest, the excess is refunded
+      let escrow = ethers.BigNumber.from(0);
+      if (!capitalizeInterest) {
+        const interestDue = await contract.calculateInterestDueEth(loanId);
+        const totalDue = await contract.calculateAmountDueEth(loanId);
+        escrow = interestDue.add(totalDue.mul(loan.interestRate).mul(7).div(36500));
+      }
+
+      const tx = await contract.proposeLoanExtension(loanId, newEndTime, rate, capitalizeInterest, { value: escrow });
+
+      await tx.wait();
+      showToastMessage("Extension proposed, waiting for the lender", 'success');
+      setExtensionForm({ loanId: '', newEndDate: '', newInterestRate: '', capitalizeInterest: true });
+
+      // Update UI
+      await updateBalance();
+      await loadActiveLoans();
+    } catch (error) {
+      console.error("Error proposing extension:", error);
+      showToastMessage(error.reason || "Error proposing extension", 'danger');
+    }
+  };
+
+  // Withdraw a pending extension proposal and its escrow
+  const cancelExtension = async (loanId) => {
+    if (!contract) return;
+    try {
+      const tx = await contract.cancelLoanExtension(loanId);
+
+      await tx.wait();
+      showToastMessage("Extension proposal cancelled", 'success');
+
+      // Update UI
+      await updateBalance();
+      await loadActiveLoans();
+    } catch (error) {
+      console.error("Error cancelling extension:", error);
+      showToastMessage(error.reason || "Error cancelling extension", 'danger');
+    }
+  };
+
+  // Accept a lender's counter-offer; the loan opens on its terms
+  const acceptCounterOffer = async (offerId) => {
+    if (!offerBook) return;
+    try {
+      const tx = await offerBook.acceptCounterOffer(offerId);
+
+      await tx.wait();
+      showToastMessage("Counter-offer accepted, loan funded", 'success');
+
+      // Update UI
+      await updateBalance();
+      await loadActiveLoans();
+    } catch (error) {
+      console.error("Error accepting offer:", error);
+      showToastMessage(error.reason || "Error accepting counter-offer", 'danger');
+    }
+  };
+
+  // Cancel an unfunded request and reclaim the stake
+  const cancelRequest = async (requestId) => {
+    if (!contract) return;
+    try {
+      const tx = await contract.cancelLoanRequest(requestId);
+
+      await tx.wait();
+      showToastMessage("Loan request cancelled, stake returned", 'success');
+
+      // Update UI
+      await updateBalance();
+      await loadActiveLoans();
+    } catch (error) {
+      console.error("Error cancelling request:", error);
+      showToastMessage(error.reason || "Error cancelling request", 'danger');
+    }
+  };
+
+  // Pay the next scheduled installment; the last one settles the loan in full
+  const payInstallment = async (loan) => {
+    if (!contract) return;
+    if (!loan.nextInstallment) {
+      showToastMessage(`The next installment of loan #${loan.loanId} could not be read`, 'danger');
+      return;
+    }
+    if (loan.nextInstallment.index === loan.installmentCount) {
+      await repayLoan(loan.loanId);
+      return;
+    }
+    try {
+      const { amountWei } = loan.nextInstallment;
+      // Small buffer for interest accrued until the transaction is mined
+      const valueToSend = amountWei.add(amountWei.div(1000));
+
+      let tx;
+      if (isTokenLoan(loan.loanToken)) {
+        await approveToken(loan.loanToken, valueToSend);
+        tx = await contract.repayTokenLoan(loan.loanId, valueToSend);
+      } else {
+        tx = await contract.repayLoan(loan.loanId, valueToSend, { value: valueToSend });
+      }
+
+      await tx.wait();
+      showToastMessage(`Installment ${loan.nextInstallment.index} of ${loan.installmentCount} paid`, 'success');
+
+      // Update UI
+      await updateBalance();
+      await loadActiveLoans();
+    } catch (error) {
+      const msg = error?.reason || error?.data?.message || error?.error?.message || error?.message || "Error paying installment";
+      console.error("Error paying installment:", error);
+      showToastMessage(msg, 'danger');
+    }
+  };
+
   // Estimate current amount
   const estimateDue = async (loanId) => {
     if (!contract) return;
     try {
-      const dueWei = await contract.calculateAmountDueEth(loanId);
-      const dueEth = ethers.utils.formatEther(dueWei);
-      showToastMessage(`Estimated due now: ${parseFloat(dueEth).toFixed(6)} ETH`, 'info');
+      const loan = myActiveLoans.find(l => l.loanId === loanId);
+      const dueAmount = await contract.calculateAmountDue(loanId);
+      const due = formatLoanAmount(dueAmount, loan ? loan.loanToken : null);
+      showToastMessage(`Estimated due now: ${parseFloat(due).toFixed(6)} ${loan ? loan.currency : 'ETH'}`, 'info');
     } catch (error) {
       console.error("Error estimating due:", error);
       showToastMessage(error.reason || "Error estimating due", 'danger');
@@ -282,6 +1001,10 @@ const App = () => {
     const units = parseInt(loan?.propertyUnits ?? '0', 10);
     return sum + (isNaN(units) ? 0 : units);
   }, 0);
+  // USD value of the units backed by a pledged deed (the ones counted as collateral)
+  const pledgedPropertyUsd = [...myActiveLoans, ...myRequests]
+    .filter(loan => loan.deedBacked)
+    .reduce((sum, loan) => sum + Number(loan.propertyUnits || 0) * (propertyUnitUsd || 0), 0);
 
   // Graphics
   return (
@@ -299,12 +1022,35 @@ const App = () => {
         <Toast.Body className={`bg-${toastVariant} text-white`}>{toastMessage}</Toast.Body>
       </Toast>
 
+      {paused && (
+        <Alert variant="warning">The platform is paused: new requests and repayments are on hold until it resumes.</Alert>
+      )}
+
       <Card className="mb-4">
         <Card.Header as="h5">Borrower Dashboard</Card.Header>
         <Card.Body>
           <Card.Text>Account: {account}</Card.Text>
           <Card.Text>Balance: {parseFloat(balance).toFixed(4)} ETH</Card.Text>
+          {credit.gt(0) && (
+            <Card.Text>
+              Collateral returned from liquidations: {ethers.utils.formatEther(credit)} ETH{' '}
+              <Button size="sm" variant="outline-success" onClick={withdrawCredit}>Withdraw</Button>
+            </Card.Text>
+          )}
+          {auctionCredits.map((auctionCredit) => (
+            <Card.Text key={auctionCredit.token}>
+              Surplus from collateral auctions: {formatLoanAmount(auctionCredit.amount, auctionCredit.token)} {currencyOf(auctionCredit.token)}{' '}
+              <Button size="sm" variant="outline-success" onClick={() => withdrawAuctionCredit(auctionCredit.token)}>Withdraw</Button>
+            </Card.Text>
+          ))}
           <Card.Text>Total Properties Pledged (all your loans): {totalPropertyUnits}</Card.Text>
+          <Card.Text>
+            Pledged Property Value: {propertyUnitUsd === null ? 'N/A' : `$${pledgedPropertyUsd.toLocaleString()}`}
+            {propertyUnitUsd !== null && ` (index $${propertyUnitUsd.toLocaleString()} per unit)`}
+          </Card.Text>
+          <Card.Text className="text-muted">
+            Loans whose health (collateral / amount due) falls below {liquidationThreshold.toFixed(2)}x can be liquidated before expiry.
+          </Card.Text>
         </Card.Body>
       </Card>
 
@@ -313,8 +1059,8 @@ const App = () => {
         <Card.Body>
           <Form onSubmit={createLoanRequest}>
             <Form.Group as={Row} className="mb-3">
-              <Form.Label column sm={2}>Amount (ETH)</Form.Label>
-              <Col sm={10}>
+              <Form.Label column sm={2}>Amount</Form.Label>
+              <Col sm={stablecoin ? 7 : 10}>
                 <Form.Control 
                   type="number" 
                   step="0.01"
@@ -322,9 +1068,17 @@ const App = () => {
                   value={formData.amount} 
                   onChange={handleInputChange} 
                   required 
-                  placeholder="Enter loan amount in ETH"
+                  placeholder={`Enter loan amount in ${formData.currency === 'TOKEN' && stablecoin ? stablecoin.symbol : 'ETH'}`}
                 />
               </Col>
+              {stablecoin && (
+                <Col sm={3}>
+                  <Form.Select name="currency" value={formData.currency} onChange={handleInputChange}>
+                    <option value="ETH">ETH</option>
+                    <option value="TOKEN">{stablecoin.symbol}</option>
+                  </Form.Select>
+                </Col>
+              )}
             </Form.Group>
 
             <Form.Group as={Row} className="mb-3">
@@ -343,6 +1097,7 @@ const App = () => {
                 />
                 <Form.Text className="text-muted">
                   Maximum interest rate allowed is 7%
+                  {fees.originationBp > 0 && `. A ${fees.originationBp / 100}% origination fee is withheld from the amount you receive`}
                 </Form.Text>
               </Col>
             </Form.Group>
@@ -361,6 +1116,39 @@ const App = () => {
               </Col>
             </Form.Group>
 
+            <Form.Group as={Row} className="mb-3">
+              <Form.Label column sm={2}>Installments</Form.Label>
+              <Col sm={10}>
+                <Form.Control 
+                  type="number"
+                  min="1"
+                  step="1"
+                  name="installments" 
+                  value={formData.installments}
+                  onChange={handleInputChange} 
+                  placeholder="Number of installments (default 1)"
+                />
+                <Form.Text className="text-muted">
+                  Principal is split evenly over the term; interest is paid with each installment
+                </Form.Text>
+              </Col>
+            </Form.Group>
+
+            <Form.Group as={Row} className="mb-3">
+              <Form.Label column sm={2}>Funding Deadline</Form.Label>
+              <Col sm={10}>
+                <Form.Control 
+                  type="date"
+                  name="fundingDeadline" 
+                  value={formData.fundingDeadline}
+                  onChange={handleInputChange} 
+                />
+                <Form.Text className="text-muted">
+                  Optional: lenders cannot fund the request after this date, and you can reclaim your stake
+                </Form.Text>
+              </Col>
+            </Form.Group>
+
             <Form.Group as={Row} className="mb-3">
               <Form.Label column sm={2}>Collateral (ETH)</Form.Label>
               <Col sm={10}>
@@ -370,15 +1158,46 @@ const App = () => {
                   name="collateral" 
                   value={formData.collateral} 
                   onChange={handleInputChange} 
-                  required 
+                  required={!formData.pledgeAsset}
                   placeholder="Enter collateral amount in ETH"
                 />
                 <Form.Text className="text-muted">
-                  Collateral must be at least 2x the loan amount
+                  Collateral must be at least {minCollateralRatio}x the loan amount
+                  {formData.amount && !formData.pledgeAsset && ` (min ${(Number(formData.amount) * minCollateralRatio).toFixed(4)} ETH)`}
                 </Form.Text>
               </Col>
             </Form.Group>
 
+            {collateralAssets.length > 0 && (
+              <Form.Group as={Row} className="mb-3">
+                <Form.Label column sm={2}>Pledged Asset</Form.Label>
+                <Col sm={5}>
+                  <Form.Select name="pledgeAsset" value={formData.pledgeAsset} onChange={handleInputChange}>
+                    <option value="">None (ETH only)</option>
+                    {collateralAssets.map((asset) => (
+                      <option key={asset.address} value={asset.address}>
+                        {`${asset.symbol}${asset.isNft ? ' (NFT)' : ''}, counts ${Math.round(asset.factor * 100)}%`}
+                      </option>
+                    ))}
+                  </Form.Select>
+                </Col>
+                <Col sm={5}>
+                  <Form.Control 
+                    type="text"
+                    name="pledgeAmount"
+                    value={formData.pledgeAmount}
+                    onChange={handleInputChange}
+                    disabled={!formData.pledgeAsset}
+                    placeholder={collateralAssets.find(a => a.address === formData.pledgeAsset)?.isNft ? 'Token ID' : 'Amount'}
+                  />
+                </Col>
+                <Form.Text className="text-muted">
+                  The asset is escrowed with the request, returned on repayment or cancellation and seized on liquidation.
+                  A property deed also sets the request's property reference and appraisal.
+                </Form.Text>
+              </Form.Group>
+            )}
+
             
             {!DEMO_PRIVACY_PLACEHOLDER && (
             <>
@@ -465,45 +1284,93 @@ const App = () => {
       
       <Card className="mb-4">
         <Card.Header as="h5" className="d-flex justify-content-between align-items-center">
-          Your Requests
-          <Button variant="outline-primary" onClick={loadActiveLoans}>Refresh</Button>
+          Available Offers
+          <Button variant="outline-primary" onClick={loadAvailableOffers}>Refresh</Button>
         </Card.Header>
         <Card.Body>
           <Table responsive>
             <thead>
               <tr>
-                <th>ID</th>
-                <th>Amount</th>
-                <th>Duration</th>
-                <th>Units</th>
+                <th>Offer ID</th>
+                <th>Lender</th>
+                <th>Available</th>
+                <th>Max Duration</th>
                 <th>Interest Rate</th>
-                <th>Stake</th>
-                <th>Status</th>
+                <th>Min Collateral</th>
               </tr>
             </thead>
             <tbody>
-              {myRequests.map((req) => (
-                <tr key={req.loanId}>
-                  <td>{req.loanId}</td>
-                  <td>{req.loanAmount} ETH</td>
-                  <td>{`${req.duration} days`}</td>
-                  <td>{req.propertyUnits}</td>
-                  <td>{req.interestRate}%</td>
-                  <td>{req.stake} ETH</td>
-                  <td>
-                    <Badge bg={'info'}>PENDING</Badge>
-                  </td>
+              {availableOffers.map((offer) => (
+                <tr key={offer.offerId}>
+                  <td>{offer.offerId}</td>
+                  <td>{offer.lender}</td>
+                  <td>{offer.available} ETH</td>
+                  <td>{offer.maxDuration} days</td>
+                  <td>{offer.interestRate}%</td>
+                  <td>{Math.max(offer.minCollateralRatio, minCollateralRatio)}x</td>
                 </tr>
               ))}
             </tbody>
           </Table>
+
+          <Form onSubmit={borrowFromOffer}>
+            <Row>
+              <Col md={3}>
+                <Form.Select
+                  value={drawForm.offerId}
+                  onChange={(e) => setDrawForm(prev => ({ ...prev, offerId: e.target.value }))}
+                  required
+                >
+                  <option value="">Select an offer</option>
+                  {availableOffers.map((offer) => (
+                    <option key={offer.offerId} value={offer.offerId}>{`#${offer.offerId} at ${offer.interestRate}%`}</option>
+                  ))}
+                </Form.Select>
+              </Col>
+              <Col md={3}>
+                <Form.Control
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={drawForm.amount}
+                  onChange={(e) => setDrawForm(prev => ({ ...prev, amount: e.target.value }))}
+                  placeholder="Amount (ETH)"
+                  required
+                />
+              </Col>
+              <Col md={2}>
+                <Form.Control
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={drawForm.duration}
+                  onChange={(e) => setDrawForm(prev => ({ ...prev, duration: e.target.value }))}
+                  placeholder="Days"
+                  required
+                />
+              </Col>
+              <Col md={2}>
+                <Form.Control
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={drawForm.collateral}
+                  onChange={(e) => setDrawForm(prev => ({ ...prev, collateral: e.target.value }))}
+                  placeholder="Collateral (ETH)"
+                  required
+                />
+              </Col>
+              <Col md={2}>
+                <Button variant="primary" type="submit">Borrow</Button>
+              </Col>
+            </Row>
+          </Form>
         </Card.Body>
       </Card>
 
-      
-      <Card>
+      <Card className="mb-4">
         <Card.Header as="h5" className="d-flex justify-content-between align-items-center">
-          Your Active Loans
+          Your Requests
           <Button variant="outline-primary" onClick={loadActiveLoans}>Refresh</Button>
         </Card.Header>
         <Card.Body>
@@ -512,42 +1379,316 @@ const App = () => {
               <tr>
                 <th>ID</th>
                 <th>Amount</th>
-                <th>End Time</th>
+                <th>Duration</th>
                 <th>Units</th>
                 <th>Interest Rate</th>
                 <th>Stake</th>
-                <th>Initial ETH Price</th>
+                <th>Pledge</th>
+                <th>Expires</th>
                 <th>Status</th>
                 <th>Action</th>
               </tr>
             </thead>
             <tbody>
-              {myActiveLoans.map((loan) => (
-                <tr key={loan.loanId}>
-                  <td>{loan.loanId}</td>
-                  <td>{loan.loanAmount} ETH</td>
-                  <td>{loan.endTime}</td>
-                  <td>{loan.propertyUnits}</td>
-                  <td>{loan.interestRate}%</td>
-                  <td>{loan.stake} ETH</td>
-                  <td>{`$${loan.initialEthPrice}`}</td>
+              {myRequests.map((req) => (
+                <tr key={req.loanId}>
+                  <td>{req.loanId}</td>
+                  <td>{req.loanAmount} {req.currency}</td>
+                  <td>{`${req.duration} days`}</td>
+                  <td>{formatPropertyUnits(req)}</td>
+                  <td>{req.interestRate}%</td>
+                  <td>{req.stake} ETH</td>
+                  <td>{req.pledge}</td>
+                  <td>{req.fundingDeadline ? req.fundingDeadline.toLocaleDateString() : '-'}</td>
                   <td>
-                    <Badge bg={'warning'}>ACTIVE</Badge>
+                    <Badge bg={req.state === 'EXPIRED' ? 'secondary' : 'info'}>{req.state}</Badge>
                   </td>
                   <td>
-                    <div className="d-flex gap-2">
-                      <Button variant="outline-secondary" onClick={() => estimateDue(loan.loanId)}>
-                        Estimate Due
-                      </Button>
-                      <Button variant="primary" onClick={() => repayLoan(loan.loanId)}>
-                        Repay
-                      </Button>
-                    </div>
+                    <Button variant="outline-danger" onClick={() => cancelRequest(req.loanId)}>
+                      {req.state === 'EXPIRED' ? 'Reclaim Stake' : 'Cancel'}
+                    </Button>
                   </td>
                 </tr>
               ))}
             </tbody>
           </Table>
+
+          {myRequests.some(req => req.offers && req.offers.length > 0) && (
+            <>
+              <h6 className="mt-3">Counter-Offers from Lenders</h6>
+              <Table responsive>
+                <thead>
+                  <tr>
+                    <th>Request ID</th>
+                    <th>Offer ID</th>
+                    <th>Lender</th>
+                    <th>Duration</th>
+                    <th>Interest Rate</th>
+                    <th>Action</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {myRequests.flatMap((req) => (req.offers || []).map((offer) => (
+                    <tr key={offer.offerId}>
+                      <td>{req.loanId}</td>
+                      <td>{offer.offerId}</td>
+                      <td>{offer.lender}</td>
+                      <td>{`${offer.duration} days (asked ${req.duration})`}</td>
+                      <td>{`${offer.interestRate}% (asked ${req.interestRate}%)`}</td>
+                      <td>
+                        <Button variant="success" onClick={() => acceptCounterOffer(offer.offerId)}>
+                          Accept
+                        </Button>
+                      </td>
+                    </tr>
+                  )))}
+                </tbody>
+              </Table>
+            </>
+          )}
+        </Card.Body>
+      </Card>
+
+      
+      <Card>
+        <Card.Header as="h5" className="d-flex justify-content-between align-items-center">
+          Your Loans
+          <Button variant="outline-primary" onClick={() => { loadActiveLoans(); loadHistory(); }}>Refresh</Button>
+        </Card.Header>
+        <Card.Body>
+          <Tabs defaultActiveKey="active" className="mb-3" onSelect={(key) => key === 'history' && loadHistory()}>
+            <Tab eventKey="active" title="Active">
+              <Form.Group as={Row} className="mb-3">
+                <Form.Label column sm={3}>Collateral Amount (ETH)</Form.Label>
+                <Col sm={4}>
+                  <Form.Control 
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={collateralChange}
+                    onChange={(e) => setCollateralChange(e.target.value)}
+                    placeholder="Amount to add or withdraw"
+                  />
+                </Col>
+                <Col sm={5}>
+                  <Form.Text className="text-muted">
+                    Withdrawals must leave at least {minCollateralRatio}x the amount due at the current ETH price
+                  </Form.Text>
+                </Col>
+              </Form.Group>
+              <Table responsive>
+                <thead>
+                  <tr>
+                    <th>ID</th>
+                    <th>Amount</th>
+                    <th>End Time</th>
+                    <th>Units</th>
+                    <th>Interest Rate</th>
+                    <th>Stake</th>
+                    <th>Pledge</th>
+                    <th>Initial ETH Price</th>
+                    <th>Remaining</th>
+                    <th>Next Installment</th>
+                    <th>Health</th>
+                    <th>Status</th>
+                    <th>Action</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {myActiveLoans.map((loan) => (
+                    <tr key={loan.loanId}>
+                      <td>{loan.loanId}</td>
+                      <td>{loan.loanAmount} {loan.currency}</td>
+                      <td>
+                        {loan.endTime}
+                        {renderDeadline(loan)}
+                      </td>
+                      <td>{formatPropertyUnits(loan)}</td>
+                      <td>{loan.interestRate}%</td>
+                      <td>{loan.stake} ETH</td>
+                      <td>{loan.pledge}</td>
+                      <td>{`$${loan.initialEthPrice}`}</td>
+                      <td>{`$${parseFloat(loan.remainingUsd).toFixed(2)}`}</td>
+                      <td>
+                        {loan.nextInstallment
+                          ? `#${loan.nextInstallment.index}/${loan.installmentCount}: ${parseFloat(loan.nextInstallment.amount).toFixed(6)} ${loan.currency} by ${loan.nextInstallment.dueDate}`
+                          : loan.installmentError
+                            ? <span className="text-danger" title={loan.installmentError}>Unavailable</span>
+                            : '-'}
+                      </td>
+                      <td>
+                        {loan.healthFactor ? (
+                          <Badge bg={loan.healthFactor < liquidationThreshold ? 'danger' : 'success'}>{loan.healthFactor}x</Badge>
+                        ) : '-'}
+                      </td>
+                      <td>
+                        <Badge bg={'warning'}>ACTIVE</Badge>
+                      </td>
+                      <td>
+                        <div className="d-flex gap-2">
+                          <Button variant="outline-secondary" onClick={() => estimateDue(loan.loanId)}>
+                            Estimate Due
+                          </Button>
+                          {loan.installmentCount !== '1' && (
+                            <Button variant="outline-primary" onClick={() => payInstallment(loan)}>
+                              Pay Installment
+                            </Button>
+                          )}
+                          <Button variant="primary" onClick={() => repayLoan(loan.loanId)}>
+                            Repay
+                          </Button>
+                          <Button variant="outline-success" onClick={() => addCollateral(loan.loanId)}>
+                            Add Collateral
+                          </Button>
+                          <Button variant="outline-warning" onClick={() => withdrawExcessCollateral(loan.loanId)}>
+                            Withdraw Excess
+                          </Button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </Tab>
+            <Tab eventKey="history" title="History">
+              <Table responsive>
+                <thead>
+                  <tr>
+                    <th>ID</th>
+                    <th>Lender</th>
+                    <th>Amount</th>
+                    <th>Funded</th>
+                    <th>Closed</th>
+                    <th>Paid</th>
+                    <th>Penalty</th>
+                    <th>Collateral</th>
+                    <th>Liquidator</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {loanHistory.map((loan) => (
+                    <tr key={loan.loanId}>
+                      <td>{loan.loanId}</td>
+                      <td>{loan.lender}</td>
+                      <td>{loan.amount} {loan.currency}</td>
+                      <td>
+                        <div>{formatEventDate(loan.funded)}</div>
+                        <TxLink hash={loan.funded.txHash} />
+                      </td>
+                      <td>
+                        <div>{formatEventDate(loan.closed)}</div>
+                        {loan.closed && <TxLink hash={loan.closed.txHash} />}
+                      </td>
+                      <td>{loan.paid} {loan.currency}</td>
+                      <td>{loan.penalty} {loan.currency}</td>
+                      <td>{loan.collateral}</td>
+                      <td>{loan.liquidator || '-'}</td>
+                      <td>
+                        <Badge bg={loan.state === 'ACTIVE' ? 'warning' : (loan.state === 'REPAID' ? 'success' : 'danger')}>
+                          {loan.state}
+                        </Badge>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </Tab>
+          </Tabs>
+        </Card.Body>
+      </Card>
+
+      <Card className="mt-4">
+        <Card.Header as="h5">Loan Extension</Card.Header>
+        <Card.Body>
+          <Form onSubmit={proposeExtension}>
+            <Form.Group as={Row} className="mb-3">
+              <Form.Label column sm={2}>Loan</Form.Label>
+              <Col sm={10}>
+                <Form.Select
+                  value={extensionForm.loanId}
+                  onChange={(e) => setExtensionForm(prev => ({ ...prev, loanId: e.target.value }))}
+                  required
+                >
+                  <option value="">Select an active loan</option>
+                  {myActiveLoans.map((loan) => (
+                    <option key={loan.loanId} value={loan.loanId}>
+                      {`#${loan.loanId}: ${loan.loanAmount} ${loan.currency}, ends ${loan.endTime}`}
+                    </option>
+                  ))}
+                </Form.Select>
+              </Col>
+            </Form.Group>
+
+            <Form.Group as={Row} className="mb-3">
+              <Form.Label column sm={2}>New End Date</Form.Label>
+              <Col sm={10}>
+                <Form.Control 
+                  type="date"
+                  value={extensionForm.newEndDate}
+                  onChange={(e) => setExtensionForm(prev => ({ ...prev, newEndDate: e.target.value }))}
+                  required
+                />
+              </Col>
+            </Form.Group>
+
+            <Form.Group as={Row} className="mb-3">
+              <Form.Label column sm={2}>New Interest Rate (%)</Form.Label>
+              <Col sm={10}>
+                <Form.Control 
+                  type="number"
+                  min="0"
+                  max="7"
+                  step="1"
+                  value={extensionForm.newInterestRate}
+                  onChange={(e) => setExtensionForm(prev => ({ ...prev, newInterestRate: e.target.value }))}
+                  placeholder="Leave empty to keep the current rate"
+                />
+              </Col>
+            </Form.Group>
+
+            <Form.Group as={Row} className="mb-3">
+              <Col sm={{ span: 10, offset: 2 }}>
+                <Form.Check 
+                  type="checkbox"
+                  label="Capitalize accrued interest (otherwise it is escrowed now and paid to the lender on acceptance)"
+                  checked={extensionForm.capitalizeInterest}
+                  onChange={(e) => setExtensionForm(prev => ({ ...prev, capitalizeInterest: e.target.checked }))}
+                />
+              </Col>
+            </Form.Group>
+
+            <Button variant="primary" type="submit">Propose Extension</Button>
+          </Form>
+
+          {myActiveLoans.some(loan => loan.extension) && (
+            <Table responsive className="mt-4">
+              <thead>
+                <tr>
+                  <th>Loan ID</th>
+                  <th>New End Date</th>
+                  <th>New Interest Rate</th>
+                  <th>Interest</th>
+                  <th>Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {myActiveLoans.filter(loan => loan.extension).map((loan) => (
+                  <tr key={loan.loanId}>
+                    <td>{loan.loanId}</td>
+                    <td>{loan.extension.newEndDate}</td>
+                    <td>{loan.extension.newInterestRate}%</td>
+                    <td>{loan.extension.capitalizeInterest ? 'Capitalized' : `Settled (${loan.extension.escrow} ETH escrowed)`}</td>
+                    <td>
+                      <Button variant="outline-danger" onClick={() => cancelExtension(loan.loanId)}>
+                        Withdraw Proposal
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
         </Card.Body>
       </Card>
     </Container>
@@ -3,8 +3,14 @@ import { NoWalletDetected } from "./NoWalletDetected";
 import { ConnectWallet } from "./ConnectWallet";
 import { Lender as LenderInterface } from './Lender';
 import { App as BorrowerInterface } from "./Borrower"
+import { Admin as AdminInterface } from "./Admin";
+import { INDEXER_URL, fetchIndexer } from "../indexer";
 
-import { Container, Card, Button, Alert, Nav, Navbar } from 'react-bootstrap';
+import { Container, Card, Button, Alert, Nav, Navbar, Row, Col } from 'react-bootstrap';
+import { ethers } from 'ethers';
+import LendingPlatformABI from '../contracts/LendingPlatform.json';
+import ParameterTimelockABI from '../contracts/ParameterTimelock.json';
+import Address from '../contracts/contract-address.json';
 
 const HARDHAT_NETWORK_ID = '31337';
 
@@ -17,7 +23,12 @@ export class Dapp extends React.Component {
       loanRequests: [],
       approvedLoans: [],
       userRole: undefined,
+      // The admin console is offered to the platform owner only (or the admin of the timelock owning it)
+      isOwner: false,
       networkError: undefined,
+      // From the off-chain indexer, when REACT_APP_INDEXER_URL is set
+      protocolStats: undefined,
+      accountStats: undefined,
     };
 
     this.state = this.initialState;
@@ -38,7 +49,7 @@ export class Dapp extends React.Component {
       );
     }
 
-    const { selectedAddress, userRole } = this.state;
+    const { selectedAddress, userRole, isOwner, protocolStats, accountStats } = this.state;
 
     return (
       <div className="dapp-wrapper">
@@ -80,7 +91,33 @@ export class Dapp extends React.Component {
                 >
                   I'm a Lender
                 </Button>
+                {isOwner && (
+                  <Button
+                    variant="dark"
+                    className="me-2 mr-5 ml-5"
+                    onClick={() => this.setState({ userRole: 'admin' })}
+                  >
+                    I'm the Admin
+                  </Button>
+                )}
               </Card.Body>
+              {protocolStats && (
+                <Card.Footer>
+                  <Row>
+                    <Col md={6}>
+                      <strong>Protocol:</strong> {protocolStats.loans} loans ({protocolStats.activeLoans} active,{' '}
+                      {protocolStats.repaidLoans} repaid, {protocolStats.liquidatedLoans + protocolStats.auctionedLoans} liquidated),{' '}
+                      {ethers.utils.formatEther(protocolStats.volume[ethers.constants.AddressZero] || '0')} ETH lent
+                    </Col>
+                    {accountStats && (
+                      <Col md={6}>
+                        <strong>You:</strong> {accountStats.borrower.loans} loans borrowed ({accountStats.borrower.repaid} repaid),{' '}
+                        {accountStats.lender.loans} funded ({accountStats.lender.liquidated} liquidated)
+                      </Col>
+                    )}
+                  </Row>
+                </Card.Footer>
+              )}
             </Card>
           ) : (
             <>
@@ -95,6 +132,10 @@ export class Dapp extends React.Component {
               {userRole === 'lender' && (
                 <LenderInterface />
               )}
+
+              {userRole === 'admin' && isOwner && (
+                <AdminInterface />
+              )}
             </>
           )}
         </Container>
@@ -118,6 +159,43 @@ export class Dapp extends React.Component {
 
   _initialize(userAddress) {
     this.setState({ selectedAddress: userAddress });
+    this._loadIndexerStats(userAddress);
+    this._loadOwner(userAddress);
+  }
+
+  async _loadOwner(userAddress) {
+    try {
+      const provider = new ethers.providers.Web3Provider(window.ethereum);
+      const platform = new ethers.Contract(Address.LendingPlatform, LendingPlatformABI.abi, provider);
+      let owner = await platform.owner();
+      if (Address.ParameterTimelock && owner.toLowerCase() === Address.ParameterTimelock.toLowerCase()) {
+        const timelock = new ethers.Contract(Address.ParameterTimelock, ParameterTimelockABI.abi, provider);
+        owner = await timelock.admin();
+      }
+      const isOwner = owner.toLowerCase() === userAddress.toLowerCase();
+      // Leave the admin console when switching to another account
+      this.setState((state) => ({
+        isOwner,
+        userRole: state.userRole === 'admin' && !isOwner ? undefined : state.userRole,
+      }));
+    } catch (err) {
+      console.error("Error reading platform owner:", err);
+      this.setState({ isOwner: false });
+    }
+  }
+
+  // Protocol totals and the account's history from the indexer; the app works without it
+  async _loadIndexerStats(userAddress) {
+    if (!INDEXER_URL || !userAddress) return;
+    try {
+      const [protocolStats, accountStats] = await Promise.all([
+        fetchIndexer('/stats'),
+        fetchIndexer(`/accounts/${userAddress}`),
+      ]);
+      this.setState({ protocolStats, accountStats });
+    } catch (err) {
+      console.error("Indexer unavailable:", err);
+    }
   }
 
   _dismissNetworkError() {
@@ -146,6 +224,7 @@ export class Dapp extends React.Component {
   _goHome() {
     // Reset role selection
     this.setState({ userRole: undefined });
+    this._loadIndexerStats(this.state.selectedAddress);
     try {
       window.scrollTo({ top: 0, behavior: 'smooth' });
     } catch (_) {
@@ -1,19 +1,64 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Button, Table, Card, Badge, Toast } from 'react-bootstrap';
+import { Container, Row, Col, Form, Button, Table, Card, Badge, Toast, Tabs, Tab, Alert } from 'react-bootstrap';
 import { ethers } from 'ethers';
+import { loadLoanHistory } from '../loanHistory';
+import { READ_FROM_INDEXER, fetchIndexer, fetchIndexerItems, readWithFallback } from '../indexer';
+import { subscribeToEvents } from '../liveEvents';
+import { ERC20_ABI, REGISTRY_ABI, AUCTION_ABI, PAGE_SIZE, STATUS_OPEN, fetchAllPages } from '../contractReads';
+import { TxLink } from './TxLink';
 import LendingPlatformABI from '../contracts/LendingPlatform.json';
+import LoanLensABI from '../contracts/LoanLens.json';
+import LoanOffersABI from '../contracts/LoanOffers.json';
 import Address from '../contracts/contract-address.json'
 
-const LoanState = { REPAID: "Repaid", ACTIVE: "Active", EXPIRED: "Expired" };
+// Names of CollateralAuction.auctionStatus values
+const AuctionStatus = ["Running", "Needs reset", "Sold"];
+
+// Indexer reads: the ids come from the indexer (newest first), the details from the lens. The indexer can lag a
+// block or two behind, so callers drop the entries the lens reports as closed.
+const fetchIndexedRequests = async (lens, offset) => {
+  const page = await fetchIndexer(`/requests?status=open&offset=${offset}&limit=${PAGE_SIZE}`);
+  const ids = page.items.map((item) => item.requestId);
+  return [ids, await lens.getRequestSummaries(ids), ethers.BigNumber.from(page.total)];
+};
+
+const fetchIndexedLoans = async (lens, query) => {
+  const ids = (await fetchIndexerItems(`/loans?${query}&status=active`)).map((item) => item.loanId);
+  return [ids, await lens.getActiveLoans(ids)];
+};
+
+const LoanState = {
+  REPAID: "Repaid", ACTIVE: "Active", EXPIRED: "Expired", UNDERCOLLATERALIZED: "Undercollateralized",
+  LIQUIDATED: "Liquidated", AUCTIONED: "Auctioned"
+};
+
+// Loan history status (see loanHistory.js) to display state
+const HISTORY_STATE = { active: LoanState.ACTIVE, repaid: LoanState.REPAID, liquidated: LoanState.LIQUIDATED, auctioned: LoanState.AUCTIONED };
 
 const Lender = () => {
   // Core application state
   const [account, setAccount] = useState('');
   const [balance, setBalance] = useState('');
   const [contract, setContract] = useState(null);
+  const [lens, setLens] = useState(null); // aggregate read-only views
+  const [offerBook, setOfferBook] = useState(null); // counter-offers and liquidity offers
+  const [propertyUnitUsd, setPropertyUnitUsd] = useState(null); // real-estate index, USD per property unit
   const [loanRequests, setLoanRequests] = useState([]);
+  const [requestPage, setRequestPage] = useState({ offset: 0, total: 0 }); // current page of open requests
   const [activeLoans, setActiveLoans] = useState([]);
+  const [loanHistory, setLoanHistory] = useState([]); // every funded loan, including repaid and liquidated ones
+  const [myOffers, setMyOffers] = useState([]);
+  const [offerForm, setOfferForm] = useState({ requestId: '', interestRate: '', duration: '' });
+  const [liquidityOffers, setLiquidityOffers] = useState([]);
+  const [liquidityForm, setLiquidityForm] = useState({ amount: '', maxDuration: '', interestRate: '', minCollateralRatio: '' });
   const [toast, setToast] = useState({ show: false, message: '', variant: 'success' });
+  const [stablecoin, setStablecoin] = useState(null); // { address, symbol, decimals }
+  const [collateralAssets, setCollateralAssets] = useState([]); // [{ address, symbol, isNft, decimals }]
+  const [auctions, setAuctions] = useState([]);
+  const [auctionCredits, setAuctionCredits] = useState([]); // [{ token, amount }] sale proceeds not yet withdrawn
+  const [paused, setPaused] = useState(false);
+  const [graceSeconds, setGraceSeconds] = useState(0); // expired loans become liquidatable this long after endTime
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000)); // ticks every second for the grace countdown
   
 
   // Initialize smart contract 
@@ -24,6 +69,9 @@ const Lender = () => {
         await loadContract();
         await loadLoanRequests();
         await loadActiveLoans();
+        await loadMyOffers();
+        await loadLiquidityOffers();
+        await loadAuctions();
       } catch (error) {
         console.error("Initialization error:", error);
         showToast("Error initializing app", 'danger');
@@ -32,6 +80,12 @@ const Lender = () => {
     init();
   }, []);
 
+  // Clock for the grace-period countdown
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
   // Connect wallet, set up account listener
   const connectWallet = async () => {
     if (typeof window.ethereum !== 'undefined') {
@@ -68,6 +122,8 @@ const Lender = () => {
         const contractAddress = Address.LendingPlatform;
         const contractInstance = new ethers.Contract(contractAddress, LendingPlatformABI.abi, signer);
         setContract(contractInstance);
+        setLens(new ethers.Contract(Address.LoanLens, LoanLensABI.abi, signer));
+        setOfferBook(new ethers.Contract(Address.LoanOffers, LoanOffersABI.abi, signer));
 
         //Update UI
         await loadLoanRequests();
@@ -89,26 +145,48 @@ const Lender = () => {
     }
   };
 
-  // Load active loan requests that can be funded
-  const loadLoanRequests = async () => {
-    if (!contract || !account) return;
+  // Table row for an open request (a LoanTypes.LoanRequest)
+  const toRequestRow = (id, request) => {
+    const row = {
+      requestId: id.toString(),
+      borrower: request.borrower,
+      amount: formatLoanAmount(request.loanAmount, request.loanToken),
+      amountRaw: request.loanAmount,
+      loanToken: request.loanToken,
+      currency: currencyOf(request.loanToken),
+      pledge: describePledge(request.collateralAsset, request.collateralAmount),
+      duration: request.duration.toString(),
+      stake: ethers.utils.formatEther(request.stake),
+      interestRate: request.interestRate.toString(),
+      propertyUnits: (request.propertyUnits ? request.propertyUnits.toString() : '0'),
+      deedBacked: isDeed(request.collateralAsset),
+      propertyCommitment: request.propertyIdCommitment,
+      fundingDeadline: request.fundingDeadline.isZero()
+        ? null
+        : new Date(request.fundingDeadline.toNumber() * 1000),
+      isActive: request.isActive
+    };
+    // Flag requests past their funding deadline; the contract rejects funding them
+    row.isExpired = !!row.fundingDeadline && row.fundingDeadline.getTime() < Date.now();
+    return row;
+  };
+
+  // Load one page of the open loan requests that can be funded
+  const loadLoanRequests = async (offset = requestPage.offset) => {
+    if (!contract || !lens || !account) return;
     try {
-      const [, , requestIds, requests] = await contract.getAllActiveLoans();
-      const requestsData = requestIds.map((id, index) => ({
-        requestId: id.toString(),
-        borrower: requests[index].borrower,
-        amount: ethers.utils.formatEther(requests[index].loanAmount),
-        duration: requests[index].duration.toString(),
-        stake: ethers.utils.formatEther(requests[index].stake),
-        interestRate: requests[index].interestRate.toString(),
-        propertyUnits: (requests[index].propertyUnits ? requests[index].propertyUnits.toString() : '0'),
-        propertyCommitment: requests[index].propertyIdCommitment,
-        isActive: requests[index].isActive
-      }));
-
-      // Filter inactive requests and lender's own requests
+      const [requestIds, requests, total] = await readWithFallback(
+        () => fetchIndexedRequests(lens, offset),
+        () => lens.getOpenRequests(offset, PAGE_SIZE)
+      );
+      setRequestPage({ offset, total: total.toNumber() });
+      const requestsData = requestIds
+        .map((id, index) => toRequestRow(id, requests[index]))
+        .filter((req, index) => requests[index].isActive);
+
+      // Filter lender's own requests
       setLoanRequests(requestsData.filter(req => 
-        req.isActive && req.borrower.toLowerCase() !== account.toLowerCase()
+        req.borrower.toLowerCase() !== account.toLowerCase()
       ));
     } catch (error) {
       console.error("Error loading requests:", error);
@@ -116,25 +194,60 @@ const Lender = () => {
     }
   };
 
-  // Load loans funded by lender
+  // Table row for a funded loan (a LoanTypes.ActiveLoan)
+  const toLoanRow = (id, loan) => ({
+    loanId: id.toString(),
+    borrower: loan.borrower,
+    lender: loan.lender,
+    amount: formatLoanAmount(loan.loanAmount, loan.loanToken),
+    currency: currencyOf(loan.loanToken),
+    pledge: describePledge(loan.collateralAsset, loan.collateralAmount),
+    stake: ethers.utils.formatEther(loan.stake),
+    endTime: new Date(Number(loan.endTime) * 1000).toLocaleString(),
+    endTimestamp: Number(loan.endTime),
+    interestRate: loan.interestRate.toString(),
+    propertyUnits: (loan.propertyUnits ? loan.propertyUnits.toString() : '0'),
+    deedBacked: isDeed(loan.collateralAsset),
+    initialEthPrice: ethers.utils.formatUnits(loan.initialEthPrice, 18),
+    state: loan.isRepaid ? LoanState.REPAID : (Date.now() > Number(loan.endTime) * 1000 ? LoanState.EXPIRED : LoanState.ACTIVE)
+  });
+
+  // Health factor (collateral / amount due) and pending extension of a loan row
+  const addLoanDetails = async (loan) => {
+    const proposal = await contract.extensionProposals(loan.loanId);
+    if (proposal.isActive) {
+      loan.extension = {
+        newEndTime: new Date(proposal.newEndTime.toNumber() * 1000).toLocaleString(),
+        newInterestRate: proposal.newInterestRate.toString(),
+        capitalizeInterest: proposal.capitalizeInterest
+      };
+    }
+    try {
+      const healthBp = await contract.getHealthFactor(loan.loanId);
+      loan.healthFactor = (healthBp.toNumber() / 10000).toFixed(2);
+      if (loan.state === LoanState.ACTIVE && healthBp.lt(params.thresholdBp || 12000)) {
+        loan.state = LoanState.UNDERCOLLATERALIZED;
+      }
+    } catch (e) {
+      // leave empty if price unavailable
+    }
+    return loan;
+  };
+
+  // Load loans funded by lender (through the lender's loan index)
   const loadActiveLoans = async () => {
-    if (!contract || !account) return;
+    if (!contract || !lens || !account) return;
     try {
-      const [loanIds, loans, , ] = await contract.getAllActiveLoans();
+      const [loanIds, loans] = await readWithFallback(
+        () => fetchIndexedLoans(lens, `lender=${account}`),
+        () => fetchAllPages((offset, limit) => lens.getLenderLoans(account, STATUS_OPEN, offset, limit))
+      );
       const activeLoansData = loans
-        .map((loan, index) => ({
-          loanId: loanIds[index].toString(),
-          borrower: loan.borrower,
-          lender: loan.lender,
-          amount: ethers.utils.formatEther(loan.loanAmount),
-          stake: ethers.utils.formatEther(loan.stake),
-          endTime: new Date(Number(loan.endTime) * 1000).toLocaleString(),
-          interestRate: loan.interestRate.toString(),
-          propertyUnits: (loan.propertyUnits ? loan.propertyUnits.toString() : '0'),
-          initialEthPrice: ethers.utils.formatUnits(loan.initialEthPrice, 18),
-          state: loan.isRepaid ? LoanState.REPAID : (Date.now() > Number(loan.endTime) * 1000 ? LoanState.EXPIRED : LoanState.ACTIVE)
-        }))
-        .filter(loan => loan.lender.toLowerCase() === account.toLowerCase());
+        .map((loan, index) => toLoanRow(loanIds[index], loan))
+        .filter((loan) => loan.state !== LoanState.REPAID);
+      for (const loan of activeLoansData) {
+        await addLoanDetails(loan);
+      }
       setActiveLoans(activeLoansData);
     } catch (error) {
       console.error("Error loading active loans:", error);
@@ -142,34 +255,361 @@ const Lender = () => {
     }
   };
 
+  // Load every loan this lender funded, with how it ended
+  const loadHistory = async () => {
+    if (!contract || !account) return;
+    try {
+      const history = await loadLoanHistory(contract, account, 'lender');
+      setLoanHistory(history.map((entry) => ({
+        ...entry,
+        amount: formatLoanAmount(entry.principal, entry.loanToken),
+        paid: formatLoanAmount(entry.amountPaid, entry.loanToken),
+        penalty: formatLoanAmount(entry.penaltyPaid, entry.loanToken),
+        currency: currencyOf(entry.loanToken),
+        collateral: describeCollateralOutcome(entry),
+        state: HISTORY_STATE[entry.status]
+      })));
+    } catch (error) {
+      console.error("Error loading loan history:", error);
+      showToast("Error loading loan history", 'danger');
+    }
+  };
+
+  // Load this lender's open counter-offers
+  const loadMyOffers = async () => {
+    if (!contract || !offerBook || !account) return;
+    try {
+      const total = (await offerBook.totalCounterOffers()).toNumber();
+      const offers = [];
+      for (let i = 0; i < total; i++) {
+        const offer = await offerBook.counterOffers(i);
+        if (offer.isActive && offer.lender.toLowerCase() === account.toLowerCase()) {
+          // offers on a request that was funded or cancelled are only waiting to be withdrawn
+          const request = await contract.loanRequests(offer.requestId);
+          offers.push({
+            offerId: i.toString(),
+            requestId: offer.requestId.toString(),
+            requestClosed: !request.isActive,
+            amount: ethers.utils.formatEther(offer.amount),
+            interestRate: offer.interestRate.toString(),
+            duration: offer.durationInDays.toString()
+          });
+        }
+      }
+      setMyOffers(offers);
+    } catch (error) {
+      console.error("Error loading offers:", error);
+      showToast("Error loading counter-offers", 'danger');
+    }
+  };
+
+  // Load this lender's standing liquidity offers
+  const loadLiquidityOffers = async () => {
+    if (!offerBook || !account) return;
+    try {
+      const total = (await offerBook.totalLiquidityOffers()).toNumber();
+      const offers = [];
+      for (let i = 0; i < total; i++) {
+        const offer = await offerBook.liquidityOffers(i);
+        if (offer.isActive && offer.lender.toLowerCase() === account.toLowerCase()) {
+          offers.push({
+            offerId: i.toString(),
+            available: ethers.utils.formatEther(offer.availableAmount),
+            maxDuration: offer.maxDurationInDays.toString(),
+            interestRate: offer.interestRate.toString(),
+            minCollateralRatio: offer.minCollateralRatioBp.toNumber() / 10000
+          });
+        }
+      }
+      setLiquidityOffers(offers);
+    } catch (error) {
+      console.error("Error loading liquidity offers:", error);
+      showToast("Error loading liquidity offers", 'danger');
+    }
+  };
+
+  // Collateral auctions, most recent first
+  const loadAuctions = async () => {
+    if (!contract || !Address.CollateralAuction) return;
+    try {
+      const auctionContract = new ethers.Contract(Address.CollateralAuction, AUCTION_ABI, contract.signer);
+      const total = (await auctionContract.auctionCount()).toNumber();
+      const duration = await auctionContract.auctionDuration();
+      const list = [];
+      for (let i = total - 1; i >= 0; i--) {
+        const auction = await auctionContract.auctions(i);
+        const status = await auctionContract.auctionStatus(i);
+        const price = status === 2 ? auction.salePrice : await auctionContract.currentPrice(i);
+        list.push({
+          auctionId: i.toString(),
+          loanId: auction.loanId.toString(),
+          isMine: auction.lender.toLowerCase() === account.toLowerCase(),
+          loanToken: auction.loanToken,
+          currency: currencyOf(auction.loanToken),
+          lot: `${ethers.utils.formatEther(auction.stake)} ETH` +
+            (auction.collateralAsset !== ethers.constants.AddressZero ? ` + ${describePledge(auction.collateralAsset, auction.collateralAmount)}` : ''),
+          owed: formatLoanAmount(auction.owed, auction.loanToken),
+          priceRaw: price,
+          price: formatLoanAmount(price, auction.loanToken),
+          endsAt: new Date(auction.startTime.add(duration).toNumber() * 1000).toLocaleString(),
+          status
+        });
+      }
+      setAuctions(list);
+
+      // Proceeds are credited per currency: ETH, and the stablecoin when one is supported
+      const tokens = [ethers.constants.AddressZero, ...(stablecoin ? [stablecoin.address] : [])];
+      const credits = [];
+      for (const token of tokens) {
+        const amount = await auctionContract.credits(token, account);
+        if (amount.gt(0)) credits.push({ token, amount });
+      }
+      setAuctionCredits(credits);
+    } catch (error) {
+      console.error("Error loading auctions:", error);
+      showToast("Error loading collateral auctions", 'danger');
+    }
+  };
+
+  // Buy an auctioned lot at the current price (approving the loan token first for stablecoin loans)
+  const bidOnAuction = async (auction) => {
+    if (!contract) return;
+    try {
+      const auctionContract = new ethers.Contract(Address.CollateralAuction, AUCTION_ABI, contract.signer);
+      let value = auction.priceRaw;
+      if (isTokenLoan(auction.loanToken)) {
+        const token = new ethers.Contract(auction.loanToken, ERC20_ABI, contract.signer);
+        const txApprove = await token.approve(Address.CollateralAuction, auction.priceRaw);
+        await txApprove.wait();
+        value = 0;
+      }
+      // the price only drops while the auction runs, so the displayed price covers the bid
+      const tx = await auctionContract.bid(auction.auctionId, { value });
+      await tx.wait();
+      showToast("Collateral bought, withdraw the ETH stake below", 'success');
+
+      //Update UI
+      await loadAuctions();
+      await updateBalance(account);
+    } catch (error) {
+      console.error("Error bidding:", error);
+      showToast(error.reason || "Error bidding on auction", 'danger');
+    }
+  };
+
+  // Withdraw the auction proceeds (or bought stake) credited to this account in one currency
+  const withdrawAuctionCredit = async (token) => {
+    if (!contract) return;
+    try {
+      const auctionContract = new ethers.Contract(Address.CollateralAuction, AUCTION_ABI, contract.signer);
+      const tx = await auctionContract.withdraw(token);
+      await tx.wait();
+      showToast("Auction proceeds withdrawn", 'success');
+
+      //Update UI
+      await loadAuctions();
+      await updateBalance(account);
+    } catch (error) {
+      console.error("Error withdrawing auction proceeds:", error);
+      showToast(error.reason || "Error withdrawing auction proceeds", 'danger');
+    }
+  };
+
+  // Restart an auction that ran out without bids
+  const resetAuction = async (auctionId) => {
+    if (!contract) return;
+    try {
+      const auctionContract = new ethers.Contract(Address.CollateralAuction, AUCTION_ABI, contract.signer);
+      const tx = await auctionContract.resetAuction(auctionId);
+      await tx.wait();
+      showToast("Auction restarted", 'success');
+
+      //Update UI
+      await loadAuctions();
+    } catch (error) {
+      console.error("Error resetting auction:", error);
+      showToast(error.reason || "Error resetting auction", 'danger');
+    }
+  };
+
   // Load parameters (penalty)
-  const [params, setParams] = useState({ bonusBp: '', penaltyBp: '' });
+  const [params, setParams] = useState({ bonusBp: '', penaltyBp: '', thresholdBp: '', interestFeeBp: '' });
   useEffect(() => {
     const loadParams = async () => {
       if (!contract) return;
       try {
         const bonusBp = await contract.liquidationBonusBp();
         const penaltyBp = await contract.overdueRepayPenaltyBp();
-        setParams({ bonusBp: bonusBp.toString(), penaltyBp: penaltyBp.toString() });
+        const thresholdBp = await contract.liquidationThresholdBp();
+        const interestFeeBp = await contract.interestFeeBp();
+        setParams({ bonusBp: bonusBp.toString(), penaltyBp: penaltyBp.toString(), thresholdBp: thresholdBp.toString(), interestFeeBp: interestFeeBp.toString() });
+        setGraceSeconds((await contract.gracePeriodSeconds()).toNumber());
+        setPaused(await contract.paused());
+        const [indexValue, indexDecimals] = await contract.getRealEstateIndex();
+        setPropertyUnitUsd(parseFloat(ethers.utils.formatUnits(indexValue, indexDecimals)));
       } catch (e) {
         // ignore if without params
       }
     };
     loadParams();
   }, [contract]);
+
+  // Stablecoin enabled at deploy (if any)
+  useEffect(() => {
+    const loadStablecoin = async () => {
+      if (!contract || !Address.Stablecoin) return;
+      try {
+        const token = new ethers.Contract(Address.Stablecoin, ERC20_ABI, contract.signer);
+        setStablecoin({ address: Address.Stablecoin, symbol: await token.symbol(), decimals: await token.decimals() });
+      } catch (e) {
+        // ETH loans only
+      }
+    };
+    loadStablecoin();
+  }, [contract]);
+
+  // Assets the registry accepts as collateral (for labelling pledges)
+  useEffect(() => {
+    const loadCollateralAssets = async () => {
+      if (!contract || !Address.CollateralRegistry) return;
+      try {
+        const registry = new ethers.Contract(Address.CollateralRegistry, REGISTRY_ABI, contract.signer);
+        const list = [];
+        for (const asset of await registry.getAssets()) {
+          const info = await registry.assets(asset);
+          let symbol = `${asset.slice(0, 6)}...`;
+          try {
+            symbol = await new ethers.Contract(asset, ERC20_ABI, contract.signer).symbol();
+          } catch (e) {
+            // keep the short address
+          }
+          list.push({ address: asset, symbol, isNft: info.isNft, decimals: info.decimals });
+        }
+        setCollateralAssets(list);
+      } catch (e) {
+        // ETH collateral only
+      }
+    };
+    loadCollateralAssets();
+  }, [contract]);
+
+  // Property units only count as collateral when a deed is pledged with them
+  const isDeed = (asset) => !!Address.PropertyDeed && !!asset && asset.toLowerCase() === Address.PropertyDeed.toLowerCase();
+  const formatPropertyUnits = (loan) => {
+    if (!loan.deedBacked || loan.propertyUnits === '0' || propertyUnitUsd === null) return loan.propertyUnits;
+    return `${loan.propertyUnits} (~$${(Number(loan.propertyUnits) * propertyUnitUsd).toLocaleString()})`;
+  };
+
+  // Human-readable pledge, e.g. "0.1 WBTC" or "DEED #7"
+  const describePledge = (asset, amount) => {
+    if (!asset || asset === ethers.constants.AddressZero) return '-';
+    const info = collateralAssets.find(a => a.address.toLowerCase() === asset.toLowerCase());
+    if (!info) return `${asset.slice(0, 6)}... ${amount.toString()}`;
+    return info.isNft ? `${info.symbol} #${amount.toString()}` : `${ethers.utils.formatUnits(amount, info.decimals)} ${info.symbol}`;
+  };
+
+  // Live updates from the platform's events; the listeners are replaced when the account or the request page changes.
+  // Notifies the lender when one of their loans is repaid, liquidated or sent to auction.
+  useEffect(() => {
+    if (!contract || !account) return undefined;
+    const isMine = (address) => address.toLowerCase() === account.toLowerCase();
+    const dropLoan = (loanId) => setActiveLoans((loans) => loans.filter((loan) => loan.loanId !== loanId.toString()));
+    const updateRequestTotal = async () => {
+      const total = (await contract.openRequestCount()).toNumber();
+      setRequestPage((page) => ({ ...page, total }));
+    };
+
+    return subscribeToEvents(contract, {
+      LoanRequested: async ({ requestId, borrower }) => {
+        const request = await contract.loanRequests(requestId);
+        // Liquidity-offer draws are funded in the same transaction
+        if (!request.isActive) return;
+        await updateRequestTotal();
+        // New requests join the end of the open index, so they only show up on the last page
+        // (the indexer lists the newest first, so there they join the first page)
+        const onNewestPage = READ_FROM_INDEXER ? requestPage.offset === 0 : requestPage.offset + PAGE_SIZE > requestPage.total;
+        if (!isMine(borrower) && onNewestPage) {
+          const row = toRequestRow(requestId, request);
+          const others = (requests) => requests.filter((req) => req.requestId !== row.requestId);
+          setLoanRequests((requests) => (READ_FROM_INDEXER ? [row, ...others(requests)] : [...others(requests), row]));
+        }
+      },
+      LoanFunded: async ({ loanId, requestId, lender }) => {
+        setLoanRequests((requests) => requests.filter((req) => req.requestId !== requestId.toString()));
+        await updateRequestTotal();
+        if (!isMine(lender)) return;
+        const row = await addLoanDetails(toLoanRow(loanId, await contract.activeLoans(loanId)));
+        setActiveLoans((loans) => [...loans.filter((loan) => loan.loanId !== row.loanId), row]);
+      },
+      LoanRepaid: ({ loanId, lender }) => {
+        if (!isMine(lender)) return;
+        dropLoan(loanId);
+        showToast(`Loan #${loanId} was repaid`, 'success');
+      },
+      LoanLiquidated: ({ loanId, lender, collateralTransferred }) => {
+        if (!isMine(lender) || collateralTransferred.isZero()) return; // auctioned: LoanAuctioned follows
+        dropLoan(loanId);
+        showToast(`Loan #${loanId} was liquidated (${ethers.utils.formatEther(collateralTransferred)} ETH collateral)`, 'warning');
+      },
+      LoanAuctioned: async ({ loanId, auctionId }) => {
+        const loan = await contract.activeLoans(loanId);
+        loadAuctions();
+        if (!isMine(loan.lender)) return;
+        dropLoan(loanId);
+        showToast(`The collateral of loan #${loanId} is up for auction #${auctionId}`, 'warning');
+      },
+      Paused: () => setPaused(true),
+      Unpaused: () => setPaused(false),
+      ParamsUpdated: ({ overdueRepayPenaltyBp, liquidationBonusBp }) => {
+        setParams((current) => ({ ...current, penaltyBp: overdueRepayPenaltyBp.toString(), bonusBp: liquidationBonusBp.toString() }));
+      },
+      GracePeriodUpdated: ({ gracePeriodSeconds }) => setGraceSeconds(gracePeriodSeconds.toNumber())
+    });
+  }, [contract, account, requestPage, stablecoin]);
+
+  // Amounts are in wei for ETH loans and in token units for stablecoin loans
+  const isTokenLoan = (loanToken) => loanToken && loanToken !== ethers.constants.AddressZero;
+  const formatLoanAmount = (value, loanToken) =>
+    isTokenLoan(loanToken) ? ethers.utils.formatUnits(value, stablecoin ? stablecoin.decimals : 18) : ethers.utils.formatEther(value);
+  const currencyOf = (loanToken) => (isTokenLoan(loanToken) ? (stablecoin ? stablecoin.symbol : 'TOKEN') : 'ETH');
+
+  // Countdown like "2d 03:15:09"
+  const formatCountdown = (seconds) => {
+    const d = Math.floor(seconds / 86400);
+    const time = new Date((seconds % 86400) * 1000).toISOString().substr(11, 8);
+    return d > 0 ? `${d}d ${time}` : time;
+  };
+
+  // ETH stake returned to the borrower and/or seized on liquidation; for auctions, the sale split in the loan currency
+  const describeCollateralOutcome = (entry) => {
+    const format = (value) => (entry.status === 'auctioned'
+      ? `${formatLoanAmount(value, entry.loanToken)} ${currencyOf(entry.loanToken)}`
+      : `${ethers.utils.formatEther(value)} ETH`);
+    return [
+      entry.collateralSeized && `${format(entry.collateralSeized)} seized`,
+      entry.collateralReturned && `${format(entry.collateralReturned)} returned`
+    ].filter(Boolean).join(', ') || '-';
+  };
+  const formatEventDate = (ref) => (ref ? new Date(ref.timestamp * 1000).toLocaleString() : '-');
   
-  // Fund selected loan
-  const fundLoan = async (requestId, amount) => {
+  // Fund selected loan; stablecoin requests are approved first and pulled by the contract
+  const fundLoan = async (request) => {
     if (!contract) return;
     try {
-      const amountInWei = ethers.utils.parseEther(amount);
-  
       const provider = new ethers.providers.Web3Provider(window.ethereum);
+
+      let value = request.amountRaw;
+      if (isTokenLoan(request.loanToken)) {
+        const token = new ethers.Contract(request.loanToken, ERC20_ABI, contract.signer);
+        const txApprove = await token.approve(contract.address, request.amountRaw);
+        await txApprove.wait();
+        value = 0;
+      }
+
       const nonce = await provider.getTransactionCount(account);
-      
       const tx = await contract.fundLoanRequest(
-        requestId,
-        { value: amountInWei, nonce, gasLimit: ethers.utils.hexlify(1000000) }
+        request.requestId,
+        { value, nonce, gasLimit: ethers.utils.hexlify(1000000) }
       );
       
       await tx.wait();
@@ -177,6 +617,7 @@ const Lender = () => {
       //Update UI
       await loadLoanRequests();
       await loadActiveLoans();
+      await loadMyOffers();
       await updateBalance(account);
       showToast("Loan funded successfully", 'success');
     } catch (error) {
@@ -189,6 +630,111 @@ const Lender = () => {
   
   
 
+  // Post a counter-offer: the loan amount is escrowed until accepted or withdrawn
+  const postCounterOffer = async (e) => {
+    e.preventDefault();
+    if (!offerBook) return;
+    try {
+      const request = loanRequests.find(req => req.requestId === offerForm.requestId);
+      if (!request) {
+        showToast("Select a loan request", 'warning');
+        return;
+      }
+      const rate = Math.floor(Number(offerForm.interestRate));
+      if (rate <= 0 || rate > 7) {
+        showToast("Interest rate must be between 1% and 7%", 'warning');
+        return;
+      }
+
+      const tx = await offerBook.postCounterOffer(
+        request.requestId,
+        rate,
+        Math.floor(Number(offerForm.duration)),
+        { value: request.amountRaw }
+      );
+      await tx.wait();
+      showToast("Counter-offer posted", 'success');
+      setOfferForm({ requestId: '', interestRate: '', duration: '' });
+
+      //Update UI
+      await loadMyOffers();
+      await updateBalance(account);
+    } catch (error) {
+      console.error("Error posting offer:", error);
+      showToast(error.reason || "Error posting counter-offer", 'danger');
+    }
+  };
+
+  // Post a standing liquidity offer, escrowing the amount
+  const postLiquidityOffer = async (e) => {
+    e.preventDefault();
+    if (!contract || !offerBook) return;
+    try {
+      const rate = Math.floor(Number(liquidityForm.interestRate));
+      if (rate <= 0 || rate > 7) {
+        showToast("Interest rate must be between 1% and 7%", 'warning');
+        return;
+      }
+      const minRatioBp = await contract.minCollateralRatioBp();
+      const ratioBp = Math.round(Number(liquidityForm.minCollateralRatio) * 10000);
+      if (minRatioBp.gt(ratioBp)) {
+        showToast(`Collateral ratio must be at least ${minRatioBp.toNumber() / 10000}x`, 'warning');
+        return;
+      }
+
+      const tx = await offerBook.postLiquidityOffer(
+        Math.floor(Number(liquidityForm.maxDuration)),
+        rate,
+        ratioBp,
+        { value: ethers.utils.parseEther(liquidityForm.amount) }
+      );
+      await tx.wait();
+      showToast("Liquidity offer posted", 'success');
+      setLiquidityForm({ amount: '', maxDuration: '', interestRate: '', minCollateralRatio: '' });
+
+      //Update UI
+      await loadLiquidityOffers();
+      await updateBalance(account);
+    } catch (error) {
+      console.error("Error posting liquidity offer:", error);
+      showToast(error.reason || "Error posting liquidity offer", 'danger');
+    }
+  };
+
+  // Close a liquidity offer and take back what was not lent out
+  const withdrawLiquidityOffer = async (offerId) => {
+    if (!offerBook) return;
+    try {
+      const tx = await offerBook.withdrawLiquidityOffer(offerId);
+      await tx.wait();
+      showToast("Liquidity offer withdrawn", 'success');
+
+      //Update UI
+      await loadLiquidityOffers();
+      await updateBalance(account);
+    } catch (error) {
+      console.error("Error withdrawing liquidity offer:", error);
+      showToast(error.reason || "Error withdrawing liquidity offer", 'danger');
+    }
+  };
+
+  // Take back an offer that was not accepted
+  const withdrawCounterOffer = async (offerId) => {
+    if (!offerBook) return;
+    try {
+      const tx = await offerBook.withdrawCounterOffer(offerId);
+      await tx.wait();
+      showToast("Counter-offer withdrawn", 'success');
+
+      //Update UI
+      await loadMyOffers();
+      await updateBalance(account);
+    } catch (error) {
+      console.error("Error withdrawing offer:", error);
+      showToast(error.reason || "Error withdrawing counter-offer", 'danger');
+    }
+  };
+
   // Liquidate expired loan
   const liquidateExpiredLoan = async (loanId) => {
     if (!contract) return;
@@ -196,11 +742,47 @@ const Lender = () => {
       const tx = await contract.liquidateExpiredLoan(loanId);
       showToast("Processing liquidation...", 'info');
       await tx.wait();
-      showToast("Loan liquidated successfully", 'success');
+      showToast(Address.CollateralAuction ? "Collateral auction started" : "Loan liquidated successfully", 'success');
       
       //Update UI
       await loadLoanRequests();
       await loadActiveLoans();
+      await loadAuctions();
+      await updateBalance(account);
+    } catch (error) {
+      console.error("Error liquidating loan:", error);
+      showToast(error.reason || "Error liquidating loan", 'danger');
+    }
+  };
+
+  // Accept the borrower's proposed extension
+  const acceptExtension = async (loanId) => {
+    if (!contract) return;
+    try {
+      const tx = await contract.acceptLoanExtension(loanId);
+      await tx.wait();
+      showToast("Loan extension accepted", 'success');
+
+      //Update UI
+      await loadActiveLoans();
+      await updateBalance(account);
+    } catch (error) {
+      console.error("Error accepting extension:", error);
+      showToast(error.reason || "Error accepting extension", 'danger');
+    }
+  };
+
+  // Liquidate a loan whose collateral fell below the liquidation threshold
+  const liquidateUndercollateralizedLoan = async (loanId) => {
+    if (!contract) return;
+    try {
+      const tx = await contract.liquidateUndercollateralizedLoan(loanId);
+      showToast("Processing liquidation...", 'info');
+      await tx.wait();
+      showToast("Loan liquidated successfully", 'success');
+
+      //Update UI
+      await loadActiveLoans();
       await updateBalance(account);
     } catch (error) {
       console.error("Error liquidating loan:", error);
@@ -225,6 +807,10 @@ const Lender = () => {
         <Toast.Body className={`bg-${toast.variant} text-white`}>{toast.message}</Toast.Body>
       </Toast>
 
+      {paused && (
+        <Alert variant="warning">The platform is paused: funding and new offers are on hold until it resumes.</Alert>
+      )}
+
       <Card className="mb-4">
         <Card.Header as="h5">Lender Dashboard</Card.Header>
         <Card.Body>
@@ -233,15 +819,112 @@ const Lender = () => {
         </Card.Body>
       </Card>
 
+      <Card className="mb-4">
+        <Card.Header as="h5" className="d-flex justify-content-between align-items-center">
+          Post Offer
+          <Button variant="outline-primary" onClick={loadLiquidityOffers}>Refresh Offers</Button>
+        </Card.Header>
+        <Card.Body>
+          <Form onSubmit={postLiquidityOffer} className="mb-4">
+            <Row>
+              <Col md={3}>
+                <Form.Control
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={liquidityForm.amount}
+                  onChange={(e) => setLiquidityForm(prev => ({ ...prev, amount: e.target.value }))}
+                  placeholder="Amount (ETH)"
+                  required
+                />
+              </Col>
+              <Col md={2}>
+                <Form.Control
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={liquidityForm.maxDuration}
+                  onChange={(e) => setLiquidityForm(prev => ({ ...prev, maxDuration: e.target.value }))}
+                  placeholder="Max days"
+                  required
+                />
+              </Col>
+              <Col md={2}>
+                <Form.Control
+                  type="number"
+                  min="1"
+                  max="7"
+                  step="1"
+                  value={liquidityForm.interestRate}
+                  onChange={(e) => setLiquidityForm(prev => ({ ...prev, interestRate: e.target.value }))}
+                  placeholder="Rate (%)"
+                  required
+                />
+              </Col>
+              <Col md={3}>
+                <Form.Control
+                  type="number"
+                  min="1"
+                  step="0.1"
+                  value={liquidityForm.minCollateralRatio}
+                  onChange={(e) => setLiquidityForm(prev => ({ ...prev, minCollateralRatio: e.target.value }))}
+                  placeholder="Min collateral (x)"
+                  required
+                />
+              </Col>
+              <Col md={2}>
+                <Button variant="primary" type="submit">Post Offer</Button>
+              </Col>
+            </Row>
+            <Form.Text className="text-muted">
+              The amount is escrowed; borrowers draw on it by posting collateral, and you can withdraw what is left at any time.
+            </Form.Text>
+          </Form>
+
+          <Table responsive>
+            <thead>
+              <tr>
+                <th>Offer ID</th>
+                <th>Available</th>
+                <th>Max Duration</th>
+                <th>Interest Rate</th>
+                <th>Min Collateral</th>
+                <th>Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {liquidityOffers.map((offer) => (
+                <tr key={offer.offerId}>
+                  <td>{offer.offerId}</td>
+                  <td>{offer.available} ETH</td>
+                  <td>{offer.maxDuration} days</td>
+                  <td>{offer.interestRate}%</td>
+                  <td>{offer.minCollateralRatio}x</td>
+                  <td>
+                    <Button variant="outline-danger" onClick={() => withdrawLiquidityOffer(offer.offerId)}>
+                      Withdraw
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </Card.Body>
+      </Card>
+
       <Card className="mb-4">
         <Card.Header as="h5" className="d-flex justify-content-between align-items-center">
           Available Loan Requests
-          <Button variant="outline-primary" onClick={loadLoanRequests}>Refresh Requests</Button>
+          <Button variant="outline-primary" onClick={() => loadLoanRequests()}>Refresh Requests</Button>
         </Card.Header>
         <Card.Body>
         
         {params.bonusBp && (
-          <div className="mb-3 text-muted">Current liquidator bonus: {Number(params.bonusBp)/100}%</div>
+          <div className="mb-3 text-muted">
+            Current liquidator bonus: {Number(params.bonusBp)/100}%
+            {params.thresholdBp && ` | Liquidation below ${(Number(params.thresholdBp)/10000).toFixed(2)}x health`}
+            {Number(params.interestFeeBp) > 0 && ` | Protocol fee: ${Number(params.interestFeeBp)/100}% of interest repaid`}
+          </div>
         )}
         <Table responsive>
             <thead>
@@ -250,10 +933,12 @@ const Lender = () => {
                 <th>Borrower</th>
                 <th>Amount</th>
                 <th>Stake</th>
+                <th>Pledge</th>
                 <th>Duration</th>
                 <th>Interest Rate</th>
                 <th>Units</th>
                 <th>Property Commitment</th>
+                <th>Fund By</th>
                 <th>Status</th>
                 <th>Action</th>
               </tr>
@@ -263,21 +948,24 @@ const Lender = () => {
                 <tr key={request.requestId}>
                   <td>{request.requestId}</td>
                   <td>{request.borrower}</td>
-                  <td>{request.amount} ETH</td>
+                  <td>{request.amount} {request.currency}</td>
                   <td>{request.stake} ETH</td>
+                  <td>{request.pledge}</td>
                   <td>{request.duration} days</td>
                   <td>{request.interestRate}%</td>
-                  <td>{request.propertyUnits}</td>
+                  <td>{formatPropertyUnits(request)}</td>
                   <td><code style={{fontSize:'0.8em'}}>{request.propertyCommitment}</code></td>
+                  <td>{request.fundingDeadline ? request.fundingDeadline.toLocaleDateString() : '-'}</td>
                   <td>
-                    <Badge bg='success'>
-                      ACTIVE
+                    <Badge bg={request.isExpired ? 'secondary' : 'success'}>
+                      {request.isExpired ? 'EXPIRED' : 'ACTIVE'}
                     </Badge>
                   </td>
                   <td>
                     <Button
                       variant="primary"
-                      onClick={() => fundLoan(request.requestId, request.amount)}
+                      disabled={request.isExpired}
+                      onClick={() => fundLoan(request)}
                     >
                       Fund
                     </Button>
@@ -286,56 +974,109 @@ const Lender = () => {
               ))}
             </tbody>
           </Table>
+          {requestPage.total > PAGE_SIZE && (
+            <div className="d-flex justify-content-between align-items-center">
+              <Button
+                variant="outline-secondary"
+                size="sm"
+                disabled={requestPage.offset === 0}
+                onClick={() => loadLoanRequests(Math.max(0, requestPage.offset - PAGE_SIZE))}
+              >
+                Previous
+              </Button>
+              <span className="text-muted">
+                {requestPage.offset + 1}-{Math.min(requestPage.offset + PAGE_SIZE, requestPage.total)} of {requestPage.total} open requests
+              </span>
+              <Button
+                variant="outline-secondary"
+                size="sm"
+                disabled={requestPage.offset + PAGE_SIZE >= requestPage.total}
+                onClick={() => loadLoanRequests(requestPage.offset + PAGE_SIZE)}
+              >
+                Next
+              </Button>
+            </div>
+          )}
         </Card.Body>
       </Card>
 
-      <Card>
+      <Card className="mb-4">
         <Card.Header as="h5" className="d-flex justify-content-between align-items-center">
-          Your Funded Loans
-          <Button variant="outline-primary" onClick={loadActiveLoans}>Refresh Loans</Button>
+          Counter Offers
+          <Button variant="outline-primary" onClick={loadMyOffers}>Refresh Offers</Button>
         </Card.Header>
         <Card.Body>
+          <Form onSubmit={postCounterOffer} className="mb-4">
+            <Row>
+              <Col md={4}>
+                <Form.Select
+                  value={offerForm.requestId}
+                  onChange={(e) => setOfferForm(prev => ({ ...prev, requestId: e.target.value }))}
+                  required
+                >
+                  <option value="">Select a request</option>
+                  {loanRequests.filter(req => !req.isExpired && !isTokenLoan(req.loanToken)).map((req) => (
+                    <option key={req.requestId} value={req.requestId}>
+                      {`#${req.requestId}: ${req.amount} ETH, ${req.duration} days at ${req.interestRate}%`}
+                    </option>
+                  ))}
+                </Form.Select>
+              </Col>
+              <Col md={3}>
+                <Form.Control
+                  type="number"
+                  min="1"
+                  max="7"
+                  step="1"
+                  value={offerForm.interestRate}
+                  onChange={(e) => setOfferForm(prev => ({ ...prev, interestRate: e.target.value }))}
+                  placeholder="Interest rate (%)"
+                  required
+                />
+              </Col>
+              <Col md={3}>
+                <Form.Control
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={offerForm.duration}
+                  onChange={(e) => setOfferForm(prev => ({ ...prev, duration: e.target.value }))}
+                  placeholder="Duration (days)"
+                  required
+                />
+              </Col>
+              <Col md={2}>
+                <Button variant="primary" type="submit">Offer</Button>
+              </Col>
+            </Row>
+            <Form.Text className="text-muted">
+              The requested amount is escrowed until the borrower accepts or you withdraw the offer. If the borrower picks another offer, withdraw yours to get the ETH back.
+            </Form.Text>
+          </Form>
+
           <Table responsive>
             <thead>
               <tr>
-                <th>Loan ID</th>
-                <th>Borrower</th>
+                <th>Offer ID</th>
+                <th>Request ID</th>
                 <th>Amount</th>
-                <th>Stake</th>
-                <th>End Time</th>
-                <th>Units</th>
+                <th>Duration</th>
                 <th>Interest Rate</th>
-                <th>Initial ETH Price</th>
-                <th>Status</th>
                 <th>Action</th>
               </tr>
             </thead>
             <tbody>
-              {activeLoans.map((loan) => (
-                <tr key={loan.loanId}>
-                  <td>{loan.loanId}</td>
-                  <td>{loan.borrower}</td>
-                  <td>{loan.amount} ETH</td>
-                  <td>{loan.stake} ETH</td>
-                  <td>{loan.endTime}</td>
-                  <td>{loan.propertyUnits}</td>
-                  <td>{loan.interestRate}%</td>
-                  <td>${loan.initialEthPrice}</td>
+              {myOffers.map((offer) => (
+                <tr key={offer.offerId}>
+                  <td>{offer.offerId}</td>
+                  <td>{offer.requestId} {offer.requestClosed && <Badge bg="secondary">Request closed</Badge>}</td>
+                  <td>{offer.amount} ETH</td>
+                  <td>{offer.duration} days</td>
+                  <td>{offer.interestRate}%</td>
                   <td>
-                    <Badge bg={loan.state === LoanState.ACTIVE ? 'warning' : 
-                              (loan.state === LoanState.REPAID ? 'success' : 'danger')}>
-                      {loan.state}
-                    </Badge>
-                  </td>
-                  <td>
-                    {loan.state === LoanState.EXPIRED && (
-                      <Button 
-                        variant="danger" 
-                        onClick={() => liquidateExpiredLoan(loan.loanId)}
-                      >
-                        Liquidate
-                      </Button>
-                    )}
+                    <Button variant="outline-danger" onClick={() => withdrawCounterOffer(offer.offerId)}>
+                      Withdraw
+                    </Button>
                   </td>
                 </tr>
               ))}
@@ -343,6 +1084,202 @@ const Lender = () => {
           </Table>
         </Card.Body>
       </Card>
+
+      <Card>
+        <Card.Header as="h5" className="d-flex justify-content-between align-items-center">
+          Your Funded Loans
+          <Button variant="outline-primary" onClick={() => { loadActiveLoans(); loadHistory(); }}>Refresh Loans</Button>
+        </Card.Header>
+        <Card.Body>
+          <Tabs defaultActiveKey="active" className="mb-3" onSelect={(key) => key === 'history' && loadHistory()}>
+            <Tab eventKey="active" title="Active">
+              <Table responsive>
+                <thead>
+                  <tr>
+                    <th>Loan ID</th>
+                    <th>Borrower</th>
+                    <th>Amount</th>
+                    <th>Stake</th>
+                    <th>Pledge</th>
+                    <th>End Time</th>
+                    <th>Units</th>
+                    <th>Interest Rate</th>
+                    <th>Initial ETH Price</th>
+                    <th>Health</th>
+                    <th>Extension Request</th>
+                    <th>Status</th>
+                    <th>Action</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {activeLoans.map((loan) => (
+                    <tr key={loan.loanId}>
+                      <td>{loan.loanId}</td>
+                      <td>{loan.borrower}</td>
+                      <td>{loan.amount} {loan.currency}</td>
+                      <td>{loan.stake} ETH</td>
+                      <td>{loan.pledge}</td>
+                      <td>{loan.endTime}</td>
+                      <td>{formatPropertyUnits(loan)}</td>
+                      <td>{loan.interestRate}%</td>
+                      <td>${loan.initialEthPrice}</td>
+                      <td>{loan.healthFactor ? `${loan.healthFactor}x` : '-'}</td>
+                      <td>
+                        {loan.extension ? (
+                          <>
+                            <div>{`Until ${loan.extension.newEndTime} at ${loan.extension.newInterestRate}%`}</div>
+                            <div className="text-muted">{loan.extension.capitalizeInterest ? 'Interest capitalized' : 'Interest settled now'}</div>
+                            <Button size="sm" variant="outline-success" onClick={() => acceptExtension(loan.loanId)}>
+                              Accept
+                            </Button>
+                          </>
+                        ) : '-'}
+                      </td>
+                      <td>
+                        <Badge bg={loan.state === LoanState.ACTIVE ? 'warning' : 
+                                  (loan.state === LoanState.REPAID ? 'success' : 'danger')}>
+                          {loan.state}
+                        </Badge>
+                      </td>
+                      <td>
+                        {loan.state === LoanState.EXPIRED && (
+                          <>
+                            {/* the borrower can still repay late until endTime + grace period */}
+                            <Button 
+                              variant="danger" 
+                              disabled={now <= loan.endTimestamp + graceSeconds}
+                              onClick={() => liquidateExpiredLoan(loan.loanId)}
+                            >
+                              Liquidate
+                            </Button>
+                            {now <= loan.endTimestamp + graceSeconds && (
+                              <div className="text-muted small">
+                                Grace period: {formatCountdown(loan.endTimestamp + graceSeconds - now)} left
+                              </div>
+                            )}
+                          </>
+                        )}
+                        {loan.state === LoanState.UNDERCOLLATERALIZED && (
+                          <Button 
+                            variant="danger" 
+                            onClick={() => liquidateUndercollateralizedLoan(loan.loanId)}
+                          >
+                            Liquidate
+                          </Button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </Tab>
+            <Tab eventKey="history" title="History">
+              <Table responsive>
+                <thead>
+                  <tr>
+                    <th>Loan ID</th>
+                    <th>Borrower</th>
+                    <th>Amount</th>
+                    <th>Funded</th>
+                    <th>Closed</th>
+                    <th>Paid</th>
+                    <th>Penalty</th>
+                    <th>Collateral</th>
+                    <th>Liquidator</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {loanHistory.map((loan) => (
+                    <tr key={loan.loanId}>
+                      <td>{loan.loanId}</td>
+                      <td>{loan.borrower}</td>
+                      <td>{loan.amount} {loan.currency}</td>
+                      <td>
+                        <div>{formatEventDate(loan.funded)}</div>
+                        <TxLink hash={loan.funded.txHash} />
+                      </td>
+                      <td>
+                        <div>{formatEventDate(loan.closed)}</div>
+                        {loan.closed && <TxLink hash={loan.closed.txHash} />}
+                      </td>
+                      <td>{loan.paid} {loan.currency}</td>
+                      <td>{loan.penalty} {loan.currency}</td>
+                      <td>{loan.collateral}</td>
+                      <td>{loan.liquidator || '-'}</td>
+                      <td>
+                        <Badge bg={loan.state === LoanState.ACTIVE ? 'warning' :
+                                  (loan.state === LoanState.REPAID ? 'success' : 'danger')}>
+                          {loan.state}
+                        </Badge>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </Tab>
+          </Tabs>
+        </Card.Body>
+      </Card>
+
+      {Address.CollateralAuction && (
+        <Card className="mt-4">
+          <Card.Header as="h5" className="d-flex justify-content-between align-items-center">
+            Collateral Auctions
+            <Button variant="outline-primary" onClick={loadAuctions}>Refresh Auctions</Button>
+          </Card.Header>
+          <Card.Body>
+            <div className="mb-3 text-muted">
+              Expired loans sell their collateral at a price that drops every few minutes. You are paid what is owed plus the overdue penalty, the liquidator gets the bonus and the rest returns to the borrower. An auction restarted after running out starts from a lower price.
+            </div>
+            {auctionCredits.map((credit) => (
+              <Alert key={credit.token} variant="success" className="d-flex justify-content-between align-items-center">
+                Auction funds to withdraw: {formatLoanAmount(credit.amount, credit.token)} {currencyOf(credit.token)}
+                <Button size="sm" variant="outline-success" onClick={() => withdrawAuctionCredit(credit.token)}>Withdraw</Button>
+              </Alert>
+            ))}
+            <Table responsive>
+              <thead>
+                <tr>
+                  <th>Auction ID</th>
+                  <th>Loan ID</th>
+                  <th>Lot</th>
+                  <th>Owed</th>
+                  <th>Price</th>
+                  <th>Ends</th>
+                  <th>Status</th>
+                  <th>Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {auctions.map((auction) => (
+                  <tr key={auction.auctionId}>
+                    <td>{auction.auctionId}</td>
+                    <td>{auction.loanId} {auction.isMine && <Badge bg="info">Your loan</Badge>}</td>
+                    <td>{auction.lot}</td>
+                    <td>{auction.owed} {auction.currency}</td>
+                    <td>{auction.price} {auction.currency}</td>
+                    <td>{auction.status === 2 ? '-' : auction.endsAt}</td>
+                    <td>
+                      <Badge bg={auction.status === 0 ? 'warning' : (auction.status === 2 ? 'success' : 'secondary')}>
+                        {AuctionStatus[auction.status]}
+                      </Badge>
+                    </td>
+                    <td>
+                      {auction.status === 0 && (
+                        <Button variant="primary" onClick={() => bidOnAuction(auction)}>Buy</Button>
+                      )}
+                      {auction.status === 1 && (
+                        <Button variant="outline-secondary" onClick={() => resetAuction(auction.auctionId)}>Restart</Button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </Card.Body>
+        </Card>
+      )}
     </Container>
   );
 };
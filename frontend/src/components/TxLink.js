@@ -0,0 +1,17 @@
+import React from "react";
+
+// Block explorer for transaction links, e.g. https://sepolia.etherscan.io (the local network has none)
+const EXPLORER_URL = process.env.REACT_APP_EXPLORER_URL || '';
+
+export function TxLink({ hash }) {
+  if (!hash) return null;
+  const short = `${hash.slice(0, 10)}…${hash.slice(-4)}`;
+  if (!EXPLORER_URL) {
+    return <code title={hash}>{short}</code>;
+  }
+  return (
+    <a href={`${EXPLORER_URL}/tx/${hash}`} target="_blank" rel="noreferrer" title={hash}>
+      {short}
+    </a>
+  );
+}
@@ -0,0 +1,45 @@
+// Contract surfaces and LoanLens paging shared by the Borrower and Lender pages.
+
+// Minimal ERC-20 surface used for stablecoin loans and pledged tokens (approve also fits ERC-721)
+export const ERC20_ABI = [
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)"
+];
+
+// Whitelisted non-ETH collateral
+export const REGISTRY_ABI = [
+  "function getAssets() view returns (address[])",
+  "function assets(address) view returns (bool isSupported, bool isNft, address priceFeed, uint256 collateralFactorBp, uint8 decimals)"
+];
+
+// Dutch auctions of expired collateral, and their proceeds credited per currency (zero address = ETH)
+export const AUCTION_ABI = [
+  "function auctionCount() view returns (uint256)",
+  "function auctions(uint256) view returns (uint256 loanId, address lender, address borrower, address liquidator, address loanToken, uint256 stake, address collateralAsset, uint256 collateralAmount, uint256 owed, uint256 bonusBp, uint256 startPrice, uint256 startTime, address buyer, uint256 salePrice)",
+  "function currentPrice(uint256) view returns (uint256)",
+  "function auctionStatus(uint256) view returns (uint8)",
+  "function auctionDuration() view returns (uint256)",
+  "function bid(uint256) payable",
+  "function resetAuction(uint256)",
+  "function credits(address, address) view returns (uint256)",
+  "function withdraw(address)",
+  "event AuctionSettled(uint256 indexed auctionId, uint256 toLender, uint256 bonus, uint256 toBorrower)"
+];
+
+// LoanLens paging: page size and the "open" status filter
+export const PAGE_SIZE = 20;
+export const STATUS_OPEN = 1;
+
+// Collects every page of a paginated LoanLens view: view(offset, limit) -> [ids, items, total]
+export const fetchAllPages = async (view) => {
+  const ids = [];
+  const items = [];
+  for (let offset = 0, total = 1; offset < total; offset += PAGE_SIZE) {
+    const [pageIds, pageItems, pageTotal] = await view(offset, PAGE_SIZE);
+    ids.push(...pageIds);
+    items.push(...pageItems);
+    total = pageTotal.toNumber();
+  }
+  return [ids, items];
+};
@@ -0,0 +1,40 @@
+// Optional off-chain indexer (scripts/indexer.js). With REACT_APP_INDEXER_URL set, e.g. http://localhost:4000,
+// loan history and protocol totals are read from its API; without it the app reads the contracts only.
+export const INDEXER_URL = process.env.REACT_APP_INDEXER_URL || '';
+
+// With REACT_APP_DATA_SOURCE=indexer as well, the open request and active loan lists are also read from the
+// indexer. It only supplies the ids: the live details still come from LoanLens.
+export const READ_FROM_INDEXER = !!INDEXER_URL && process.env.REACT_APP_DATA_SOURCE === 'indexer';
+
+// Largest page the indexer serves
+export const INDEXER_PAGE_SIZE = 200;
+
+export async function fetchIndexer(path) {
+  const res = await fetch(`${INDEXER_URL}${path}`);
+  if (!res.ok) {
+    throw new Error(`Indexer request failed (${res.status})`);
+  }
+  return res.json();
+}
+
+// Every item of a paginated route such as `/loans?lender=0x...`, newest first
+export async function fetchIndexerItems(path) {
+  const items = [];
+  for (let offset = 0, total = 1; offset < total; offset += INDEXER_PAGE_SIZE) {
+    const page = await fetchIndexer(`${path}&offset=${offset}&limit=${INDEXER_PAGE_SIZE}`);
+    items.push(...page.items);
+    total = page.total;
+  }
+  return items;
+}
+
+// Reads through the indexer when it is the data source, and from the contracts otherwise or if it fails
+export async function readWithFallback(fromIndexer, fromContract) {
+  if (!READ_FROM_INDEXER) return fromContract();
+  try {
+    return await fromIndexer();
+  } catch (error) {
+    console.warn('Indexer read failed, reading the contracts instead:', error);
+    return fromContract();
+  }
+}
@@ -0,0 +1,45 @@
+// Subscribes to a contract's events: handlers maps event names to (args, event) => void.
+// Only events mined after the subscription are delivered (ethers may replay the latest block when a
+// listener is added). Events that arrive before the current block number is known are queued until then.
+// Returns a function that removes every listener, for useEffect cleanups.
+export const subscribeToEvents = (contract, handlers) => {
+  let fromBlock;
+  let pending = [];
+  let active = true;
+
+  const deliver = (handler, event) => {
+    if (fromBlock === undefined || event.blockNumber > fromBlock) {
+      handler(event.args, event);
+    }
+  };
+  const flush = () => {
+    const queued = pending;
+    pending = null;
+    if (active) queued.forEach(([handler, event]) => deliver(handler, event));
+  };
+
+  contract.provider.getBlockNumber()
+    .then((blockNumber) => {
+      fromBlock = blockNumber;
+    })
+    .catch((error) => {
+      // Without a starting block nothing is filtered out, so a replayed event may be delivered twice
+      console.error("Error reading the block number for live events:", error);
+    })
+    .then(flush);
+
+  const listeners = Object.entries(handlers).map(([name, handler]) => [name, (...params) => {
+    const event = params[params.length - 1];
+    if (pending) {
+      pending.push([handler, event]);
+    } else {
+      deliver(handler, event);
+    }
+  }]);
+  listeners.forEach(([name, listener]) => contract.on(name, listener));
+
+  return () => {
+    active = false;
+    listeners.forEach(([name, listener]) => contract.off(name, listener));
+  };
+};
@@ -0,0 +1,111 @@
+import { ethers } from 'ethers';
+import { INDEXER_URL, fetchIndexerItems } from './indexer';
+import { AUCTION_ABI } from './contractReads';
+
+// Every loan the account borrowed (role 'borrower') or funded (role 'lender'), newest first.
+// Entry fields: loanId, borrower, lender, loanToken, principal, status ('active', 'repaid', 'liquidated' or 'auctioned'),
+// funded and closed ({ txHash, timestamp }, closed is null while active), amountPaid, penaltyPaid,
+// collateralReturned (ETH stake back to the borrower) and collateralSeized (ETH stake paid to the lender), null if not
+// applicable, and liquidator. For auctioned loans both come from the sale once it settles, in the loan currency:
+// the lender's and liquidator's shares are seized, the rest is returned.
+// Amounts are decimal strings in wei or token units. Read from the indexer when one is configured,
+// otherwise rebuilt from the platform's events.
+export const loadLoanHistory = async (platform, account, role) => {
+  if (!INDEXER_URL) {
+    return loadHistoryFromEvents(platform, account, role);
+  }
+  return fetchIndexerItems(`/loans?${role}=${account}`);
+};
+
+const eventRef = async (event) => ({
+  txHash: event.transactionHash,
+  timestamp: (await event.getBlock()).timestamp
+});
+
+const loadHistoryFromEvents = async (platform, account, role) => {
+  let funded;
+  if (role === 'lender') {
+    funded = await platform.queryFilter(platform.filters.LoanFunded(null, null, account));
+  } else {
+    // LoanFunded does not name the borrower: match it to the borrower's requests
+    const requested = await platform.queryFilter(platform.filters.LoanRequested(null, account));
+    const requestIds = new Set(requested.map((event) => event.args.requestId.toString()));
+    funded = (await platform.queryFilter(platform.filters.LoanFunded()))
+      .filter((event) => requestIds.has(event.args.requestId.toString()));
+  }
+  if (funded.length === 0) return [];
+
+  // Closing events of these loans (an array argument matches any of the ids)
+  const loanIds = funded.map((event) => event.args.loanId);
+  const payments = await platform.queryFilter(platform.filters.LoanPayment(loanIds));
+  const repaid = await platform.queryFilter(platform.filters.LoanRepaid(loanIds));
+  const liquidated = await platform.queryFilter(platform.filters.LoanLiquidated(loanIds));
+  const underwater = await platform.queryFilter(platform.filters.LoanLiquidatedUndercollateralized(loanIds));
+  const auctioned = await platform.queryFilter(platform.filters.LoanAuctioned(loanIds));
+
+  const history = [];
+  for (const fundedEvent of funded) {
+    const loanId = fundedEvent.args.loanId;
+    const ofLoan = (event) => event.args.loanId.eq(loanId);
+    const loan = await platform.activeLoans(loanId);
+    const entry = {
+      loanId: loanId.toString(),
+      borrower: loan.borrower,
+      lender: fundedEvent.args.lender,
+      loanToken: loan.loanToken,
+      principal: loan.loanAmount.toString(),
+      status: 'active',
+      funded: await eventRef(fundedEvent),
+      closed: null,
+      amountPaid: '0',
+      penaltyPaid: '0',
+      collateralReturned: null,
+      collateralSeized: null,
+      liquidator: null
+    };
+
+    // A late payment includes the overdue penalty it reports
+    let amountPaid = ethers.constants.Zero;
+    let penaltyPaid = ethers.constants.Zero;
+    for (const payment of payments.filter(ofLoan)) {
+      const { penaltyBp } = payment.args;
+      amountPaid = amountPaid.add(payment.args.amount);
+      penaltyPaid = penaltyPaid.add(payment.args.amount.sub(payment.args.amount.mul(10000).div(penaltyBp.add(10000))));
+    }
+    entry.amountPaid = amountPaid.toString();
+    entry.penaltyPaid = penaltyPaid.toString();
+
+    const repayment = repaid.find(ofLoan);
+    const liquidation = liquidated.find(ofLoan);
+    // Auctioned loans also emit LoanLiquidated, with nothing transferred yet
+    const auction = auctioned.find(ofLoan);
+    if (repayment) {
+      entry.status = 'repaid';
+      entry.closed = await eventRef(repayment);
+      entry.collateralReturned = loan.stake.toString();
+    } else if (auction) {
+      entry.status = 'auctioned';
+      entry.closed = await eventRef(auction);
+      entry.liquidator = (await auction.getTransaction()).from;
+      const auctionHouse = new ethers.Contract(await platform.collateralAuction(), AUCTION_ABI, platform.provider);
+      const [settled] = await auctionHouse.queryFilter(auctionHouse.filters.AuctionSettled(auction.args.auctionId));
+      if (settled) {
+        entry.collateralSeized = settled.args.toLender.add(settled.args.bonus).toString();
+        entry.collateralReturned = settled.args.toBorrower.toString();
+      }
+    } else if (liquidation) {
+      entry.status = 'liquidated';
+      entry.closed = await eventRef(liquidation);
+      entry.collateralSeized = liquidation.args.collateralTransferred.toString();
+      const shortfall = underwater.find(ofLoan);
+      if (shortfall) {
+        entry.liquidator = shortfall.args.liquidator;
+        entry.collateralReturned = shortfall.args.returnedToBorrower.toString();
+      } else {
+        entry.liquidator = (await liquidation.getTransaction()).from;
+      }
+    }
+    history.push(entry);
+  }
+  return history.reverse();
+};
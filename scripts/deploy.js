@@ -29,12 +29,22 @@ async function main() {
   // Deploy LendingPlatform with Demo or Chainlink ETH/USD change
   // For localhost test, demo price mode by passing zero address and fixed price.
   let chainlinkEthUsdFeed;
+  let fallbackPriceFeed;
   if (chainId === 31337) {
     chainlinkEthUsdFeed = hre.ethers.ZeroAddress;
     console.log("Using demo price mode (no oracle)");
   } else {
     chainlinkEthUsdFeed = process.env.CHAINLINK_ETH_USD_FEED || "Put here the address of the Chainlink ETH/USD feed";
     console.log("Using external ETH/USD feed:", chainlinkEthUsdFeed);
+    // Optional secondary feed: the platform then reads through a FallbackPriceFeed
+    const fallbackEthUsdFeed = process.env.CHAINLINK_ETH_USD_FALLBACK_FEED;
+    if (fallbackEthUsdFeed) {
+      const FallbackPriceFeed = await hre.ethers.getContractFactory("FallbackPriceFeed");
+      fallbackPriceFeed = await FallbackPriceFeed.deploy(chainlinkEthUsdFeed, fallbackEthUsdFeed);
+      await fallbackPriceFeed.waitForDeployment();
+      chainlinkEthUsdFeed = await fallbackPriceFeed.getAddress();
+      console.log("Using fallback ETH/USD feed:", fallbackEthUsdFeed, "via", chainlinkEthUsdFeed);
+    }
   }
   const LendingPlatform = await hre.ethers.getContractFactory("LendingPlatform");
   const lendingPlatform = await LendingPlatform.deploy(chainlinkEthUsdFeed);
@@ -49,6 +59,77 @@ async function main() {
     console.log("Demo fixed ETH/USD price set to:", demoPrice.toString());
   }
 
+  // Local demo stablecoin for token-denominated loans, minted to the first test accounts
+  let stablecoinAddress;
+  if (chainId === 31337) {
+    const MockERC20 = await hre.ethers.getContractFactory("MockERC20");
+    const stablecoin = await MockERC20.deploy("Mock USD", "mUSD", 6);
+    await stablecoin.waitForDeployment();
+    stablecoinAddress = await stablecoin.getAddress();
+    const signers = await hre.ethers.getSigners();
+    for (const signer of signers.slice(0, 5)) {
+      const txMint = await stablecoin.mint(signer.address, hre.ethers.parseUnits("100000", 6));
+      await txMint.wait();
+    }
+  } else {
+    stablecoinAddress = process.env.STABLECOIN_ADDRESS;
+  }
+  if (stablecoinAddress) {
+    const txToken = await lendingPlatform.setLoanTokenSupported(stablecoinAddress, true);
+    await txToken.wait();
+    console.log("Stablecoin enabled for loans:", stablecoinAddress);
+  }
+
+  // Collateral registry for ERC-20/ERC-721 pledges; only the platform moves escrowed assets
+  const CollateralRegistry = await hre.ethers.getContractFactory("CollateralRegistry");
+  const collateralRegistry = await CollateralRegistry.deploy();
+  await collateralRegistry.waitForDeployment();
+  const collateralRegistryAddress = await collateralRegistry.getAddress();
+  await (await collateralRegistry.setPlatform(lendingPlatformAddress)).wait();
+  await (await lendingPlatform.setCollateralRegistry(collateralRegistryAddress)).wait();
+
+  // Local demo: a wrapped-BTC-like token priced by a mock feed (60000 USD, 75% collateral factor)
+  if (chainId === 31337) {
+    const MockERC20 = await hre.ethers.getContractFactory("MockERC20");
+    const wbtc = await MockERC20.deploy("Wrapped BTC", "WBTC", 8);
+    await wbtc.waitForDeployment();
+    const MockV3Aggregator = await hre.ethers.getContractFactory("MockV3Aggregator");
+    const wbtcFeed = await MockV3Aggregator.deploy(8, hre.ethers.parseUnits("60000", 8));
+    await wbtcFeed.waitForDeployment();
+    const txAsset = await collateralRegistry.setAsset(await wbtc.getAddress(), false, await wbtcFeed.getAddress(), 7500);
+    await txAsset.wait();
+    // Demo feed never updates, so relax staleness for local runs
+    await (await collateralRegistry.setMaxPriceStaleness(365 * 24 * 60 * 60)).wait();
+    const signers = await hre.ethers.getSigners();
+    for (const signer of signers.slice(0, 5)) {
+      const txMint = await wbtc.mint(signer.address, hre.ethers.parseUnits("1", 8));
+      await txMint.wait();
+    }
+    console.log("Demo WBTC collateral enabled:", await wbtc.getAddress());
+  }
+
+  // Property deeds: registrars (the deployer by default) mint one NFT per propertyIdCommitment
+  const PropertyDeed = await hre.ethers.getContractFactory("PropertyDeed");
+  const propertyDeed = await PropertyDeed.deploy();
+  await propertyDeed.waitForDeployment();
+  const propertyDeedAddress = await propertyDeed.getAddress();
+  await (await lendingPlatform.setPropertyDeed(propertyDeedAddress)).wait();
+
+  // Local demo: deeds priced flat by a mock feed (300000 USD, 50% collateral factor);
+  // the placeholder property used by the demo frontend is minted to the second account
+  if (chainId === 31337) {
+    const MockV3Aggregator = await hre.ethers.getContractFactory("MockV3Aggregator");
+    const deedFeed = await MockV3Aggregator.deploy(8, hre.ethers.parseUnits("300000", 8));
+    await deedFeed.waitForDeployment();
+    await (await collateralRegistry.setAsset(propertyDeedAddress, true, await deedFeed.getAddress(), 5000)).wait();
+    const [, demoBorrower] = await hre.ethers.getSigners();
+    const placeholderProperty = hre.ethers.keccak256(hre.ethers.toUtf8Bytes("PROPERTY_PLACEHOLDER_V1"));
+    await (await propertyDeed.mint(demoBorrower.address, placeholderProperty, "ipfs://PLACEHOLDER_APPRAISAL_CID")).wait();
+    // One unit of the real-estate index (300000 USD at the default index value)
+    await (await propertyDeed.setPropertyUnits(1, 1)).wait();
+    console.log("Demo deed #1 minted to:", demoBorrower.address);
+  }
+
   // Deploy demo RealEstateOracle
   const initialRwaIndex = process.env.RWA_INDEX_INITIAL || "30000000000000";
   const RealEstateOracle = await hre.ethers.getContractFactory("RealEstateOracle");
@@ -60,17 +141,69 @@ async function main() {
   const txSetRwa = await lendingPlatform.updateRealEstateOracle(realEstateOracleAddress);
   await txSetRwa.wait();
 
+  // Dutch auction of expired collateral; liquidateExpiredLoan hands the lot to it
+  const CollateralAuction = await hre.ethers.getContractFactory("CollateralAuction");
+  const collateralAuction = await CollateralAuction.deploy(lendingPlatformAddress);
+  await collateralAuction.waitForDeployment();
+  const collateralAuctionAddress = await collateralAuction.getAddress();
+  await (await lendingPlatform.setCollateralAuction(collateralAuctionAddress)).wait();
+
+  // Counter-offers and liquidity offers escrow lender ETH here and open loans through the platform
+  const LoanOffers = await hre.ethers.getContractFactory("LoanOffers");
+  const loanOffers = await LoanOffers.deploy(lendingPlatformAddress);
+  await loanOffers.waitForDeployment();
+  const loanOffersAddress = await loanOffers.getAddress();
+  await (await lendingPlatform.setLoanOffers(loanOffersAddress)).wait();
+
+  // Risk and oracle changes from here on go through a timelock; the deployer keeps the pauser role
+  const timelockDelay = process.env.TIMELOCK_DELAY_SECONDS || 24 * 60 * 60;
+  const ParameterTimelock = await hre.ethers.getContractFactory("ParameterTimelock");
+  const parameterTimelock = await ParameterTimelock.deploy(timelockDelay);
+  await parameterTimelock.waitForDeployment();
+  const parameterTimelockAddress = await parameterTimelock.getAddress();
+  await (await lendingPlatform.setRoles(deployer.address, parameterTimelockAddress, parameterTimelockAddress)).wait();
+
+  // Read-only aggregate views used by the frontend
+  const LoanLens = await hre.ethers.getContractFactory("LoanLens");
+  const loanLens = await LoanLens.deploy(lendingPlatformAddress);
+  await loanLens.waitForDeployment();
+  const loanLensAddress = await loanLens.getAddress();
+  // The platform forwards getAllActiveLoans and getBorrowerActiveLoans to the lens
+  await (await lendingPlatform.setLoanLens(loanLensAddress)).wait();
+
+  // Wiring done: the timelock takes ownership, so role changes and every owner setter are queued like parameter
+  // changes. The deployer stays pauser, treasury, timelock admin and deed registrar.
+  const ownedByTimelock = [lendingPlatform, collateralRegistry, collateralAuction, realEstateOracle];
+  if (fallbackPriceFeed) ownedByTimelock.push(fallbackPriceFeed);
+  for (const owned of ownedByTimelock) {
+    await (await owned.transferOwnership(parameterTimelockAddress)).wait();
+  }
+  console.log("Ownership handed to the timelock");
+
   console.log("LoanTypes deployed to:", loanTypesAddress);
   console.log("LoanStorage deployed to:", loanStorageAddress);
   console.log("LendingPlatform deployed to:", lendingPlatformAddress);
   console.log("RealEstateOracle deployed to:", realEstateOracleAddress);
+  console.log("CollateralRegistry deployed to:", collateralRegistryAddress);
+  console.log("PropertyDeed deployed to:", propertyDeedAddress);
+  console.log("LoanLens deployed to:", loanLensAddress);
+  console.log("CollateralAuction deployed to:", collateralAuctionAddress);
+  console.log("LoanOffers deployed to:", loanOffersAddress);
+  console.log("ParameterTimelock deployed to:", parameterTimelockAddress, "delay:", timelockDelay.toString());
 
   // Save frontend files
   await saveFrontendFiles({
     lendingPlatformAddress,
     loanTypesAddress,
     loanStorageAddress,
-    realEstateOracleAddress
+    realEstateOracleAddress,
+    stablecoinAddress,
+    collateralRegistryAddress,
+    propertyDeedAddress,
+    loanLensAddress,
+    collateralAuctionAddress,
+    loanOffersAddress,
+    parameterTimelockAddress
   });
 }
 
@@ -89,12 +222,19 @@ async function saveFrontendFiles(addresses) {
       LendingPlatform: addresses.lendingPlatformAddress,
       LoanTypes: addresses.loanTypesAddress,
       LoanStorage: addresses.loanStorageAddress,
-      RealEstateOracle: addresses.realEstateOracleAddress
+      RealEstateOracle: addresses.realEstateOracleAddress,
+      Stablecoin: addresses.stablecoinAddress,
+      CollateralRegistry: addresses.collateralRegistryAddress,
+      PropertyDeed: addresses.propertyDeedAddress,
+      LoanLens: addresses.loanLensAddress,
+      CollateralAuction: addresses.collateralAuctionAddress,
+      LoanOffers: addresses.loanOffersAddress,
+      ParameterTimelock: addresses.parameterTimelockAddress
     }, undefined, 2)
   );
 
   // Save ABIs
-  const contractNames = ["LendingPlatform", "LoanTypes", "LoanStorage", "RealEstateOracle"];
+  const contractNames = ["LendingPlatform", "LoanTypes", "LoanStorage", "RealEstateOracle", "CollateralRegistry", "PropertyDeed", "LoanLens", "CollateralAuction", "LoanOffers", "ParameterTimelock"];
   
   for (const contractName of contractNames) {
     const artifact = await hre.artifacts.readArtifact(contractName);
@@ -0,0 +1,533 @@
+// scripts/indexer.js
+// Off-chain event indexer: follows the platform contracts on a node, keeps their events in a local
+// JSON file and serves loan history, per-account stats and protocol totals as a JSON API.
+//
+//   node scripts/indexer.js    (after scripts/deploy.js has written frontend/src/contracts)
+//
+// Environment: INDEXER_RPC_URL (default http://127.0.0.1:8545), INDEXER_PORT (default 4000),
+// INDEXER_DB (default indexer-db.json in the project root), INDEXER_POLL_MS (default 2000).
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const CONTRACTS_DIR = path.join(__dirname, "..", "frontend", "src", "contracts");
+
+// Contracts whose events are indexed, by their name in contract-address.json
+const INDEXED_CONTRACTS = ["LendingPlatform", "CollateralAuction", "LoanOffers", "ParameterTimelock", "RealEstateOracle"];
+
+// Configuration and governance events, listed by /admin
+const ADMIN_EVENTS = new Set([
+  "OwnerUpdated", "RolesUpdated", "Paused", "Unpaused", "PriceCircuitBreakerUpdated", "ParamsUpdated",
+  "GracePeriodUpdated", "FeesUpdated", "TreasuryUpdated", "FeesWithdrawn", "LiquidationThresholdUpdated",
+  "CollateralRatioUpdated", "LoanTokenUpdated", "OracleUpdated", "DemoPriceUpdated", "RealEstateOracleUpdated",
+  "CollateralRegistryUpdated", "PropertyDeedUpdated", "CollateralAuctionUpdated", "LoanOffersUpdated",
+  "RealEstateParamsUpdated", "AuctionParamsUpdated", "IndexUpdated",
+  "ChangeQueued", "ChangeExecuted", "ChangeCancelled", "DelayUpdated", "AdminUpdated"
+]);
+
+const BLOCK_RANGE = 2000; // blocks per eth_getLogs call
+const MAX_PAGE_SIZE = 200;
+
+// Decodes raw logs into plain records (numbers as decimal strings).
+// `contracts` maps lower-case addresses to { name, contract } with an ethers v6 Contract.
+// Loan and request terms the events leave out are read from the contract at the log's block.
+async function indexLogs(provider, contracts, logs) {
+  const timestamps = {};
+  const senders = {};
+  const records = [];
+
+  for (const log of logs) {
+    const source = contracts[log.address.toLowerCase()];
+    if (!source) continue;
+    const parsed = source.contract.interface.parseLog(log);
+    if (!parsed) continue;
+
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => {
+      args[input.name] = serialize(parsed.args[i]);
+    });
+
+    if (timestamps[log.blockNumber] === undefined) {
+      timestamps[log.blockNumber] = (await provider.getBlock(log.blockNumber)).timestamp;
+    }
+    if (senders[log.transactionHash] === undefined) {
+      senders[log.transactionHash] = (await provider.getTransaction(log.transactionHash)).from;
+    }
+
+    const record = {
+      contract: source.name,
+      event: parsed.name,
+      args,
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+      txHash: log.transactionHash,
+      from: senders[log.transactionHash],
+      timestamp: timestamps[log.blockNumber]
+    };
+    if (source.name === "LendingPlatform") {
+      record.context = await readContext(source.contract, parsed.name, args, log.blockNumber);
+    }
+    records.push(record);
+  }
+  return records;
+}
+
+async function readContext(platform, event, args, blockTag) {
+  if (event === "LoanRequested") {
+    const request = await platform.loanRequests(args.requestId, { blockTag });
+    return {
+      loanToken: request.loanToken,
+      collateralAsset: request.collateralAsset,
+      collateralAmount: request.collateralAmount.toString(),
+      installmentCount: request.installmentCount.toString()
+    };
+  }
+  if (event === "LoanFunded") {
+    const loan = await platform.activeLoans(args.loanId, { blockTag });
+    return {
+      borrower: loan.borrower,
+      loanAmount: loan.loanAmount.toString(),
+      stake: loan.stake.toString(),
+      endTime: loan.endTime.toString(),
+      interestRate: loan.interestRate.toString(),
+      loanToken: loan.loanToken,
+      collateralAsset: loan.collateralAsset,
+      collateralAmount: loan.collateralAmount.toString()
+    };
+  }
+  return undefined;
+}
+
+function serialize(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(serialize);
+  return value;
+}
+
+function add(a, b) {
+  return (BigInt(a) + BigInt(b)).toString();
+}
+
+function addTo(totals, token, amount) {
+  totals[token] = add(totals[token] || 0, amount);
+}
+
+// Folds indexed records, oldest first, into requests, loans and protocol totals
+function project(records) {
+  const requests = {};
+  const loans = {};
+  const loanOfAuction = {};
+  const admin = [];
+  const fees = {};
+  let paused = false;
+
+  for (const record of records) {
+    const { args, context } = record;
+    const ref = { txHash: record.txHash, blockNumber: record.blockNumber, timestamp: record.timestamp };
+    // Auction events after the start only carry the auction id
+    const loan = loans[args.loanId !== undefined ? args.loanId : loanOfAuction[args.auctionId]];
+
+    if (ADMIN_EVENTS.has(record.event)) {
+      admin.push(record);
+    }
+
+    switch (record.event) {
+      case "LoanRequested":
+        requests[args.requestId] = {
+          requestId: args.requestId,
+          borrower: args.borrower,
+          loanAmount: args.loanAmount,
+          durationInDays: args.durationInDays,
+          interestRate: args.interestRate,
+          stake: args.stake,
+          loanToken: context ? context.loanToken : ethers.ZeroAddress,
+          status: "open",
+          created: ref,
+          closed: null
+        };
+        break;
+      case "LoanRequestCancelled":
+        if (requests[args.requestId]) {
+          requests[args.requestId].status = "cancelled";
+          requests[args.requestId].closed = ref;
+        }
+        break;
+      case "LoanFunded": {
+        const request = requests[args.requestId] || {};
+        if (requests[args.requestId]) {
+          request.status = "funded";
+          request.closed = ref;
+        }
+        const terms = context || {};
+        loans[args.loanId] = {
+          loanId: args.loanId,
+          requestId: args.requestId,
+          borrower: terms.borrower || request.borrower,
+          lender: args.lender,
+          loanToken: terms.loanToken || request.loanToken || ethers.ZeroAddress,
+          principal: terms.loanAmount || request.loanAmount,
+          stake: terms.stake || request.stake,
+          collateralAsset: terms.collateralAsset || ethers.ZeroAddress,
+          collateralAmount: terms.collateralAmount || "0",
+          interestRate: terms.interestRate || request.interestRate,
+          endTime: terms.endTime,
+          initialEthPrice: args.initialEthPrice,
+          status: "active",
+          funded: ref,
+          closed: null,
+          amountPaid: "0",
+          penaltyPaid: "0",
+          feesCharged: "0",
+          payments: [],
+          collateralReturned: null, // ETH stake back to the borrower
+          collateralSeized: null, // ETH stake paid to the lender on liquidation (for auctions, see AuctionSettled)
+          liquidator: null,
+          auction: null
+        };
+        break;
+      }
+      case "LoanPayment":
+        if (loan) {
+          // Zero unless the payment was late; the penalty is then part of the amount paid
+          const penaltyBp = BigInt(args.penaltyBp);
+          const penalty = BigInt(args.amount) - (BigInt(args.amount) * 10000n) / (10000n + penaltyBp);
+          loan.payments.push({
+            amount: args.amount,
+            interestPaidUsd: args.interestPaidUsd,
+            principalPaidUsd: args.principalPaidUsd,
+            penaltyBp: penaltyBp.toString(),
+            penalty: penalty.toString(),
+            ...ref
+          });
+          loan.amountPaid = add(loan.amountPaid, args.amount);
+          loan.penaltyPaid = add(loan.penaltyPaid, penalty);
+        }
+        break;
+      case "FeeCharged":
+        addTo(fees, args.token, args.amount);
+        if (loan) loan.feesCharged = add(loan.feesCharged, args.amount);
+        break;
+      case "CollateralAdded":
+      case "CollateralWithdrawn":
+        if (loan) loan.stake = args.newStake;
+        break;
+      case "LoanExtended":
+        if (loan) {
+          loan.endTime = args.newEndTime;
+          loan.interestRate = args.newInterestRate;
+        }
+        break;
+      case "LoanRepaid":
+        if (loan) {
+          loan.status = "repaid";
+          loan.closed = ref;
+          loan.collateralReturned = loan.stake;
+        }
+        break;
+      case "LoanLiquidated":
+        if (loan) {
+          loan.status = "liquidated";
+          loan.closed = ref;
+          loan.collateralSeized = args.collateralTransferred;
+          loan.liquidator = record.from;
+        }
+        break;
+      case "LoanLiquidatedUndercollateralized":
+        if (loan) {
+          loan.liquidator = args.liquidator;
+          loan.collateralReturned = args.returnedToBorrower;
+          loan.healthFactorBp = args.healthFactorBp;
+        }
+        break;
+      case "LoanAuctioned":
+        if (loan) {
+          // Follows the LoanLiquidated of the same call, which transfers nothing yet
+          loan.status = "auctioned";
+          loan.closed = ref;
+          loan.collateralSeized = null;
+          loan.liquidator = loan.liquidator || record.from; // AuctionStarted comes first and names the caller
+          loan.auction = { auctionId: args.auctionId, owed: args.owed, buyer: null, price: null };
+          loanOfAuction[args.auctionId] = args.loanId;
+        }
+        break;
+      case "AuctionStarted":
+        if (loan) loan.liquidator = args.liquidator;
+        break;
+      case "AuctionBid":
+        if (loan) {
+          loan.auction.buyer = args.buyer;
+          loan.auction.price = args.price;
+        }
+        break;
+      case "AuctionSettled":
+        if (loan) {
+          loan.auction.toLender = args.toLender;
+          loan.auction.bonus = args.bonus;
+          loan.auction.toBorrower = args.toBorrower;
+          // Sale proceeds in the loan currency: the lender's and liquidator's shares, and the rest back to the borrower
+          loan.collateralSeized = add(args.toLender, args.bonus);
+          loan.collateralReturned = args.toBorrower;
+        }
+        break;
+      case "Paused":
+        paused = true;
+        break;
+      case "Unpaused":
+        paused = false;
+        break;
+      default:
+        break;
+    }
+  }
+
+  return { requests, loans, admin, fees, paused };
+}
+
+function countBy(items, status) {
+  return items.filter((item) => item.status === status).length;
+}
+
+// Protocol totals; amounts are keyed by loan token (the zero address for ETH)
+function protocolStats(state) {
+  const loans = Object.values(state.loans);
+  const requests = Object.values(state.requests);
+  const volume = {};
+  const repaid = {};
+  for (const loan of loans) {
+    addTo(volume, loan.loanToken, loan.principal);
+    addTo(repaid, loan.loanToken, loan.amountPaid);
+  }
+  return {
+    requests: requests.length,
+    openRequests: countBy(requests, "open"),
+    loans: loans.length,
+    activeLoans: countBy(loans, "active"),
+    repaidLoans: countBy(loans, "repaid"),
+    liquidatedLoans: countBy(loans, "liquidated") + countBy(loans, "auctioned"), // auctioned ones included
+    auctionedLoans: countBy(loans, "auctioned"),
+    borrowers: new Set(loans.map((loan) => loan.borrower.toLowerCase())).size,
+    lenders: new Set(loans.map((loan) => loan.lender.toLowerCase())).size,
+    volume,
+    repaid,
+    fees: state.fees,
+    paused: state.paused
+  };
+}
+
+function roleStats(loans, flowKey, flowField) {
+  const flow = {};
+  const paid = {};
+  for (const loan of loans) {
+    addTo(flow, loan.loanToken, loan[flowField]);
+    addTo(paid, loan.loanToken, loan.amountPaid);
+  }
+  return {
+    loans: loans.length,
+    active: countBy(loans, "active"),
+    repaid: countBy(loans, "repaid"),
+    liquidated: countBy(loans, "liquidated") + countBy(loans, "auctioned"),
+    [flowKey]: flow,
+    repaidAmount: paid,
+    loanIds: loans.map((loan) => loan.loanId)
+  };
+}
+
+// Per-account history as borrower and as lender
+function accountStats(state, address) {
+  const account = address.toLowerCase();
+  const loans = Object.values(state.loans);
+  const requests = Object.values(state.requests).filter((request) => request.borrower.toLowerCase() === account);
+  return {
+    address,
+    borrower: {
+      requests: requests.length,
+      openRequests: countBy(requests, "open"),
+      ...roleStats(loans.filter((loan) => loan.borrower.toLowerCase() === account), "borrowed", "principal")
+    },
+    lender: roleStats(loans.filter((loan) => loan.lender.toLowerCase() === account), "lent", "principal")
+  };
+}
+
+function page(items, query) {
+  const offset = Math.max(parseInt(query.get("offset") || "0", 10) || 0, 0);
+  const limit = Math.min(Math.max(parseInt(query.get("limit") || "50", 10) || 50, 1), MAX_PAGE_SIZE);
+  return { total: items.length, offset, items: items.slice(offset, offset + limit) };
+}
+
+function byAccount(items, query, field) {
+  const address = query.get(field);
+  return address ? items.filter((item) => item[field].toLowerCase() === address.toLowerCase()) : items;
+}
+
+function byStatus(items, query) {
+  const status = query.get("status");
+  return status ? items.filter((item) => item.status === status) : items;
+}
+
+// Routes: /status, /stats, /loans, /loans/:id, /requests, /accounts/:address, /admin
+function handle(indexer, pathname, query) {
+  const state = indexer.state;
+  const parts = pathname.split("/").filter(Boolean);
+
+  if (parts[0] === "status" && parts.length === 1) {
+    return { chainId: indexer.db.chainId, lastBlock: indexer.db.lastBlock, events: indexer.db.records.length };
+  }
+  if (parts[0] === "stats" && parts.length === 1) {
+    return protocolStats(state);
+  }
+  if (parts[0] === "loans" && parts.length === 1) {
+    let loans = Object.values(state.loans).reverse();
+    loans = byStatus(byAccount(byAccount(loans, query, "borrower"), query, "lender"), query);
+    return page(loans, query);
+  }
+  if (parts[0] === "loans" && parts.length === 2) {
+    const loan = state.loans[parts[1]];
+    if (!loan) return undefined;
+    const events = indexer.db.records.filter((record) =>
+      record.args.loanId === loan.loanId ||
+      (loan.auction && record.contract === "CollateralAuction" && record.args.auctionId === loan.auction.auctionId)
+    );
+    return { ...loan, events };
+  }
+  if (parts[0] === "requests" && parts.length === 1) {
+    const requests = Object.values(state.requests).reverse();
+    return page(byStatus(byAccount(requests, query, "borrower"), query), query);
+  }
+  if (parts[0] === "accounts" && parts.length === 2 && ethers.isAddress(parts[1])) {
+    return accountStats(state, parts[1]);
+  }
+  if (parts[0] === "admin" && parts.length === 1) {
+    return page(state.admin.slice().reverse(), query);
+  }
+  return undefined;
+}
+
+function createServer(indexer) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    let status = 200;
+    let body;
+    if (req.method !== "GET") {
+      status = 405;
+      body = { error: "Method not allowed" };
+    } else {
+      body = handle(indexer, url.pathname, url.searchParams);
+      if (body === undefined) {
+        status = 404;
+        body = { error: "Not found" };
+      }
+    }
+    // The frontend runs on another port
+    res.writeHead(status, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+    res.end(JSON.stringify(body));
+  });
+}
+
+function emptyDb(chainId, platform) {
+  return { chainId, platform, lastBlock: -1, lastBlockHash: null, records: [] };
+}
+
+function loadDb(file, chainId, platform) {
+  if (fs.existsSync(file)) {
+    const db = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (db.chainId === chainId && db.platform === platform) return db;
+    console.log("Indexer store belongs to another deployment, starting over");
+  }
+  return emptyDb(chainId, platform);
+}
+
+function saveDb(file, db) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(db));
+  fs.renameSync(tmp, file);
+}
+
+// Indexes the blocks mined since the last run. A restarted node or a reorg shows up as a different
+// hash for the last indexed block; the store is then rebuilt from the start.
+async function sync(indexer) {
+  const { provider, db } = indexer;
+  const head = await provider.getBlockNumber();
+
+  if (db.lastBlock >= 0) {
+    const last = db.lastBlock <= head ? await provider.getBlock(db.lastBlock) : null;
+    if (!last || last.hash !== db.lastBlockHash) {
+      console.log("Chain changed below block", db.lastBlock, "- reindexing");
+      indexer.db = emptyDb(db.chainId, db.platform);
+      return sync(indexer);
+    }
+  }
+  if (head <= db.lastBlock) return;
+
+  for (let from = db.lastBlock + 1; from <= head; from += BLOCK_RANGE) {
+    const to = Math.min(from + BLOCK_RANGE - 1, head);
+    const logs = await provider.getLogs({ address: indexer.addresses, fromBlock: from, toBlock: to });
+    db.records.push(...(await indexLogs(provider, indexer.contracts, logs)));
+    db.lastBlock = to;
+  }
+  db.lastBlockHash = (await provider.getBlock(db.lastBlock)).hash;
+  saveDb(indexer.file, db);
+  indexer.state = project(db.records);
+}
+
+function loadDeployment(provider) {
+  const addressFile = path.join(CONTRACTS_DIR, "contract-address.json");
+  if (!fs.existsSync(addressFile)) {
+    throw new Error(`${addressFile} not found, deploy the contracts first`);
+  }
+  const addresses = JSON.parse(fs.readFileSync(addressFile, "utf8"));
+  const contracts = {};
+  for (const name of INDEXED_CONTRACTS) {
+    if (!addresses[name]) continue;
+    const { abi } = JSON.parse(fs.readFileSync(path.join(CONTRACTS_DIR, `${name}.json`), "utf8"));
+    contracts[addresses[name].toLowerCase()] = { name, contract: new ethers.Contract(addresses[name], abi, provider) };
+  }
+  return { platform: addresses.LendingPlatform, contracts };
+}
+
+async function main() {
+  const rpcUrl = process.env.INDEXER_RPC_URL || "http://127.0.0.1:8545";
+  const port = Number(process.env.INDEXER_PORT || 4000);
+  const pollMs = Number(process.env.INDEXER_POLL_MS || 2000);
+  const file = process.env.INDEXER_DB || path.join(__dirname, "..", "indexer-db.json");
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const { platform, contracts } = loadDeployment(provider);
+
+  const indexer = {
+    provider,
+    file,
+    contracts,
+    addresses: Object.values(contracts).map(({ contract }) => contract.target),
+    db: loadDb(file, chainId, platform)
+  };
+  indexer.state = project(indexer.db.records);
+
+  await sync(indexer);
+  console.log("Indexed up to block", indexer.db.lastBlock, "events:", indexer.db.records.length);
+
+  createServer(indexer).listen(port, () => {
+    console.log(`Indexer API on http://localhost:${port} (node ${rpcUrl}, chainId ${chainId})`);
+  });
+
+  // Poll for new blocks; one sync at a time
+  const poll = async () => {
+    try {
+      await sync(indexer);
+    } catch (error) {
+      console.error("Sync failed:", error.message);
+    }
+    setTimeout(poll, pollMs);
+  };
+  setTimeout(poll, pollMs);
+}
+
+module.exports = { indexLogs, project, protocolStats, accountStats };
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { indexLogs, project, protocolStats, accountStats } = require("../scripts/indexer");
 
 describe("LendingPlatform", function () {
   let lendingPlatform;
@@ -10,11 +11,37 @@ describe("LendingPlatform", function () {
   let duration;
   let interestRate;
 
+  // Placeholder privacy fields, as submitted by the demo frontend
+  const metadataCommitment = ethers.keccak256(ethers.toUtf8Bytes("PLACEHOLDER_METADATA_V1"));
+  const propertyCommitment = ethers.keccak256(ethers.toUtf8Bytes("PROPERTY_PLACEHOLDER_V1"));
+
+  function createRequest(
+    signer, amount, days, rate, overrides, installments = 0, fundingDeadline = 0, loanToken = ethers.ZeroAddress,
+    collateralAsset = ethers.ZeroAddress, collateralAmount = 0, propertyUnits = 0
+  ) {
+    return lendingPlatform.connect(signer).createLoanRequest(
+      amount,
+      days,
+      rate,
+      metadataCommitment,
+      "ipfs://PLACEHOLDER_ENCRYPTED_CID",
+      propertyCommitment,
+      "ipfs://PLACEHOLDER_APPRAISAL_CID",
+      propertyUnits,
+      installments,
+      fundingDeadline,
+      loanToken,
+      collateralAsset,
+      collateralAmount,
+      overrides
+    );
+  }
+
   beforeEach(async function () {
     [owner, borrower, lender] = await ethers.getSigners();
     
     const LendingPlatform = await ethers.getContractFactory("LendingPlatform");
-    lendingPlatform = await LendingPlatform.deploy();
+    lendingPlatform = await LendingPlatform.deploy(ethers.ZeroAddress);
     await lendingPlatform.waitForDeployment();
 
     loanAmount = ethers.parseEther("1");
@@ -26,12 +53,7 @@ describe("LendingPlatform", function () {
     it("Should create a loan request", async function () {
       const stake = ethers.parseEther("2");
       
-      await lendingPlatform.connect(borrower).createLoanRequest(
-        loanAmount,
-        duration,
-        interestRate,
-        { value: stake }
-      );
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: stake });
 
       const request = await lendingPlatform.loanRequests(0);
       expect(request.borrower).to.equal(borrower.address);
@@ -46,25 +68,44 @@ describe("LendingPlatform", function () {
       const lowCollateral = ethers.parseEther("0.5");
       
       await expect(
-        lendingPlatform.connect(borrower).createLoanRequest(
-          loanAmount,
-          duration,
-          interestRate,
-          { value: lowCollateral }
-        )
+        createRequest(borrower, loanAmount, duration, interestRate, { value: lowCollateral })
+      ).to.be.revertedWith("Insufficient collateral");
+    });
+
+    it("Should accept collateral above the minimum ratio", async function () {
+      const stake = ethers.parseEther("3");
+
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: stake });
+
+      const request = await lendingPlatform.loanRequests(0);
+      expect(request.stake).to.equal(stake);
+    });
+
+    it("Should apply an updated minimum collateral ratio", async function () {
+      await expect(
+        lendingPlatform.connect(owner).setMinCollateralRatio(15000)
+      ).to.emit(lendingPlatform, "CollateralRatioUpdated").withArgs(15000);
+
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("1.5") });
+      await expect(
+        createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("1.4") })
       ).to.be.revertedWith("Insufficient collateral");
     });
 
+    it("Should keep the minimum ratio above the liquidation threshold", async function () {
+      await expect(
+        lendingPlatform.connect(owner).setMinCollateralRatio(12000)
+      ).to.be.revertedWith("ratio below liquidation threshold");
+      await expect(
+        lendingPlatform.connect(borrower).setMinCollateralRatio(30000)
+      ).to.be.revertedWith("Only risk admin");
+    });
+
     it("Should revert if loan amount is zero", async function () {
       const stake = ethers.parseEther("2");
       
       await expect(
-        lendingPlatform.connect(borrower).createLoanRequest(
-          0,
-          duration,
-          interestRate,
-          { value: stake }
-        )
+        createRequest(borrower, 0, duration, interestRate, { value: stake })
       ).to.be.revertedWith("Loan amount must be greater than 0");
     });
 
@@ -72,12 +113,7 @@ describe("LendingPlatform", function () {
       const stake = ethers.parseEther("2");
       
       await expect(
-        lendingPlatform.connect(borrower).createLoanRequest(
-          loanAmount,
-          0,
-          interestRate,
-          { value: stake }
-        )
+        createRequest(borrower, loanAmount, 0, interestRate, { value: stake })
       ).to.be.revertedWith("Duration must be greater than 0");
     });
 
@@ -85,34 +121,287 @@ describe("LendingPlatform", function () {
       const stake = ethers.parseEther("2");
       
       await expect(
-        lendingPlatform.connect(borrower).createLoanRequest(
-          loanAmount,
-          duration,
-          0,
-          { value: stake }
-        )
+        createRequest(borrower, loanAmount, duration, 0, { value: stake })
       ).to.be.revertedWith("Interest rate must be greater than 0");
     });
   });
 
+  describe("Request Cancellation", function () {
+    beforeEach(async function () {
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("2") });
+    });
+
+    it("Should cancel a request and return the stake", async function () {
+      await expect(
+        lendingPlatform.connect(borrower).cancelLoanRequest(0)
+      ).to.emit(lendingPlatform, "LoanRequestCancelled")
+        .withArgs(0, borrower.address, ethers.parseEther("2"));
+
+      const request = await lendingPlatform.loanRequests(0);
+      expect(request.isActive).to.be.false;
+      expect(await ethers.provider.getBalance(await lendingPlatform.getAddress())).to.equal(0);
+    });
+
+    it("Should revert if non-borrower tries to cancel", async function () {
+      await expect(
+        lendingPlatform.connect(lender).cancelLoanRequest(0)
+      ).to.be.revertedWith("Only borrower can cancel");
+    });
+
+    it("Should revert if request is already funded", async function () {
+      await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
+
+      await expect(
+        lendingPlatform.connect(borrower).cancelLoanRequest(0)
+      ).to.be.revertedWith("Request is not active");
+    });
+
+    it("Should not allow funding a cancelled request", async function () {
+      await lendingPlatform.connect(borrower).cancelLoanRequest(0);
+
+      await expect(
+        lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount })
+      ).to.be.revertedWith("Request is not active");
+    });
+  });
+
+  describe("Request Expiry", function () {
+    let deadline;
+
+    beforeEach(async function () {
+      const latest = await ethers.provider.getBlock("latest");
+      deadline = latest.timestamp + 7 * 24 * 60 * 60;
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("2") }, 0, deadline);
+    });
+
+    it("Should store the funding deadline", async function () {
+      const request = await lendingPlatform.loanRequests(0);
+      expect(request.fundingDeadline).to.equal(deadline);
+      expect(await lendingPlatform.isRequestExpired(0)).to.be.false;
+    });
+
+    it("Should revert if the deadline is in the past", async function () {
+      const latest = await ethers.provider.getBlock("latest");
+      await expect(
+        createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("2") }, 0, latest.timestamp)
+      ).to.be.revertedWith("Funding deadline in the past");
+    });
+
+    it("Should reject funding after the deadline", async function () {
+      await network.provider.send("evm_increaseTime", [8 * 24 * 60 * 60]);
+      await network.provider.send("evm_mine");
+
+      expect(await lendingPlatform.isRequestExpired(0)).to.be.true;
+      await expect(
+        lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount })
+      ).to.be.revertedWith("Request expired");
+    });
+
+    it("Should let the borrower reclaim the stake after the deadline", async function () {
+      await network.provider.send("evm_increaseTime", [8 * 24 * 60 * 60]);
+      await network.provider.send("evm_mine");
+
+      await expect(
+        lendingPlatform.connect(borrower).cancelLoanRequest(0)
+      ).to.emit(lendingPlatform, "LoanRequestCancelled");
+      expect(await ethers.provider.getBalance(await lendingPlatform.getAddress())).to.equal(0);
+    });
+  });
+
+  describe("Counter Offers", function () {
+    let otherLender;
+    let loanOffers;
+
+    beforeEach(async function () {
+      [, , , otherLender] = await ethers.getSigners();
+      const LoanOffers = await ethers.getContractFactory("LoanOffers");
+      loanOffers = await LoanOffers.deploy(await lendingPlatform.getAddress());
+      await lendingPlatform.setLoanOffers(await loanOffers.getAddress());
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("2") });
+      await loanOffers.connect(lender).postCounterOffer(0, 4, 60, { value: loanAmount });
+      await loanOffers.connect(otherLender).postCounterOffer(0, 3, 90, { value: loanAmount });
+    });
+
+    it("Should escrow the loan amount with each offer", async function () {
+      const offer = await loanOffers.counterOffers(1);
+      expect(offer.lender).to.equal(otherLender.address);
+      expect(offer.interestRate).to.equal(3);
+      expect(offer.durationInDays).to.equal(90);
+      expect(await loanOffers.getRequestCounterOfferIds(0)).to.deep.equal([0n, 1n]);
+      expect(await ethers.provider.getBalance(await loanOffers.getAddress())).to.equal(ethers.parseEther("2"));
+    });
+
+    it("Should open the loan on the accepted terms and leave the other offers withdrawable", async function () {
+      const borrowerBalanceBefore = await ethers.provider.getBalance(borrower.address);
+
+      const tx = await loanOffers.connect(borrower).acceptCounterOffer(1);
+      await expect(tx).to.emit(loanOffers, "CounterOfferAccepted").withArgs(1, 0, 0);
+      await expect(tx).not.to.emit(loanOffers, "CounterOfferWithdrawn");
+      const receipt = await tx.wait();
+
+      const loan = await lendingPlatform.activeLoans(0);
+      expect(loan.lender).to.equal(otherLender.address);
+      expect(loan.interestRate).to.equal(3);
+      expect(loan.endTime - loan.startTimestamp).to.equal(BigInt(90 * 24 * 60 * 60));
+      expect((await lendingPlatform.loanRequests(0)).isActive).to.be.false;
+
+      const gas = receipt.gasUsed * receipt.gasPrice;
+      expect((await ethers.provider.getBalance(borrower.address)) - borrowerBalanceBefore + gas).to.equal(loanAmount);
+      expect(await ethers.provider.getBalance(await lendingPlatform.getAddress())).to.equal(ethers.parseEther("2"));
+
+      // the competing offer keeps its escrow until the lender takes it back
+      expect((await loanOffers.counterOffers(0)).isActive).to.be.true;
+      expect(await ethers.provider.getBalance(await loanOffers.getAddress())).to.equal(loanAmount);
+      await expect(loanOffers.connect(lender).withdrawCounterOffer(0))
+        .to.emit(loanOffers, "CounterOfferWithdrawn").withArgs(0, lender.address, loanAmount);
+      expect(await ethers.provider.getBalance(await loanOffers.getAddress())).to.equal(0);
+    });
+
+    it("Should let lenders withdraw offers that were not accepted", async function () {
+      await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
+
+      await expect(
+        loanOffers.connect(otherLender).withdrawCounterOffer(1)
+      ).to.emit(loanOffers, "CounterOfferWithdrawn").withArgs(1, otherLender.address, loanAmount);
+      await expect(
+        loanOffers.connect(borrower).acceptCounterOffer(0)
+      ).to.be.revertedWith("Request is not active");
+    });
+
+    it("Should only let the borrower accept an offer", async function () {
+      await expect(
+        loanOffers.connect(lender).acceptCounterOffer(1)
+      ).to.be.revertedWith("Only borrower can accept offer");
+    });
+
+    it("Should let anyone refund offers once the request has closed", async function () {
+      await expect(
+        loanOffers.connect(borrower).refundOffer(0, 0)
+      ).to.be.revertedWith("Request still open");
+
+      await loanOffers.connect(borrower).acceptCounterOffer(1);
+      await expect(
+        loanOffers.connect(borrower).refundOffer(1, 0)
+      ).to.be.revertedWith("Offer is not on this request");
+
+      const lenderBalanceBefore = await ethers.provider.getBalance(lender.address);
+      await expect(
+        loanOffers.connect(borrower).refundOffer(0, 0)
+      ).to.emit(loanOffers, "CounterOfferWithdrawn").withArgs(0, lender.address, loanAmount);
+      expect((await ethers.provider.getBalance(lender.address)) - lenderBalanceBefore).to.equal(loanAmount);
+      expect(await ethers.provider.getBalance(await loanOffers.getAddress())).to.equal(0);
+      await expect(
+        loanOffers.connect(borrower).refundOffer(0, 0)
+      ).to.be.revertedWith("Offer is not active");
+    });
+
+    it("Should not accept offers on expired requests, and refund them", async function () {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 60 * 60;
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("2") }, 0, deadline);
+      await loanOffers.connect(lender).postCounterOffer(1, 4, 60, { value: loanAmount });
+      await network.provider.send("evm_increaseTime", [2 * 60 * 60]);
+      await network.provider.send("evm_mine");
+
+      await expect(
+        loanOffers.connect(borrower).acceptCounterOffer(2)
+      ).to.be.revertedWith("Request expired");
+      await expect(
+        loanOffers.connect(otherLender).refundOffer(1, 2)
+      ).to.emit(loanOffers, "CounterOfferWithdrawn").withArgs(2, lender.address, loanAmount);
+    });
+
+    it("Should only open offer loans for the offer book", async function () {
+      await expect(
+        lendingPlatform.connect(lender).openOfferLoan(0, lender.address, 4, 60, { value: loanAmount })
+      ).to.be.revertedWith("Only offer book");
+    });
+
+    it("Should check offer loan terms on-chain", async function () {
+      await lendingPlatform.setLoanOffers(lender.address);
+      await expect(
+        lendingPlatform.connect(lender).openOfferLoan(0, lender.address, 8, 60, { value: loanAmount })
+      ).to.be.revertedWith("Interest rate exceeds maximum allowed (7%)");
+      await expect(
+        lendingPlatform.connect(lender).openOfferLoan(0, lender.address, 4, 0, { value: loanAmount })
+      ).to.be.revertedWith("Duration must be greater than 0");
+    });
+
+    it("Should revert if the offer does not escrow the loan amount", async function () {
+      await expect(
+        loanOffers.connect(lender).postCounterOffer(0, 4, 60, { value: ethers.parseEther("0.5") })
+      ).to.be.revertedWith("Must send exact loan amount");
+    });
+  });
+
+  describe("Liquidity Offers", function () {
+    let loanOffers;
+
+    beforeEach(async function () {
+      const LoanOffers = await ethers.getContractFactory("LoanOffers");
+      loanOffers = await LoanOffers.deploy(await lendingPlatform.getAddress());
+      await lendingPlatform.setLoanOffers(await loanOffers.getAddress());
+      await loanOffers.connect(lender).postLiquidityOffer(60, 4, 25000, { value: ethers.parseEther("3") });
+    });
+
+    it("Should escrow the offered liquidity", async function () {
+      const offer = await loanOffers.liquidityOffers(0);
+      expect(offer.lender).to.equal(lender.address);
+      expect(offer.availableAmount).to.equal(ethers.parseEther("3"));
+      expect(offer.isActive).to.be.true;
+    });
+
+    it("Should open a loan when a borrower draws on the offer", async function () {
+      await expect(
+        loanOffers.connect(borrower).borrowFromLiquidityOffer(0, loanAmount, 30, { value: ethers.parseEther("2.5") })
+      ).to.emit(loanOffers, "LiquidityOfferDrawn").withArgs(0, 0, borrower.address, loanAmount);
+
+      const loan = await lendingPlatform.activeLoans(0);
+      expect(loan.lender).to.equal(lender.address);
+      expect(loan.borrower).to.equal(borrower.address);
+      expect(loan.interestRate).to.equal(4);
+      expect(loan.stake).to.equal(ethers.parseEther("2.5"));
+
+      const request = await lendingPlatform.loanRequests(0);
+      expect(request.isActive).to.be.false;
+      expect((await loanOffers.liquidityOffers(0)).availableAmount).to.equal(ethers.parseEther("2"));
+    });
+
+    it("Should enforce the offer's collateral ratio and duration", async function () {
+      await expect(
+        loanOffers.connect(borrower).borrowFromLiquidityOffer(0, loanAmount, 30, { value: ethers.parseEther("2") })
+      ).to.be.revertedWith("Insufficient collateral");
+      await expect(
+        loanOffers.connect(borrower).borrowFromLiquidityOffer(0, loanAmount, 61, { value: ethers.parseEther("2.5") })
+      ).to.be.revertedWith("Duration exceeds offer maximum");
+      await expect(
+        loanOffers.connect(borrower).borrowFromLiquidityOffer(0, ethers.parseEther("4"), 30, { value: ethers.parseEther("10") })
+      ).to.be.revertedWith("Exceeds offer liquidity");
+    });
+
+    it("Should let the lender withdraw the remaining liquidity", async function () {
+      await loanOffers.connect(borrower).borrowFromLiquidityOffer(0, loanAmount, 30, { value: ethers.parseEther("2.5") });
+
+      await expect(
+        loanOffers.connect(lender).withdrawLiquidityOffer(0)
+      ).to.emit(loanOffers, "LiquidityOfferWithdrawn").withArgs(0, lender.address, ethers.parseEther("2"));
+      expect(await ethers.provider.getBalance(await lendingPlatform.getAddress())).to.equal(ethers.parseEther("2.5"));
+      expect(await ethers.provider.getBalance(await loanOffers.getAddress())).to.equal(0);
+    });
+
+    it("Should reject offers below the platform collateral ratio", async function () {
+      await expect(
+        loanOffers.connect(lender).postLiquidityOffer(60, 4, 15000, { value: loanAmount })
+      ).to.be.revertedWith("Collateral ratio below platform minimum");
+    });
+  });
+
   describe("Loan Funding", function () {
     beforeEach(async function () {
-      await lendingPlatform.connect(borrower).createLoanRequest(
-        loanAmount,
-        duration,
-        interestRate,
-        { value: ethers.parseEther("2") }
-      );
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("2") });
     });
 
     it("Should fund a loan request", async function () {
-      const initialEthPrice = ethers.parseEther("2000");
-      
-      await lendingPlatform.connect(lender).fundLoanRequest(
-        0,
-        initialEthPrice,
-        { value: loanAmount }
-      );
+      await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
 
       const loan = await lendingPlatform.activeLoans(0);
       expect(loan.lender).to.equal(lender.address);
@@ -122,76 +411,40 @@ describe("LendingPlatform", function () {
     });
 
     it("Should transfer loan amount to borrower", async function () {
-      const initialEthPrice = ethers.parseEther("2000");
       const borrowerBalanceBefore = await ethers.provider.getBalance(borrower.address);
       
-      await lendingPlatform.connect(lender).fundLoanRequest(
-        0,
-        initialEthPrice,
-        { value: loanAmount }
-      );
+      await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
 
       const borrowerBalanceAfter = await ethers.provider.getBalance(borrower.address);
       expect(borrowerBalanceAfter - borrowerBalanceBefore).to.equal(loanAmount);
     });
 
     it("Should revert if loan request doesn't exist", async function () {
-      const initialEthPrice = ethers.parseEther("2000");
-      
       await expect(
-        lendingPlatform.connect(lender).fundLoanRequest(
-          999,
-          initialEthPrice,
-          { value: loanAmount }
-        )
+        lendingPlatform.connect(lender).fundLoanRequest(999, { value: loanAmount })
       ).to.be.revertedWith("Request is not active");
     });
 
     it("Should revert if loan request is already funded", async function () {
-      const initialEthPrice = ethers.parseEther("2000");
-      
-      await lendingPlatform.connect(lender).fundLoanRequest(
-        0,
-        initialEthPrice,
-        { value: loanAmount }
-      );
+      await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
 
       await expect(
-        lendingPlatform.connect(lender).fundLoanRequest(
-          0,
-          initialEthPrice,
-          { value: loanAmount }
-        )
+        lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount })
       ).to.be.revertedWith("Request is not active");
     });
 
     it("Should revert if sent value doesn't match loan amount", async function () {
-      const initialEthPrice = ethers.parseEther("2000");
-      
       await expect(
-        lendingPlatform.connect(lender).fundLoanRequest(
-          0,
-          initialEthPrice,
-          { value: ethers.parseEther("0.5") }
-        )
+        lendingPlatform.connect(lender).fundLoanRequest(0, { value: ethers.parseEther("0.5") })
       ).to.be.revertedWith("Must send exact loan amount");
     });
   });
 
   describe("Loan Repayment", function () {
     beforeEach(async function () {
-      await lendingPlatform.connect(borrower).createLoanRequest(
-        loanAmount,
-        duration,
-        interestRate,
-        { value: ethers.parseEther("2") }
-      );
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("2") });
 
-      await lendingPlatform.connect(lender).fundLoanRequest(
-        0,
-        ethers.parseEther("2000"),
-        { value: loanAmount }
-      );
+      await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
     });
 
     it("Should repay a loan successfully", async function () {
@@ -231,43 +484,1778 @@ describe("LendingPlatform", function () {
         })
       ).to.be.revertedWith("Loan already repaid");
     });
+
+    it("Should apply a partial repayment and keep the loan open", async function () {
+      const partial = ethers.parseEther("0.4");
+
+      await expect(
+        lendingPlatform.connect(borrower).repayLoan(0, partial, { value: partial })
+      ).to.emit(lendingPlatform, "LoanPayment");
+
+      const loan = await lendingPlatform.activeLoans(0);
+      expect(loan.isRepaid).to.be.false;
+      expect(loan.accruedInterestUsd).to.equal(0);
+      // 0.4 ETH at 2000 USD, minus the few seconds of interest it covered
+      expect(loan.principalOutstandingUsd).to.be.closeTo(
+        ethers.parseEther("1200"),
+        ethers.parseEther("0.01")
+      );
+    });
+
+    it("Should refund the value sent above a partial repay amount", async function () {
+      const partial = ethers.parseEther("0.4");
+      const lenderBalanceBefore = await ethers.provider.getBalance(lender.address);
+
+      await lendingPlatform.connect(borrower).repayLoan(0, partial, { value: ethers.parseEther("1") });
+
+      const lenderBalanceAfter = await ethers.provider.getBalance(lender.address);
+      expect(lenderBalanceAfter - lenderBalanceBefore).to.equal(partial);
+      expect(await ethers.provider.getBalance(await lendingPlatform.getAddress())).to.equal(ethers.parseEther("2"));
+    });
+
+    it("Should close the loan and return the stake once the balance is paid", async function () {
+      const partial = ethers.parseEther("0.5");
+      await lendingPlatform.connect(borrower).repayLoan(0, partial, { value: partial });
+
+      await expect(
+        lendingPlatform.connect(borrower).repayLoan(0, 0, { value: ethers.parseEther("0.6") })
+      ).to.emit(lendingPlatform, "LoanRepaid");
+
+      const loan = await lendingPlatform.activeLoans(0);
+      expect(loan.isRepaid).to.be.true;
+      expect(loan.principalOutstandingUsd).to.equal(0);
+      expect(await ethers.provider.getBalance(await lendingPlatform.getAddress())).to.equal(0);
+    });
   });
 
-  describe("Loan Liquidation", function () {
+  describe("Collateral Management", function () {
     beforeEach(async function () {
-      await lendingPlatform.connect(borrower).createLoanRequest(
-        loanAmount,
-        duration,
-        interestRate,
-        { value: ethers.parseEther("2") }
-      );
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("3") });
+      await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
+    });
 
-      await lendingPlatform.connect(lender).fundLoanRequest(
-        0,
-        ethers.parseEther("2000"),
-        { value: loanAmount }
-      );
+    it("Should add collateral to an active loan", async function () {
+      await expect(
+        lendingPlatform.connect(borrower).addCollateral(0, { value: ethers.parseEther("0.5") })
+      ).to.emit(lendingPlatform, "CollateralAdded")
+        .withArgs(0, borrower.address, ethers.parseEther("0.5"), ethers.parseEther("3.5"));
+
+      const loan = await lendingPlatform.activeLoans(0);
+      expect(loan.stake).to.equal(ethers.parseEther("3.5"));
     });
 
-    it("Should liquidate expired loan", async function () {
-      await network.provider.send("evm_increaseTime", [duration * 24 * 60 * 60 + 1]);
+    it("Should withdraw collateral above the minimum ratio", async function () {
+      await expect(
+        lendingPlatform.connect(borrower).withdrawExcessCollateral(0, ethers.parseEther("0.9"))
+      ).to.emit(lendingPlatform, "CollateralWithdrawn")
+        .withArgs(0, borrower.address, ethers.parseEther("0.9"), ethers.parseEther("2.1"));
+    });
+
+    it("Should revert when the withdrawal breaks the minimum ratio", async function () {
+      await expect(
+        lendingPlatform.connect(borrower).withdrawExcessCollateral(0, ethers.parseEther("1"))
+      ).to.be.revertedWith("Withdrawal exceeds excess collateral");
+    });
+
+    it("Should bound withdrawals by the current ETH price", async function () {
+      // At 1500 USD the 2000 USD debt is ~1.333 ETH, so the 2x ratio needs ~2.667 ETH
+      await lendingPlatform.connect(owner).setDemoFixedEthUsdPrice(ethers.parseEther("1500"));
+
+      await expect(
+        lendingPlatform.connect(borrower).withdrawExcessCollateral(0, ethers.parseEther("0.4"))
+      ).to.be.revertedWith("Withdrawal exceeds excess collateral");
+      await lendingPlatform.connect(borrower).withdrawExcessCollateral(0, ethers.parseEther("0.3"));
+    });
+
+    it("Should revert if non-borrower manages collateral", async function () {
+      await expect(
+        lendingPlatform.connect(lender).addCollateral(0, { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("Only borrower can add collateral");
+      await expect(
+        lendingPlatform.connect(lender).withdrawExcessCollateral(0, ethers.parseEther("0.1"))
+      ).to.be.revertedWith("Only borrower can withdraw collateral");
+    });
+  });
+
+  describe("Loan Extension", function () {
+    let newEndTime;
+
+    beforeEach(async function () {
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("2") });
+      await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
+      const loan = await lendingPlatform.activeLoans(0);
+      newEndTime = loan.endTime + BigInt(30 * 24 * 60 * 60);
+    });
+
+    it("Should extend with capitalized interest once the lender accepts", async function () {
+      await network.provider.send("evm_increaseTime", [10 * 24 * 60 * 60]);
+      await network.provider.send("evm_mine");
+
+      await expect(
+        lendingPlatform.connect(borrower).proposeLoanExtension(0, newEndTime, 6, true)
+      ).to.emit(lendingPlatform, "LoanExtensionProposed");
+      await expect(
+        lendingPlatform.connect(lender).acceptLoanExtension(0)
+      ).to.emit(lendingPlatform, "LoanExtended");
+
+      const loan = await lendingPlatform.activeLoans(0);
+      expect(loan.endTime).to.equal(newEndTime);
+      expect(loan.interestRate).to.equal(6);
+      expect(loan.accruedInterestUsd).to.equal(0);
+      // ~10 days of 5% interest on 2000 USD added to principal
+      expect(loan.principalOutstandingUsd).to.be.closeTo(ethers.parseEther("2002.74"), ethers.parseEther("0.01"));
+      expect((await lendingPlatform.extensionProposals(0)).isActive).to.be.false;
+    });
+
+    it("Should keep the installment schedule after capitalizing interest", async function () {
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("2") }, 3);
+      await lendingPlatform.connect(lender).fundLoanRequest(1, { value: loanAmount });
+      await network.provider.send("evm_increaseTime", [10 * 24 * 60 * 60]);
       await network.provider.send("evm_mine");
 
+      const loan = await lendingPlatform.activeLoans(1);
+      await lendingPlatform.connect(borrower).proposeLoanExtension(1, loan.endTime + BigInt(30 * 24 * 60 * 60), 0, true);
+      await lendingPlatform.connect(lender).acceptLoanExtension(1);
+
+      const extended = await lendingPlatform.activeLoans(1);
+      expect(await lendingPlatform.scheduledPrincipalUsd(1)).to.equal(extended.principalOutstandingUsd);
+      const [index, dueTimestamp, amountEth] = await lendingPlatform.getNextInstallment(1);
+      expect(index).to.equal(1);
+      // the first third of the stretched term, a third of the grown principal
+      expect(dueTimestamp).to.equal(loan.startTimestamp + (extended.endTime - loan.startTimestamp) / 3n);
+      expect(amountEth).to.be.closeTo(
+        (extended.principalOutstandingUsd * ethers.parseEther("1")) / (3n * ethers.parseEther("2000")), ethers.parseEther("0.0001")
+      );
+    });
+
+    it("Should settle accrued interest from the escrow and refund the rest", async function () {
+      const escrow = ethers.parseEther("0.01");
+      await lendingPlatform.connect(borrower).proposeLoanExtension(0, newEndTime, 0, false, { value: escrow });
+
       const lenderBalanceBefore = await ethers.provider.getBalance(lender.address);
-      
-      await lendingPlatform.connect(owner).liquidateExpiredLoan(0);
+      const tx = await lendingPlatform.connect(lender).acceptLoanExtension(0);
+      const receipt = await tx.wait();
+      const gas = receipt.gasUsed * receipt.gasPrice;
+      const lenderGain = (await ethers.provider.getBalance(lender.address)) - lenderBalanceBefore + gas;
 
-      const lenderBalanceAfter = await ethers.provider.getBalance(lender.address);
       const loan = await lendingPlatform.activeLoans(0);
+      expect(loan.interestRate).to.equal(interestRate);
+      expect(lenderGain).to.be.greaterThan(0n);
+      expect(lenderGain).to.be.lessThan(escrow);
+      expect(await ethers.provider.getBalance(await lendingPlatform.getAddress())).to.equal(ethers.parseEther("2"));
+    });
 
-      expect(loan.isRepaid).to.be.true;
-      expect(lenderBalanceAfter - lenderBalanceBefore).to.equal(ethers.parseEther("2")); // stake amount
+    it("Should revert if the escrow does not cover accrued interest", async function () {
+      await lendingPlatform.connect(borrower).proposeLoanExtension(0, newEndTime, 0, false);
+      await network.provider.send("evm_increaseTime", [24 * 60 * 60]);
+
+      await expect(
+        lendingPlatform.connect(lender).acceptLoanExtension(0)
+      ).to.be.revertedWith("Escrow does not cover accrued interest");
     });
 
-    it("Should revert if loan is not expired", async function () {
+    it("Should revert if the rate exceeds the maximum", async function () {
       await expect(
-        lendingPlatform.connect(owner).liquidateExpiredLoan(0)
-      ).to.be.revertedWith("Loan is not expired yet");
+        lendingPlatform.connect(borrower).proposeLoanExtension(0, newEndTime, 8, true)
+      ).to.be.revertedWith("Interest rate exceeds maximum allowed (7%)");
+    });
+
+    it("Should only let the lender accept", async function () {
+      await lendingPlatform.connect(borrower).proposeLoanExtension(0, newEndTime, 0, true);
+
+      await expect(
+        lendingPlatform.connect(borrower).acceptLoanExtension(0)
+      ).to.be.revertedWith("Only lender can accept extension");
+    });
+
+    it("Should refund the escrow when the proposal is cancelled", async function () {
+      await lendingPlatform.connect(borrower).proposeLoanExtension(0, newEndTime, 0, false, { value: ethers.parseEther("0.01") });
+
+      await expect(
+        lendingPlatform.connect(borrower).cancelLoanExtension(0)
+      ).to.emit(lendingPlatform, "LoanExtensionCancelled").withArgs(0);
+      expect(await ethers.provider.getBalance(await lendingPlatform.getAddress())).to.equal(ethers.parseEther("2"));
+      await expect(
+        lendingPlatform.connect(lender).acceptLoanExtension(0)
+      ).to.be.revertedWith("No pending extension");
+    });
+  });
+
+  describe("Stablecoin Loans", function () {
+    let usd;
+    let usdAddress;
+    const usdAmount = 1000n * 10n ** 6n; // 1000 mUSD, 6 decimals
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      usd = await MockERC20.deploy("Mock USD", "mUSD", 6);
+      await usd.waitForDeployment();
+      usdAddress = await usd.getAddress();
+      await lendingPlatform.connect(owner).setLoanTokenSupported(usdAddress, true);
+
+      await usd.mint(lender.address, 10000n * 10n ** 6n);
+      await usd.mint(borrower.address, 100n * 10n ** 6n);
+      await usd.connect(lender).approve(await lendingPlatform.getAddress(), ethers.MaxUint256);
+      await usd.connect(borrower).approve(await lendingPlatform.getAddress(), ethers.MaxUint256);
+
+      // 1 ETH at 2000 USD covers the 2x ratio on 1000 mUSD
+      await createRequest(borrower, usdAmount, duration, interestRate, { value: ethers.parseEther("1") }, 0, 0, usdAddress);
+    });
+
+    it("Should require a whitelisted token", async function () {
+      await expect(
+        createRequest(borrower, usdAmount, duration, interestRate, { value: ethers.parseEther("1") }, 0, 0, lender.address)
+      ).to.be.revertedWith("Loan token not supported");
+    });
+
+    it("Should value collateral in USD for token requests", async function () {
+      await expect(
+        createRequest(borrower, usdAmount, duration, interestRate, { value: ethers.parseEther("0.9") }, 0, 0, usdAddress)
+      ).to.be.revertedWith("Insufficient collateral");
+    });
+
+    it("Should fund in tokens from lender to borrower", async function () {
+      await expect(
+        lendingPlatform.connect(lender).fundLoanRequest(0, { value: usdAmount })
+      ).to.be.revertedWith("Token loans are funded in tokens");
+
+      await lendingPlatform.connect(lender).fundLoanRequest(0);
+
+      const loan = await lendingPlatform.activeLoans(0);
+      expect(loan.loanToken).to.equal(usdAddress);
+      expect(loan.principalOutstandingUsd).to.equal(ethers.parseEther("1000"));
+      expect(await usd.balanceOf(borrower.address)).to.equal(1100n * 10n ** 6n);
+    });
+
+    it("Should take partial and full repayments in tokens and return the ETH stake", async function () {
+      await lendingPlatform.connect(lender).fundLoanRequest(0);
+
+      await expect(
+        lendingPlatform.connect(borrower).repayLoan(0, 0, { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("Use repayTokenLoan for token loans");
+
+      await lendingPlatform.connect(borrower).repayTokenLoan(0, 400n * 10n ** 6n);
+      let loan = await lendingPlatform.activeLoans(0);
+      expect(loan.isRepaid).to.be.false;
+      expect(loan.principalOutstandingUsd).to.be.closeTo(ethers.parseEther("600"), ethers.parseEther("0.01"));
+
+      await expect(
+        lendingPlatform.connect(borrower).repayTokenLoan(0, 0)
+      ).to.emit(lendingPlatform, "LoanRepaid");
+      loan = await lendingPlatform.activeLoans(0);
+      expect(loan.isRepaid).to.be.true;
+      expect(await usd.balanceOf(lender.address)).to.be.closeTo(10000n * 10n ** 6n, 10n ** 5n);
+      expect(await ethers.provider.getBalance(await lendingPlatform.getAddress())).to.equal(0);
+    });
+
+    it("Should measure health against the ETH value of the token debt", async function () {
+      await lendingPlatform.connect(lender).fundLoanRequest(0);
+      expect(await lendingPlatform.getHealthFactor(0)).to.be.closeTo(20000n, 1n);
+
+      await lendingPlatform.connect(owner).setDemoFixedEthUsdPrice(ethers.parseEther("1100"));
+      expect(await lendingPlatform.getHealthFactor(0)).to.be.closeTo(11000n, 1n);
+    });
+
+    it("Should schedule installments of token loans in the loan token", async function () {
+      await createRequest(borrower, usdAmount, duration, interestRate, { value: ethers.parseEther("1") }, 2, 0, usdAddress);
+      await lendingPlatform.connect(lender).fundLoanRequest(1);
+      expect(await lendingPlatform.scheduledPrincipalUsd(0)).to.equal(ethers.parseEther("1000"));
+
+      const loan = await lendingPlatform.activeLoans(0);
+      const [index, dueTimestamp, amount] = await lendingPlatform.getNextInstallment(0);
+      expect(index).to.equal(1);
+      expect(dueTimestamp).to.equal(loan.startTimestamp + BigInt(15 * 24 * 60 * 60));
+      expect(amount).to.be.closeTo(500n * 10n ** 6n, 10n ** 4n);
+
+      // a small buffer covers interest accrued before the payment is mined
+      await lendingPlatform.connect(borrower).repayTokenLoan(0, amount + 10n ** 4n);
+      const [nextIndex, nextDue, nextAmount] = await lendingPlatform.getNextInstallment(0);
+      expect(nextIndex).to.equal(2);
+      expect(nextDue).to.equal(loan.endTime);
+      expect(nextAmount).to.be.closeTo(500n * 10n ** 6n, 10n ** 4n);
+    });
+  });
+
+  describe("Protocol Fees", function () {
+    let treasury;
+
+    beforeEach(async function () {
+      [, , , treasury] = await ethers.getSigners();
+      // 1% of the principal at funding, 10% of the interest repaid
+      await lendingPlatform.connect(owner).setFees(100, 1000);
+      await lendingPlatform.connect(owner).setTreasury(treasury.address);
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("2") });
+    });
+
+    it("Should withhold the origination fee from the borrower", async function () {
+      const borrowerBalanceBefore = await ethers.provider.getBalance(borrower.address);
+
+      await expect(
+        lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount })
+      ).to.emit(lendingPlatform, "FeeCharged").withArgs(0, ethers.ZeroAddress, ethers.parseEther("0.01"));
+
+      expect((await ethers.provider.getBalance(borrower.address)) - borrowerBalanceBefore).to.equal(ethers.parseEther("0.99"));
+      expect(await lendingPlatform.feeBalance(ethers.ZeroAddress)).to.equal(ethers.parseEther("0.01"));
+      // the full principal is still owed
+      expect((await lendingPlatform.activeLoans(0)).principalOutstandingUsd).to.equal(ethers.parseEther("2000"));
+    });
+
+    it("Should keep a share of the interest repaid", async function () {
+      await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
+      await network.provider.send("evm_increaseTime", [15 * 24 * 60 * 60]);
+      await network.provider.send("evm_mine");
+
+      const lenderBalanceBefore = await ethers.provider.getBalance(lender.address);
+      await lendingPlatform.connect(borrower).repayLoan(0, 0, { value: ethers.parseEther("1.1") });
+
+      // 15 days at 5% on 1 ETH is ~0.0020548 ETH of interest, 10% of it is the fee
+      const interestFee = (await lendingPlatform.feeBalance(ethers.ZeroAddress)) - ethers.parseEther("0.01");
+      expect(interestFee).to.be.closeTo(ethers.parseEther("0.00020548"), ethers.parseEther("0.000001"));
+      expect((await ethers.provider.getBalance(lender.address)) - lenderBalanceBefore).to.be.closeTo(
+        ethers.parseEther("1.00184931"), ethers.parseEther("0.000001")
+      );
+    });
+
+    it("Should charge token loans in the loan token", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const usd = await MockERC20.deploy("Mock USD", "mUSD", 6);
+      const usdAddress = await usd.getAddress();
+      const usdAmount = 1000n * 10n ** 6n;
+      await lendingPlatform.connect(owner).setLoanTokenSupported(usdAddress, true);
+      await usd.mint(lender.address, usdAmount);
+      await usd.connect(lender).approve(await lendingPlatform.getAddress(), ethers.MaxUint256);
+      await usd.connect(borrower).approve(await lendingPlatform.getAddress(), ethers.MaxUint256);
+      await usd.mint(borrower.address, 100n * 10n ** 6n);
+      await createRequest(borrower, usdAmount, duration, interestRate, { value: ethers.parseEther("1") }, 0, 0, usdAddress);
+
+      await lendingPlatform.connect(lender).fundLoanRequest(1);
+      expect(await usd.balanceOf(borrower.address)).to.equal(1090n * 10n ** 6n);
+      expect(await usd.balanceOf(await lendingPlatform.getAddress())).to.equal(10n * 10n ** 6n);
+
+      await network.provider.send("evm_increaseTime", [15 * 24 * 60 * 60]);
+      await network.provider.send("evm_mine");
+      await lendingPlatform.connect(borrower).repayTokenLoan(0, 0);
+      // ~2.0548 mUSD of interest, 10% of it kept
+      expect(await usd.balanceOf(lender.address)).to.be.closeTo(1001849315n, 100n);
+      const fees = await lendingPlatform.feeBalance(usdAddress);
+      expect(fees).to.be.closeTo(10205479n, 100n);
+
+      await expect(
+        lendingPlatform.connect(treasury).withdrawFees(usdAddress, fees)
+      ).to.emit(lendingPlatform, "FeesWithdrawn").withArgs(usdAddress, treasury.address, fees);
+      expect(await usd.balanceOf(treasury.address)).to.equal(fees);
+      expect(await lendingPlatform.feeBalance(usdAddress)).to.equal(0);
+    });
+
+    it("Should only let the treasury withdraw accrued fees", async function () {
+      await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
+      const fee = ethers.parseEther("0.01");
+
+      await expect(
+        lendingPlatform.connect(owner).withdrawFees(ethers.ZeroAddress, fee)
+      ).to.be.revertedWith("Only treasury");
+      await expect(
+        lendingPlatform.connect(treasury).withdrawFees(ethers.ZeroAddress, fee * 2n)
+      ).to.be.revertedWith("Invalid amount");
+
+      const treasuryBalanceBefore = await ethers.provider.getBalance(treasury.address);
+      const receipt = await (await lendingPlatform.connect(treasury).withdrawFees(ethers.ZeroAddress, fee)).wait();
+      const gas = receipt.gasUsed * receipt.gasPrice;
+      expect((await ethers.provider.getBalance(treasury.address)) - treasuryBalanceBefore + gas).to.equal(fee);
+      // only the stake is left
+      expect(await ethers.provider.getBalance(await lendingPlatform.getAddress())).to.equal(ethers.parseEther("2"));
+    });
+
+    it("Should cap the fee settings", async function () {
+      await expect(lendingPlatform.connect(owner).setFees(5001, 0)).to.be.revertedWith("fee too high");
+      await expect(lendingPlatform.connect(owner).setFees(0, 5001)).to.be.revertedWith("fee too high");
+      await expect(lendingPlatform.connect(borrower).setFees(0, 0)).to.be.revertedWith("Only risk admin");
+      await expect(lendingPlatform.connect(owner).setTreasury(ethers.ZeroAddress)).to.be.revertedWith("zero address");
+      await expect(lendingPlatform.connect(owner).setFees(50, 500)).to.emit(lendingPlatform, "FeesUpdated").withArgs(50, 500);
+    });
+  });
+
+  describe("Token Collateral", function () {
+    let registry;
+    let wbtc;
+    let wbtcAddress;
+    let wbtcFeed;
+    let deed;
+    let deedAddress;
+    const oneTenthBtc = 10n ** 7n; // 0.1 WBTC, 8 decimals
+
+    beforeEach(async function () {
+      const CollateralRegistry = await ethers.getContractFactory("CollateralRegistry");
+      registry = await CollateralRegistry.deploy();
+      await registry.waitForDeployment();
+      await registry.setPlatform(await lendingPlatform.getAddress());
+      await lendingPlatform.connect(owner).setCollateralRegistry(await registry.getAddress());
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      wbtc = await MockERC20.deploy("Wrapped BTC", "WBTC", 8);
+      wbtcAddress = await wbtc.getAddress();
+      const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+      wbtcFeed = await MockV3Aggregator.deploy(8, 60000n * 10n ** 8n);
+      // 75% collateral factor: 0.1 WBTC at 60000 USD counts as 4500 USD
+      await registry.setAsset(wbtcAddress, false, await wbtcFeed.getAddress(), 7500);
+
+      const MockERC721 = await ethers.getContractFactory("MockERC721");
+      deed = await MockERC721.deploy();
+      deedAddress = await deed.getAddress();
+      const deedFeed = await MockV3Aggregator.deploy(8, 5000n * 10n ** 8n);
+      await registry.setAsset(deedAddress, true, await deedFeed.getAddress(), 8000);
+
+      await wbtc.mint(borrower.address, 10n ** 8n);
+      await wbtc.connect(borrower).approve(await registry.getAddress(), ethers.MaxUint256);
+      await deed.mint(borrower.address, 7);
+      await deed.connect(borrower).approve(await registry.getAddress(), 7);
+    });
+
+    it("Should escrow an ERC-20 pledge and count it towards the ratio", async function () {
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: 0 }, 0, 0, ethers.ZeroAddress, wbtcAddress, oneTenthBtc);
+
+      const request = await lendingPlatform.loanRequests(0);
+      expect(request.collateralAsset).to.equal(wbtcAddress);
+      expect(request.collateralAmount).to.equal(oneTenthBtc);
+      expect(await wbtc.balanceOf(await registry.getAddress())).to.equal(oneTenthBtc);
+
+      await expect(
+        createRequest(borrower, loanAmount, duration, interestRate, { value: 0 }, 0, 0, ethers.ZeroAddress, wbtcAddress, oneTenthBtc / 2n)
+      ).to.be.revertedWith("Insufficient collateral");
+    });
+
+    it("Should reject assets that are not whitelisted", async function () {
+      await expect(
+        createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("2") }, 0, 0, ethers.ZeroAddress, lender.address, 1)
+      ).to.be.revertedWith("asset not supported");
+    });
+
+    it("Should return the pledge on cancellation and on repayment", async function () {
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: 0 }, 0, 0, ethers.ZeroAddress, wbtcAddress, oneTenthBtc);
+      await lendingPlatform.connect(borrower).cancelLoanRequest(0);
+      expect(await wbtc.balanceOf(borrower.address)).to.equal(10n ** 8n);
+
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: 0 }, 0, 0, ethers.ZeroAddress, deedAddress, 7);
+      expect(await deed.ownerOf(7)).to.equal(await registry.getAddress());
+      await lendingPlatform.connect(lender).fundLoanRequest(1, { value: loanAmount });
+      await lendingPlatform.connect(borrower).repayLoan(0, 0, { value: ethers.parseEther("1.01") });
+      expect(await deed.ownerOf(7)).to.equal(borrower.address);
+    });
+
+    it("Should hand a pledged NFT to the lender when an expired loan is liquidated", async function () {
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: 0 }, 0, 0, ethers.ZeroAddress, deedAddress, 7);
+      await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
+
+      await ethers.provider.send("evm_increaseTime", [34 * 24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+
+      await lendingPlatform.connect(owner).liquidateExpiredLoan(0);
+      expect(await deed.ownerOf(7)).to.equal(lender.address);
+    });
+
+    it("Should seize only the shortfall of an ERC-20 pledge when undercollateralized", async function () {
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: 0 }, 0, 0, ethers.ZeroAddress, wbtcAddress, oneTenthBtc);
+      await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
+
+      // 0.1 WBTC at 30000 USD counts as 2250 USD against 2000 USD of debt
+      await wbtcFeed.updateAnswer(30000n * 10n ** 8n);
+      expect(await lendingPlatform.getHealthFactor(0)).to.be.closeTo(11250n, 1n);
+
+      await lendingPlatform.connect(owner).liquidateUndercollateralizedLoan(0);
+
+      // About 2000 of the 3000 USD market value goes to the lender, the rest back to the borrower
+      const toLender = await wbtc.balanceOf(lender.address);
+      expect(toLender).to.be.closeTo((oneTenthBtc * 2n) / 3n, 10n ** 3n);
+      expect(await wbtc.balanceOf(borrower.address)).to.equal(10n ** 8n - toLender);
+    });
+
+    it("Should only let the platform move escrowed collateral", async function () {
+      await expect(
+        registry.connect(borrower).releaseCollateral(wbtcAddress, borrower.address, 1)
+      ).to.be.revertedWith("not platform");
+      await expect(
+        registry.connect(borrower).setAsset(wbtcAddress, false, await wbtcFeed.getAddress(), 5000)
+      ).to.be.revertedWith("not owner");
+    });
+  });
+
+  describe("Property Deeds", function () {
+    let registry;
+    let deed;
+    let deedAddress;
+    const otherProperty = ethers.keccak256(ethers.toUtf8Bytes("OTHER_PROPERTY"));
+
+    beforeEach(async function () {
+      const CollateralRegistry = await ethers.getContractFactory("CollateralRegistry");
+      registry = await CollateralRegistry.deploy();
+      await registry.setPlatform(await lendingPlatform.getAddress());
+      await lendingPlatform.connect(owner).setCollateralRegistry(await registry.getAddress());
+
+      const PropertyDeed = await ethers.getContractFactory("PropertyDeed");
+      deed = await PropertyDeed.deploy();
+      deedAddress = await deed.getAddress();
+      await lendingPlatform.connect(owner).setPropertyDeed(deedAddress);
+
+      // Deed valued at 5000 USD, 80% counted: 4000 USD covers 1 ETH at the 2x ratio
+      const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+      const deedFeed = await MockV3Aggregator.deploy(8, 5000n * 10n ** 8n);
+      await registry.setAsset(deedAddress, true, await deedFeed.getAddress(), 8000);
+
+      await deed.connect(owner).mint(borrower.address, propertyCommitment, "ipfs://PLACEHOLDER_APPRAISAL_CID");
+      await deed.connect(borrower).approve(await registry.getAddress(), 1);
+    });
+
+    it("Should let only registrars mint one deed per property", async function () {
+      expect(await deed.ownerOf(1)).to.equal(borrower.address);
+      expect(await deed.tokenIdOfProperty(propertyCommitment)).to.equal(1);
+      expect(await deed.tokenURI(1)).to.equal("ipfs://PLACEHOLDER_APPRAISAL_CID");
+
+      await expect(
+        deed.connect(borrower).mint(borrower.address, otherProperty, "")
+      ).to.be.revertedWith("not registrar");
+      await expect(
+        deed.connect(owner).mint(lender.address, propertyCommitment, "")
+      ).to.be.revertedWith("property already registered");
+
+      await deed.connect(owner).setRegistrar(lender.address, true);
+      await deed.connect(lender).mint(lender.address, otherProperty, "");
+      expect(await deed.ownerOf(2)).to.equal(lender.address);
+    });
+
+    it("Should only accept a deed for the request's property", async function () {
+      await deed.connect(owner).mint(borrower.address, otherProperty, "");
+      await deed.connect(borrower).approve(await registry.getAddress(), 2);
+
+      await expect(
+        createRequest(borrower, loanAmount, duration, interestRate, { value: 0 }, 0, 0, ethers.ZeroAddress, deedAddress, 2)
+      ).to.be.revertedWith("Deed does not match property");
+    });
+
+    it("Should return the deed to the borrower on repayment", async function () {
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: 0 }, 0, 0, ethers.ZeroAddress, deedAddress, 1);
+      expect(await deed.ownerOf(1)).to.equal(await registry.getAddress());
+
+      await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
+      await lendingPlatform.connect(borrower).repayLoan(0, 0, { value: ethers.parseEther("1.01") });
+      expect(await deed.ownerOf(1)).to.equal(borrower.address);
+    });
+
+    it("Should transfer the deed to the lender when the loan is liquidated after expiry", async function () {
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: 0 }, 0, 0, ethers.ZeroAddress, deedAddress, 1);
+      await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
+
+      await ethers.provider.send("evm_increaseTime", [34 * 24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+
+      await lendingPlatform.connect(owner).liquidateExpiredLoan(0);
+      expect(await deed.ownerOf(1)).to.equal(lender.address);
+      expect(await deed.balanceOf(borrower.address)).to.equal(0);
+    });
+
+    describe("Valuation through the real-estate index", function () {
+      let rwaOracle;
+
+      // 1 ETH loan needs 4000 USD of collateral at 2000 USD/ETH
+      function pledgeDeed(units) {
+        return createRequest(borrower, loanAmount, duration, interestRate, { value: 0 }, 0, 0, ethers.ZeroAddress, deedAddress, 1, units);
+      }
+
+      beforeEach(async function () {
+        const RealEstateOracle = await ethers.getContractFactory("RealEstateOracle");
+        rwaOracle = await RealEstateOracle.deploy(2500n * 10n ** 8n); // 2500 USD per unit
+        await lendingPlatform.connect(owner).updateRealEstateOracle(await rwaOracle.getAddress());
+        await deed.connect(owner).setPropertyUnits(1, 2);
+      });
+
+      it("Should value declared units at the index instead of the deed feed", async function () {
+        await rwaOracle.setIndexValue(1500n * 10n ** 8n);
+        await expect(pledgeDeed(2)).to.be.revertedWith("Insufficient collateral");
+
+        await rwaOracle.setIndexValue(2500n * 10n ** 8n);
+        await pledgeDeed(2);
+        await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
+        // 2 units at 2500 USD against 2000 USD of debt
+        expect(await lendingPlatform.getHealthFactor(0)).to.be.closeTo(25000n, 1n);
+      });
+
+      it("Should not let a request declare more units than the deed records", async function () {
+        await expect(pledgeDeed(3)).to.be.revertedWith("Units exceed deed");
+      });
+
+      it("Should reject a stale or out-of-bounds index", async function () {
+        await lendingPlatform.connect(owner).setRealEstateParams(
+          30 * 24 * 60 * 60, ethers.parseEther("100"), ethers.parseEther("2000")
+        );
+        await expect(pledgeDeed(2)).to.be.revertedWith("RWA index out of bounds");
+
+        await lendingPlatform.connect(owner).setRealEstateParams(
+          30 * 24 * 60 * 60, ethers.parseEther("100"), ethers.parseEther("1000000")
+        );
+        await ethers.provider.send("evm_increaseTime", [31 * 24 * 60 * 60]);
+        await ethers.provider.send("evm_mine");
+        await expect(pledgeDeed(2)).to.be.revertedWith("Stale RWA index");
+      });
+
+      it("Should make the loan liquidatable when the index falls", async function () {
+        await pledgeDeed(2);
+        await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
+
+        await rwaOracle.setIndexValue(1100n * 10n ** 8n);
+        expect(await lendingPlatform.getHealthFactor(0)).to.be.closeTo(11000n, 1n);
+
+        await lendingPlatform.connect(owner).liquidateUndercollateralizedLoan(0);
+        expect(await deed.ownerOf(1)).to.equal(lender.address);
+      });
+
+      it("Should only let the owner set index bounds", async function () {
+        await expect(
+          lendingPlatform.connect(borrower).setRealEstateParams(0, 1, 2)
+        ).to.be.revertedWith("Only risk admin");
+        await expect(
+          lendingPlatform.connect(owner).setRealEstateParams(0, 2, 1)
+        ).to.be.revertedWith("invalid index bounds");
+      });
+    });
+  });
+
+  describe("Real-Estate Oracle", function () {
+    let rwaOracle;
+    let reporterA;
+    let reporterB;
+
+    beforeEach(async function () {
+      [, , , reporterA, reporterB] = await ethers.getSigners();
+      const RealEstateOracle = await ethers.getContractFactory("RealEstateOracle");
+      rwaOracle = await RealEstateOracle.deploy(2500n * 10n ** 8n);
+      await rwaOracle.setReporter(reporterA.address, true);
+      await rwaOracle.setReporter(reporterB.address, true);
+      await rwaOracle.setQuorum(3);
+    });
+
+    it("Should answer the first round with the initial value", async function () {
+      const [roundId, answer, , updatedAt, answeredInRound] = await rwaOracle.latestRoundData();
+      expect(roundId).to.equal(1);
+      expect(answer).to.equal(2500n * 10n ** 8n);
+      expect(answeredInRound).to.equal(1);
+      expect(updatedAt).to.equal(await rwaOracle.updatedAt());
+      expect(await rwaOracle.decimals()).to.equal(8);
+    });
+
+    it("Should publish the median once the quorum is reached", async function () {
+      await rwaOracle.connect(reporterA).setIndexValue(3000n * 10n ** 8n);
+      await rwaOracle.connect(reporterB).setIndexValue(2000n * 10n ** 8n);
+      // round 2 is still open
+      expect((await rwaOracle.latestRoundData())[0]).to.equal(1);
+
+      await expect(rwaOracle.connect(owner).setIndexValue(2600n * 10n ** 8n))
+        .to.emit(rwaOracle, "IndexUpdated");
+      const [roundId, answer] = await rwaOracle.latestRoundData();
+      expect(roundId).to.equal(2);
+      expect(answer).to.equal(2600n * 10n ** 8n);
+      expect((await rwaOracle.getRoundData(1))[1]).to.equal(2500n * 10n ** 8n);
+    });
+
+    it("Should average the middle values for an even quorum", async function () {
+      await rwaOracle.setQuorum(2);
+      await rwaOracle.connect(reporterA).setIndexValue(3000n * 10n ** 8n);
+      await rwaOracle.connect(reporterB).setIndexValue(2000n * 10n ** 8n);
+      expect((await rwaOracle.latestRoundData())[1]).to.equal(2500n * 10n ** 8n);
+    });
+
+    it("Should accept one submission per reporter and round", async function () {
+      await rwaOracle.connect(reporterA).setIndexValue(3000n * 10n ** 8n);
+      await expect(
+        rwaOracle.connect(reporterA).setIndexValue(3100n * 10n ** 8n)
+      ).to.be.revertedWith("already submitted");
+      await expect(
+        rwaOracle.connect(borrower).setIndexValue(3100n * 10n ** 8n)
+      ).to.be.revertedWith("not reporter");
+      await expect(
+        rwaOracle.connect(reporterB).setIndexValue(0)
+      ).to.be.revertedWith("invalid value");
+    });
+
+    it("Should discard a round that misses quorum before the timeout", async function () {
+      await rwaOracle.connect(reporterA).setIndexValue(3000n * 10n ** 8n);
+      await rwaOracle.connect(reporterB).setIndexValue(2000n * 10n ** 8n);
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60 + 1]);
+      await ethers.provider.send("evm_mine");
+
+      // the stale values are dropped and reporter A can submit again
+      await expect(rwaOracle.connect(reporterA).setIndexValue(2800n * 10n ** 8n))
+        .to.emit(rwaOracle, "RoundDiscarded").withArgs(2, 2);
+      expect(await rwaOracle.getSubmissions(2)).to.deep.equal([2800n * 10n ** 8n]);
+      expect(await rwaOracle.hasSubmitted(2, reporterB.address)).to.be.false;
+
+      await rwaOracle.connect(reporterB).setIndexValue(2600n * 10n ** 8n);
+      await rwaOracle.connect(owner).setIndexValue(2700n * 10n ** 8n);
+      const [roundId, answer] = await rwaOracle.latestRoundData();
+      expect(roundId).to.equal(2);
+      expect(answer).to.equal(2700n * 10n ** 8n);
+    });
+
+    it("Should let the owner set the round timeout", async function () {
+      await expect(rwaOracle.setRoundTimeout(3600)).to.emit(rwaOracle, "RoundTimeoutUpdated").withArgs(3600);
+      expect(await rwaOracle.roundTimeout()).to.equal(3600);
+      await expect(rwaOracle.setRoundTimeout(0)).to.be.revertedWith("invalid timeout");
+      await expect(rwaOracle.connect(borrower).setRoundTimeout(60)).to.be.revertedWith("not owner");
+    });
+
+    it("Should keep the quorum reachable", async function () {
+      await expect(rwaOracle.setQuorum(4)).to.be.revertedWith("invalid quorum");
+      await expect(rwaOracle.setReporter(reporterA.address, false)).to.be.revertedWith("quorum exceeds reporters");
+      await expect(rwaOracle.connect(borrower).setQuorum(1)).to.be.revertedWith("not owner");
+
+      await rwaOracle.setQuorum(2);
+      await rwaOracle.setReporter(reporterA.address, false);
+      expect(await rwaOracle.reporterCount()).to.equal(2);
+    });
+
+    it("Should be readable by the platform as an aggregator", async function () {
+      await lendingPlatform.connect(owner).updateRealEstateOracle(await rwaOracle.getAddress());
+      // an open round does not change the published index
+      await rwaOracle.connect(reporterA).setIndexValue(3000n * 10n ** 8n);
+
+      const [indexValue, decimals] = await lendingPlatform.getRealEstateIndex();
+      expect(indexValue).to.equal(2500n * 10n ** 8n);
+      expect(decimals).to.equal(8);
+    });
+  });
+
+  describe("Installment Schedule", function () {
+    beforeEach(async function () {
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("2") }, 3);
+      await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
+    });
+
+    it("Should store the installment count on the loan", async function () {
+      const loan = await lendingPlatform.activeLoans(0);
+      expect(loan.installmentCount).to.equal(3);
+    });
+
+    it("Should revert with more installments than days", async function () {
+      await expect(
+        createRequest(borrower, loanAmount, 2, interestRate, { value: ethers.parseEther("2") }, 3)
+      ).to.be.revertedWith("At most one installment per day");
+    });
+
+    it("Should advance to the next installment after paying one", async function () {
+      const loan = await lendingPlatform.activeLoans(0);
+      const [index, dueTimestamp, amountEth] = await lendingPlatform.getNextInstallment(0);
+      expect(index).to.equal(1);
+      expect(dueTimestamp).to.equal(loan.startTimestamp + BigInt(10 * 24 * 60 * 60));
+      expect(amountEth).to.be.closeTo(loanAmount / 3n, ethers.parseEther("0.0001"));
+
+      // a small buffer covers interest accrued before the payment is mined
+      const payment = amountEth + ethers.parseEther("0.0001");
+      await lendingPlatform.connect(borrower).repayLoan(0, payment, { value: payment });
+
+      const [nextIndex, nextDue] = await lendingPlatform.getNextInstallment(0);
+      expect(nextIndex).to.equal(2);
+      expect(nextDue).to.equal(loan.startTimestamp + BigInt(20 * 24 * 60 * 60));
+    });
+  });
+
+  describe("Loan Liquidation", function () {
+    beforeEach(async function () {
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("2") });
+
+      await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
+    });
+
+    it("Should liquidate expired loan", async function () {
+      await network.provider.send("evm_increaseTime", [(duration + 3) * 24 * 60 * 60 + 1]);
+      await network.provider.send("evm_mine");
+
+      const lenderBalanceBefore = await ethers.provider.getBalance(lender.address);
+      
+      await expect(lendingPlatform.connect(owner).liquidateExpiredLoan(0))
+        .to.emit(lendingPlatform, "LoanLiquidated").withArgs(0, lender.address, ethers.parseEther("1.94"));
+
+      const lenderBalanceAfter = await ethers.provider.getBalance(lender.address);
+      const loan = await lendingPlatform.activeLoans(0);
+
+      expect(loan.isRepaid).to.be.true;
+      // stake minus the 3% liquidator bonus
+      expect(lenderBalanceAfter - lenderBalanceBefore).to.equal(ethers.parseEther("1.94"));
+    });
+
+    it("Should revert if loan is not expired", async function () {
+      await expect(
+        lendingPlatform.connect(owner).liquidateExpiredLoan(0)
+      ).to.be.revertedWith("Loan is not expired yet");
+    });
+  });
+
+  describe("Grace Period", function () {
+    const day = 24 * 60 * 60;
+
+    beforeEach(async function () {
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("2") });
+      await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
+    });
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    it("Should block liquidation until the grace period is over", async function () {
+      await increaseTime(duration * day + 1);
+      await expect(
+        lendingPlatform.connect(owner).liquidateExpiredLoan(0)
+      ).to.be.revertedWith("Grace period active");
+
+      await increaseTime(3 * day);
+      await expect(lendingPlatform.connect(owner).liquidateExpiredLoan(0))
+        .to.emit(lendingPlatform, "LoanLiquidated");
+    });
+
+    it("Should raise the penalty day by day up to the grace cutoff", async function () {
+      expect(await lendingPlatform.overduePenaltyBp(0)).to.equal(0);
+      await increaseTime(duration * day + 1);
+      expect(await lendingPlatform.overduePenaltyBp(0)).to.equal(300);
+      await increaseTime(day);
+      expect(await lendingPlatform.overduePenaltyBp(0)).to.equal(600);
+      await increaseTime(day);
+      expect(await lendingPlatform.overduePenaltyBp(0)).to.equal(900);
+      await increaseTime(5 * day);
+      expect(await lendingPlatform.overduePenaltyBp(0)).to.equal(900);
+    });
+
+    it("Should charge overdueRepayPenaltyBp per started day, once without grace", async function () {
+      await lendingPlatform.connect(owner).updateParams(500, 300, 3600);
+      await increaseTime(duration * day + day + 1);
+      expect(await lendingPlatform.overduePenaltyBp(0)).to.equal(1000);
+
+      // without grace it is a flat one-day charge, however late the repayment
+      await lendingPlatform.connect(owner).setGracePeriod(0);
+      expect(await lendingPlatform.overduePenaltyBp(0)).to.equal(500);
+      await increaseTime(10 * day);
+      expect(await lendingPlatform.overduePenaltyBp(0)).to.equal(500);
+    });
+
+    it("Should accept a late repayment during the grace period", async function () {
+      await increaseTime((duration + 1) * day + 1);
+      const due = await lendingPlatform.calculateAmountDueEth(0);
+      const lenderBalanceBefore = await ethers.provider.getBalance(lender.address);
+
+      await lendingPlatform.connect(borrower).repayLoan(0, 0, { value: ethers.parseEther("1.5") });
+
+      const lenderGain = (await ethers.provider.getBalance(lender.address)) - lenderBalanceBefore;
+      expect(lenderGain).to.be.closeTo((due * 10600n) / 10000n, ethers.parseEther("0.000001"));
+      expect((await lendingPlatform.activeLoans(0)).isRepaid).to.be.true;
+    });
+
+    it("Should let the owner shorten or remove the grace period", async function () {
+      await expect(
+        lendingPlatform.connect(borrower).setGracePeriod(0)
+      ).to.be.revertedWith("Only risk admin");
+      await expect(
+        lendingPlatform.connect(owner).setGracePeriod(31 * day)
+      ).to.be.revertedWith("grace period too long");
+      await expect(lendingPlatform.connect(owner).setGracePeriod(0))
+        .to.emit(lendingPlatform, "GracePeriodUpdated").withArgs(0);
+
+      // without grace the penalty stays at a single day's worth
+      await increaseTime((duration + 2) * day);
+      expect(await lendingPlatform.overduePenaltyBp(0)).to.equal(300);
+      await lendingPlatform.connect(owner).liquidateExpiredLoan(0);
+    });
+  });
+
+  describe("Collateral Auction", function () {
+    let auction;
+    let buyer;
+    const step = 10 * 60; // default step of 10 minutes, 36 steps per auction
+
+    beforeEach(async function () {
+      [, , , buyer] = await ethers.getSigners();
+      const CollateralAuction = await ethers.getContractFactory("CollateralAuction");
+      auction = await CollateralAuction.deploy(await lendingPlatform.getAddress());
+      await lendingPlatform.connect(owner).setCollateralAuction(await auction.getAddress());
+
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("2") });
+      await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
+      await ethers.provider.send("evm_increaseTime", [(duration + 3) * 24 * 60 * 60 + 1]);
+      await ethers.provider.send("evm_mine");
+    });
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    it("Should move an expired loan's stake into an auction", async function () {
+      // 3% per day over the 3-day grace period
+      const owed = ((await lendingPlatform.calculateAmountDueEth(0)) * 10900n) / 10000n;
+
+      await expect(lendingPlatform.connect(owner).liquidateExpiredLoan(0))
+        .to.emit(lendingPlatform, "LoanLiquidated")
+        .withArgs(0, lender.address, 0)
+        .and.to.emit(lendingPlatform, "LoanAuctioned")
+        .and.to.emit(auction, "AuctionStarted");
+
+      expect((await lendingPlatform.activeLoans(0)).isRepaid).to.be.true;
+      expect(await ethers.provider.getBalance(await auction.getAddress())).to.equal(ethers.parseEther("2"));
+      const lot = await auction.auctions(0);
+      expect(lot.liquidator).to.equal(owner.address);
+      expect(lot.owed).to.be.closeTo(owed, ethers.parseEther("0.000001"));
+      // 120% of the 2 ETH lot
+      expect(lot.startPrice).to.equal(ethers.parseEther("2.4"));
+      expect(await auction.auctionIdOfLoan(0)).to.equal(1);
+    });
+
+    it("Should lower the price one step at a time", async function () {
+      await lendingPlatform.connect(owner).liquidateExpiredLoan(0);
+      expect(await auction.currentPrice(0)).to.equal(ethers.parseEther("2.4"));
+
+      await increaseTime(step * 9);
+      expect(await auction.currentPrice(0)).to.equal(ethers.parseEther("1.8"));
+      await increaseTime(step / 2);
+      expect(await auction.currentPrice(0)).to.equal(ethers.parseEther("1.8"));
+    });
+
+    it("Should credit the lender, the liquidator bonus and the rest to the borrower", async function () {
+      await lendingPlatform.connect(owner).liquidateExpiredLoan(0);
+      const owed = (await auction.auctions(0)).owed;
+      await increaseTime(step * 9);
+
+      const price = ethers.parseEther("1.8");
+      const bonus = (price * 300n) / 10000n;
+
+      await expect(auction.connect(buyer).bid(0, { value: ethers.parseEther("2") }))
+        .to.emit(auction, "AuctionBid").withArgs(0, buyer.address, price)
+        .and.to.emit(auction, "AuctionSettled").withArgs(0, owed, bonus, price - owed - bonus);
+      expect(await auction.auctionStatus(0)).to.equal(2);
+
+      expect(await auction.credits(ethers.ZeroAddress, lender.address)).to.equal(owed);
+      expect(await auction.credits(ethers.ZeroAddress, owner.address)).to.equal(bonus);
+      expect(await auction.credits(ethers.ZeroAddress, borrower.address)).to.equal(price - owed - bonus);
+      // the 2 ETH stake plus the 0.2 ETH overpaid
+      expect(await auction.credits(ethers.ZeroAddress, buyer.address)).to.equal(ethers.parseEther("2.2"));
+
+      const lenderBalanceBefore = await ethers.provider.getBalance(lender.address);
+      const tx = await auction.connect(lender).withdraw(ethers.ZeroAddress);
+      await expect(tx).to.emit(auction, "CreditWithdrawn").withArgs(ethers.ZeroAddress, lender.address, owed);
+      const receipt = await tx.wait();
+      const gas = receipt.gasUsed * receipt.gasPrice;
+      expect((await ethers.provider.getBalance(lender.address)) - lenderBalanceBefore + gas).to.equal(owed);
+      await expect(auction.connect(lender).withdraw(ethers.ZeroAddress)).to.be.revertedWith("Nothing to withdraw");
+
+      await auction.connect(owner).withdraw(ethers.ZeroAddress);
+      await auction.connect(borrower).withdraw(ethers.ZeroAddress);
+      await auction.connect(buyer).withdraw(ethers.ZeroAddress);
+      expect(await ethers.provider.getBalance(await auction.getAddress())).to.equal(0);
+    });
+
+    it("Should settle even when a recipient rejects ETH", async function () {
+      await lendingPlatform.connect(owner).liquidateExpiredLoan(0);
+      await increaseTime(step * 9);
+      // lender turns into a contract that reverts on any call
+      await network.provider.send("hardhat_setCode", [lender.address, "0x60006000fd"]);
+
+      await expect(auction.connect(buyer).bid(0, { value: ethers.parseEther("1.8") }))
+        .to.emit(auction, "AuctionSettled");
+      expect(await auction.credits(ethers.ZeroAddress, lender.address)).to.equal((await auction.auctions(0)).owed);
+      await network.provider.send("hardhat_setCode", [lender.address, "0x"]);
+    });
+
+    it("Should log every price step", async function () {
+      const startPrice = ethers.parseEther("2.4");
+      const priceAt = (n) => startPrice - (startPrice * n) / 36n;
+      await expect(lendingPlatform.connect(owner).liquidateExpiredLoan(0))
+        .to.emit(auction, "AuctionStep").withArgs(0, 0, startPrice);
+
+      await increaseTime(step * 2);
+      const tx = await auction.connect(buyer).logSteps(0);
+      await expect(tx).to.emit(auction, "AuctionStep").withArgs(0, 1, priceAt(1n));
+      await expect(tx).to.emit(auction, "AuctionStep").withArgs(0, 2, priceAt(2n));
+      expect(await auction.stepsLogged(0)).to.equal(3);
+      // nothing new within the same step
+      await expect(auction.logSteps(0)).not.to.emit(auction, "AuctionStep");
+
+      await increaseTime(step);
+      await expect(auction.connect(buyer).bid(0, { value: ethers.parseEther("2.4") }))
+        .to.emit(auction, "AuctionStep").withArgs(0, 3, priceAt(3n));
+      await expect(auction.logSteps(0)).to.be.revertedWith("Auction closed");
+    });
+
+    it("Should give the whole sale price to the lender when it does not cover the debt", async function () {
+      await lendingPlatform.connect(owner).liquidateExpiredLoan(0);
+      await increaseTime(step * 30);
+
+      const price = ethers.parseEther("0.4");
+      await expect(auction.connect(buyer).bid(0, { value: price }))
+        .to.emit(auction, "AuctionSettled").withArgs(0, price, 0, 0);
+      await expect(auction.connect(buyer).bid(0, { value: price })).to.be.revertedWith("Auction closed");
+    });
+
+    it("Should require a reset once the auction ran out", async function () {
+      await lendingPlatform.connect(owner).liquidateExpiredLoan(0);
+      await expect(auction.resetAuction(0)).to.be.revertedWith("Auction still running");
+      await increaseTime(6 * 60 * 60);
+
+      expect(await auction.auctionStatus(0)).to.equal(1);
+      await expect(
+        auction.connect(buyer).bid(0, { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("Auction expired");
+      // the new run starts at 80% of the previous start price
+      await expect(auction.resetAuction(0))
+        .to.emit(auction, "AuctionReset").withArgs(0, ethers.parseEther("1.92"))
+        .and.to.emit(auction, "AuctionStep").withArgs(0, 0, ethers.parseEther("1.92"));
+      expect(await auction.currentPrice(0)).to.equal(ethers.parseEther("1.92"));
+      await expect(
+        auction.connect(buyer).bid(0, { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("Insufficient bid");
+    });
+
+    it("Should let the owner tune the auction parameters", async function () {
+      await expect(auction.setParams(5 * 60, 3 * 60 * 60, 11000, 9000))
+        .to.emit(auction, "AuctionParamsUpdated").withArgs(5 * 60, 3 * 60 * 60, 11000, 9000);
+      await expect(auction.setParams(5 * 60, 3 * 60 * 60, 11000, 10000)).to.be.revertedWith("invalid reset price");
+      await expect(auction.connect(buyer).setParams(5 * 60, 3 * 60 * 60, 11000, 9000)).to.be.revertedWith("not owner");
+    });
+
+    it("Should take stablecoin bids in full and credit the proceeds in tokens", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const usd = await MockERC20.deploy("Mock USD", "mUSD", 6);
+      const usdAddress = await usd.getAddress();
+      await lendingPlatform.connect(owner).setLoanTokenSupported(usdAddress, true);
+      await usd.mint(lender.address, 1000n * 10n ** 6n);
+      await usd.connect(lender).approve(await lendingPlatform.getAddress(), ethers.MaxUint256);
+      await createRequest(borrower, 1000n * 10n ** 6n, duration, interestRate, { value: ethers.parseEther("1") }, 0, 0, usdAddress);
+      await lendingPlatform.connect(lender).fundLoanRequest(1);
+      await increaseTime((duration + 3) * 24 * 60 * 60 + 1);
+
+      await lendingPlatform.connect(owner).liquidateExpiredLoan(1);
+      const auctionId = (await auction.auctionIdOfLoan(1)) - 1n;
+      const price = await auction.currentPrice(auctionId);
+      await usd.mint(buyer.address, price);
+      await usd.connect(buyer).approve(await auction.getAddress(), price);
+      await expect(
+        auction.connect(buyer).bid(auctionId, { value: 1 })
+      ).to.be.revertedWith("ETH not accepted");
+      await auction.connect(buyer).bid(auctionId);
+
+      expect(await usd.balanceOf(await auction.getAddress())).to.equal(price);
+      const toLender = await auction.credits(usdAddress, lender.address);
+      expect(toLender).to.equal((await auction.auctions(auctionId)).owed);
+      expect(await auction.credits(ethers.ZeroAddress, buyer.address)).to.equal(ethers.parseEther("1"));
+      await expect(auction.connect(lender).withdraw(usdAddress))
+        .to.emit(auction, "CreditWithdrawn").withArgs(usdAddress, lender.address, toLender);
+      expect(await usd.balanceOf(lender.address)).to.equal(toLender);
+    });
+
+    it("Should hand a pledged token to the buyer", async function () {
+      const CollateralRegistry = await ethers.getContractFactory("CollateralRegistry");
+      const registry = await CollateralRegistry.deploy();
+      await registry.setPlatform(await lendingPlatform.getAddress());
+      await lendingPlatform.connect(owner).setCollateralRegistry(await registry.getAddress());
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const wbtc = await MockERC20.deploy("Wrapped BTC", "WBTC", 8);
+      const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+      const wbtcFeed = await MockV3Aggregator.deploy(8, 60000n * 10n ** 8n);
+      await registry.setAsset(await wbtc.getAddress(), false, await wbtcFeed.getAddress(), 7500);
+      await wbtc.mint(borrower.address, 10n ** 7n);
+      await wbtc.connect(borrower).approve(await registry.getAddress(), 10n ** 7n);
+
+      // 0.1 WBTC counts as 4500 USD, so no ETH stake is needed
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: 0 }, 0, 0, ethers.ZeroAddress, await wbtc.getAddress(), 10n ** 7n);
+      await lendingPlatform.connect(lender).fundLoanRequest(1, { value: loanAmount });
+      await increaseTime((duration + 3) * 24 * 60 * 60 + 1);
+      await wbtcFeed.updateAnswer(60000n * 10n ** 8n);
+
+      await lendingPlatform.connect(owner).liquidateExpiredLoan(1);
+      expect(await wbtc.balanceOf(await auction.getAddress())).to.equal(10n ** 7n);
+      const auctionId = (await auction.auctionIdOfLoan(1)) - 1n;
+      await auction.connect(buyer).bid(auctionId, { value: await auction.currentPrice(auctionId) });
+      expect(await wbtc.balanceOf(buyer.address)).to.equal(10n ** 7n);
+    });
+
+    it("Should keep the fixed split when no auction is set", async function () {
+      await expect(
+        lendingPlatform.connect(borrower).setCollateralAuction(ethers.ZeroAddress)
+      ).to.be.revertedWith("Only owner");
+      await lendingPlatform.connect(owner).setCollateralAuction(ethers.ZeroAddress);
+
+      await expect(lendingPlatform.connect(owner).liquidateExpiredLoan(0))
+        .to.emit(lendingPlatform, "LoanLiquidated");
+      await expect(
+        auction.connect(buyer).startAuction(0, lender.address, borrower.address, buyer.address, ethers.ZeroAddress, ethers.ZeroAddress, 0, 0, 0, 0)
+      ).to.be.revertedWith("not platform");
+    });
+  });
+
+  describe("Health Factor", function () {
+    beforeEach(async function () {
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("2") });
+      await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
+    });
+
+    it("Should report about 2x coverage right after funding", async function () {
+      const healthFactor = await lendingPlatform.getHealthFactor(0);
+      expect(healthFactor).to.be.closeTo(20000n, 1n);
+    });
+
+    it("Should not liquidate a healthy loan", async function () {
+      await expect(
+        lendingPlatform.connect(owner).liquidateUndercollateralizedLoan(0)
+      ).to.be.revertedWith("Loan is sufficiently collateralized");
+    });
+
+    it("Should liquidate before expiry when ETH falls below the threshold", async function () {
+      // 2000 -> 1100 USD: debt is now ~1.818 ETH against a 2 ETH stake (~110%)
+      await lendingPlatform.connect(owner).setDemoFixedEthUsdPrice(ethers.parseEther("1100"));
+      expect(await lendingPlatform.getHealthFactor(0)).to.be.lessThan(12000n);
+
+      const lenderBalanceBefore = await ethers.provider.getBalance(lender.address);
+
+      await expect(
+        lendingPlatform.connect(owner).liquidateUndercollateralizedLoan(0)
+      ).to.emit(lendingPlatform, "LoanLiquidatedUndercollateralized");
+
+      const lenderGain = (await ethers.provider.getBalance(lender.address)) - lenderBalanceBefore;
+      const surplus = await lendingPlatform.ethCredit(borrower.address);
+      const bonus = ethers.parseEther("0.06");
+
+      expect((await lendingPlatform.activeLoans(0)).isRepaid).to.be.true;
+      expect(lenderGain).to.be.closeTo(ethers.parseEther("1.8182"), ethers.parseEther("0.0001"));
+      expect(lenderGain + surplus + bonus).to.equal(ethers.parseEther("2"));
+
+      // the surplus waits for the borrower to withdraw it
+      await expect(lendingPlatform.connect(borrower).withdrawCredit())
+        .to.emit(lendingPlatform, "CreditWithdrawn").withArgs(borrower.address, surplus);
+      expect(await lendingPlatform.ethCredit(borrower.address)).to.equal(0);
+      await expect(lendingPlatform.connect(borrower).withdrawCredit()).to.be.revertedWith("Invalid amount");
+    });
+
+    it("Should liquidate even when the borrower rejects ETH", async function () {
+      await lendingPlatform.connect(owner).setDemoFixedEthUsdPrice(ethers.parseEther("1100"));
+      // borrower turns into a contract that reverts on any call
+      await network.provider.send("hardhat_setCode", [borrower.address, "0x60006000fd"]);
+
+      await expect(
+        lendingPlatform.connect(owner).liquidateUndercollateralizedLoan(0)
+      ).to.emit(lendingPlatform, "LoanLiquidatedUndercollateralized");
+      expect(await lendingPlatform.ethCredit(borrower.address)).to.be.greaterThan(0);
+      await network.provider.send("hardhat_setCode", [borrower.address, "0x"]);
+    });
+
+    it("Should only let the owner change the threshold within bounds", async function () {
+      await expect(
+        lendingPlatform.connect(borrower).setLiquidationThreshold(15000)
+      ).to.be.revertedWith("Only risk admin");
+      await expect(
+        lendingPlatform.connect(owner).setLiquidationThreshold(20000)
+      ).to.be.revertedWith("threshold too high");
+      await expect(
+        lendingPlatform.connect(owner).setLiquidationThreshold(15000)
+      ).to.emit(lendingPlatform, "LiquidationThresholdUpdated").withArgs(15000);
+    });
+  });
+
+  describe("Chainlink Price Feed", function () {
+    let ethUsdFeed;
+    const price = (usd) => BigInt(usd) * 10n ** 8n; // feed answers have 8 decimals
+
+    beforeEach(async function () {
+      const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+      ethUsdFeed = await MockV3Aggregator.deploy(8, price(2000));
+      const LendingPlatform = await ethers.getContractFactory("LendingPlatform");
+      lendingPlatform = await LendingPlatform.deploy(await ethUsdFeed.getAddress());
+
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("2") });
+      await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
+    });
+
+    async function increaseTime(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    describe("Price moves between funding and repayment", function () {
+      it("Should scale the 8-decimal answer by 1e10", async function () {
+        const loan = await lendingPlatform.activeLoans(0);
+        expect(loan.initialEthPrice).to.equal(price(2000) * 10n ** 10n);
+        expect(loan.principalOutstandingUsd).to.equal(ethers.parseEther("2000"));
+
+        await ethUsdFeed.updateAnswer(200012345678n); // 2000.12345678 USD
+        await createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("2") });
+        await lendingPlatform.connect(lender).fundLoanRequest(1, { value: loanAmount });
+        expect((await lendingPlatform.activeLoans(1)).initialEthPrice).to.equal(ethers.parseEther("2000.12345678"));
+      });
+
+      it("Should need less ETH to repay after ETH rises", async function () {
+        await ethUsdFeed.updateAnswer(price(4000));
+        const due = await lendingPlatform.calculateAmountDueEth(0);
+        expect(due).to.be.closeTo(ethers.parseEther("0.5"), ethers.parseEther("0.0001"));
+
+        const lenderBalanceBefore = await ethers.provider.getBalance(lender.address);
+        await lendingPlatform.connect(borrower).repayLoan(0, 0, { value: ethers.parseEther("1") });
+        const lenderGain = (await ethers.provider.getBalance(lender.address)) - lenderBalanceBefore;
+        expect(lenderGain).to.be.closeTo(due, ethers.parseEther("0.0000001"));
+      });
+
+      it("Should make the loan liquidatable after ETH falls", async function () {
+        await ethUsdFeed.updateAnswer(price(1100));
+        // 2 ETH of stake against 2000 USD of debt: 2200 / 2000
+        expect(await lendingPlatform.getHealthFactor(0)).to.be.closeTo(11000n, 1n);
+        await expect(
+          lendingPlatform.connect(owner).liquidateUndercollateralizedLoan(0)
+        ).to.emit(lendingPlatform, "LoanLiquidatedUndercollateralized");
+      });
+
+      it("Should convert partial payments at the price of the day", async function () {
+        await ethUsdFeed.updateAnswer(price(2500));
+        const partial = ethers.parseEther("0.4"); // 1000 USD
+        await lendingPlatform.connect(borrower).repayLoan(0, partial, { value: partial });
+
+        expect((await lendingPlatform.activeLoans(0)).principalOutstandingUsd).to.be.closeTo(
+          ethers.parseEther("1000"),
+          ethers.parseEther("0.01")
+        );
+      });
+    });
+
+    describe("Overdue penalty", function () {
+      beforeEach(async function () {
+        await increaseTime(duration * 24 * 60 * 60 + 1);
+        await ethUsdFeed.updateAnswer(price(2000));
+      });
+
+      it("Should add the penalty to a late repayment", async function () {
+        const due = await lendingPlatform.calculateAmountDueEth(0);
+        const lenderBalanceBefore = await ethers.provider.getBalance(lender.address);
+
+        await lendingPlatform.connect(borrower).repayLoan(0, 0, { value: ethers.parseEther("1.5") });
+
+        const lenderGain = (await ethers.provider.getBalance(lender.address)) - lenderBalanceBefore;
+        expect(lenderGain).to.be.closeTo((due * 10300n) / 10000n, ethers.parseEther("0.000001"));
+      });
+
+      it("Should price the penalty at the repayment-time ETH price", async function () {
+        await ethUsdFeed.updateAnswer(price(4000));
+        const due = await lendingPlatform.calculateAmountDueEth(0);
+        const lenderBalanceBefore = await ethers.provider.getBalance(lender.address);
+
+        await lendingPlatform.connect(borrower).repayLoan(0, 0, { value: ethers.parseEther("1") });
+
+        const lenderGain = (await ethers.provider.getBalance(lender.address)) - lenderBalanceBefore;
+        // 2000 USD plus 30 days of 5% interest, at 4000 USD/ETH
+        expect(due).to.be.closeTo(ethers.parseEther("0.5021"), ethers.parseEther("0.0001"));
+        expect(lenderGain).to.be.closeTo((due * 10300n) / 10000n, ethers.parseEther("0.000001"));
+      });
+
+      it("Should charge no penalty when it is set to zero", async function () {
+        await lendingPlatform.connect(owner).updateParams(0, 300, 60 * 60);
+        const due = await lendingPlatform.calculateAmountDueEth(0);
+        const lenderBalanceBefore = await ethers.provider.getBalance(lender.address);
+
+        await lendingPlatform.connect(borrower).repayLoan(0, 0, { value: ethers.parseEther("1.5") });
+
+        const lenderGain = (await ethers.provider.getBalance(lender.address)) - lenderBalanceBefore;
+        expect(lenderGain).to.be.closeTo(due, ethers.parseEther("0.000001"));
+      });
+    });
+
+    describe("Stale and invalid answers", function () {
+      it("Should revert repayments on a stale price", async function () {
+        await increaseTime(60 * 60 + 1);
+
+        await expect(lendingPlatform.calculateAmountDueEth(0)).to.be.revertedWith("Stale oracle price");
+        await expect(
+          lendingPlatform.connect(borrower).repayLoan(0, 0, { value: ethers.parseEther("1.1") })
+        ).to.be.revertedWith("Stale oracle price");
+
+        // a wider window accepts the same round again
+        await lendingPlatform.connect(owner).updateParams(300, 300, 2 * 60 * 60);
+        expect(await lendingPlatform.calculateAmountDueEth(0)).to.be.gt(0);
+      });
+
+      it("Should treat an old round as stale even when it is the latest one", async function () {
+        const block = await ethers.provider.getBlock("latest");
+        await ethUsdFeed.updateRoundData(7, price(2000), block.timestamp - 2 * 60 * 60, block.timestamp - 2 * 60 * 60);
+
+        await expect(lendingPlatform.getHealthFactor(0)).to.be.revertedWith("Stale oracle price");
+        expect((await ethUsdFeed.getRoundData(1))[1]).to.equal(price(2000));
+      });
+
+      it("Should reject zero and negative answers", async function () {
+        await ethUsdFeed.updateAnswer(0);
+        await expect(lendingPlatform.calculateAmountDueEth(0)).to.be.revertedWith("Invalid oracle price");
+
+        await ethUsdFeed.updateAnswer(-price(2000));
+        await expect(
+          lendingPlatform.connect(borrower).repayLoan(0, 0, { value: ethers.parseEther("1.1") })
+        ).to.be.revertedWith("Invalid oracle price");
+      });
+    });
+
+    describe("Switching oracle mode mid-loan", function () {
+      it("Should switch to the demo price and back to a feed", async function () {
+        await expect(lendingPlatform.connect(owner).updateOracle(ethers.ZeroAddress))
+          .to.emit(lendingPlatform, "OracleUpdated").withArgs(ethers.ZeroAddress);
+        await expect(lendingPlatform.connect(owner).setDemoFixedEthUsdPrice(ethers.parseEther("4000")))
+          .to.emit(lendingPlatform, "DemoPriceUpdated").withArgs(ethers.parseEther("4000"));
+        expect(await lendingPlatform.calculateAmountDueEth(0)).to.be.closeTo(ethers.parseEther("0.5"), ethers.parseEther("0.0001"));
+
+        // demo mode ignores the stale feed
+        await increaseTime(2 * 60 * 60);
+        expect(await lendingPlatform.calculateAmountDueEth(0)).to.be.gt(0);
+
+        const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+        const newFeed = await MockV3Aggregator.deploy(8, price(1000));
+        await lendingPlatform.connect(owner).updateOracle(await newFeed.getAddress());
+        expect(await lendingPlatform.calculateAmountDueEth(0)).to.be.closeTo(ethers.parseEther("2"), ethers.parseEther("0.001"));
+      });
+
+      it("Should keep the principal fixed at the funding price", async function () {
+        await lendingPlatform.connect(owner).updateOracle(ethers.ZeroAddress);
+        await lendingPlatform.connect(owner).setDemoFixedEthUsdPrice(ethers.parseEther("1000"));
+
+        const loan = await lendingPlatform.activeLoans(0);
+        expect(loan.initialEthPrice).to.equal(ethers.parseEther("2000"));
+        expect(loan.principalOutstandingUsd).to.equal(ethers.parseEther("2000"));
+
+        const due = await lendingPlatform.calculateAmountDueEth(0);
+        await lendingPlatform.connect(borrower).repayLoan(0, 0, { value: due + ethers.parseEther("0.001") });
+        expect((await lendingPlatform.activeLoans(0)).isRepaid).to.be.true;
+      });
+
+      it("Should only let the owner switch oracles", async function () {
+        await expect(
+          lendingPlatform.connect(borrower).updateOracle(ethers.ZeroAddress)
+        ).to.be.revertedWith("Only oracle admin");
+        await expect(
+          lendingPlatform.connect(borrower).setDemoFixedEthUsdPrice(1)
+        ).to.be.revertedWith("Only oracle admin");
+      });
+    });
+  });
+
+  describe("Price Feed Fallback", function () {
+    let primaryFeed;
+    let fallbackFeed;
+    let priceFeed;
+
+    beforeEach(async function () {
+      const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+      primaryFeed = await MockV3Aggregator.deploy(8, 2000n * 10n ** 8n);
+      fallbackFeed = await MockV3Aggregator.deploy(18, ethers.parseEther("2000")); // scaled down to 8 decimals
+      const FallbackPriceFeed = await ethers.getContractFactory("FallbackPriceFeed");
+      priceFeed = await FallbackPriceFeed.deploy(await primaryFeed.getAddress(), await fallbackFeed.getAddress());
+      await lendingPlatform.connect(owner).updateOracle(await priceFeed.getAddress());
+
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("2") });
+      await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
+    });
+
+    async function expireFeeds() {
+      await ethers.provider.send("evm_increaseTime", [2 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    it("Should price from the primary feed while it is valid", async function () {
+      await fallbackFeed.updateAnswer(ethers.parseEther("2050"));
+      const [roundId, answer] = await priceFeed.latestRoundData();
+      expect(roundId).to.equal(await primaryFeed.latestRound());
+      expect(answer).to.equal(2000n * 10n ** 8n);
+      expect((await lendingPlatform.activeLoans(0)).initialEthPrice).to.equal(ethers.parseEther("2000"));
+    });
+
+    it("Should fall back when the primary feed is stale", async function () {
+      await expireFeeds();
+      await fallbackFeed.updateAnswer(ethers.parseEther("2500"));
+
+      expect((await priceFeed.latestRoundData())[1]).to.equal(2500n * 10n ** 8n);
+      const due = await lendingPlatform.calculateAmountDueEth(0);
+      await lendingPlatform.connect(borrower).repayLoan(0, 0, { value: due + ethers.parseEther("0.01") });
+      expect((await lendingPlatform.activeLoans(0)).isRepaid).to.be.true;
+    });
+
+    it("Should fall back on a negative or reverting primary feed", async function () {
+      await primaryFeed.updateAnswer(-1);
+      expect((await priceFeed.latestRoundData())[1]).to.equal(2000n * 10n ** 8n);
+
+      const MockRevertingAggregator = await ethers.getContractFactory("MockRevertingAggregator");
+      const brokenFeed = await MockRevertingAggregator.deploy();
+      await priceFeed.setFeeds(await brokenFeed.getAddress(), await fallbackFeed.getAddress());
+      expect(await lendingPlatform.calculateAmountDueEth(0)).to.be.gt(0);
+    });
+
+    it("Should reject feeds that disagree beyond the max deviation", async function () {
+      await fallbackFeed.updateAnswer(ethers.parseEther("2200"));
+      await expect(lendingPlatform.calculateAmountDueEth(0)).to.be.revertedWith("ETH/USD feeds deviate");
+
+      await priceFeed.setParams(60 * 60, 1500);
+      expect(await lendingPlatform.calculateAmountDueEth(0)).to.be.gt(0);
+    });
+
+    it("Should fail repayment with a clear reason when no feed is usable", async function () {
+      await expireFeeds();
+      await expect(
+        lendingPlatform.connect(borrower).repayLoan(0, 0, { value: ethers.parseEther("2") })
+      ).to.be.revertedWith("No valid ETH/USD price");
+    });
+
+    it("Should halt only price-dependent actions with the circuit breaker", async function () {
+      await expect(
+        lendingPlatform.connect(borrower).setPriceCircuitBreaker(true)
+      ).to.be.revertedWith("Only pauser");
+      await expect(lendingPlatform.connect(owner).setPriceCircuitBreaker(true))
+        .to.emit(lendingPlatform, "PriceCircuitBreakerUpdated").withArgs(true);
+
+      await expect(
+        lendingPlatform.connect(borrower).repayLoan(0, 0, { value: ethers.parseEther("2") })
+      ).to.be.revertedWith("Price circuit breaker active");
+      // an ETH-only request needs no price, but funding it records the ETH/USD price
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("2") });
+      await expect(
+        lendingPlatform.connect(lender).fundLoanRequest(1, { value: loanAmount })
+      ).to.be.revertedWith("Price circuit breaker active");
+      // price-independent actions keep working
+      await lendingPlatform.connect(borrower).addCollateral(0, { value: ethers.parseEther("0.5") });
+      await lendingPlatform.connect(borrower).cancelLoanRequest(1);
+
+      await lendingPlatform.connect(owner).setPriceCircuitBreaker(false);
+      const due = await lendingPlatform.calculateAmountDueEth(0);
+      await lendingPlatform.connect(borrower).repayLoan(0, 0, { value: due + ethers.parseEther("0.01") });
+    });
+
+    it("Should only let the owner configure the fallback feed", async function () {
+      await expect(priceFeed.connect(borrower).setParams(60, 100)).to.be.revertedWith("not owner");
+      await expect(priceFeed.setParams(60, 6000)).to.be.revertedWith("invalid deviation");
+      await expect(
+        priceFeed.setFeeds(ethers.ZeroAddress, await fallbackFeed.getAddress())
+      ).to.be.revertedWith("zero address");
+    });
+  });
+
+  describe("Loan Lens", function () {
+    let loanLens;
+
+    beforeEach(async function () {
+      const LoanLens = await ethers.getContractFactory("LoanLens");
+      loanLens = await LoanLens.deploy(await lendingPlatform.getAddress());
+      await loanLens.waitForDeployment();
+
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("2") });
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("2") });
+      await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
+    });
+
+    it("Should list active loans and pending requests", async function () {
+      const [loanIds, loans, requestIds, requests] = await loanLens.getAllActiveLoans();
+
+      expect(loanIds).to.deep.equal([0n]);
+      expect(loans[0].lender).to.equal(lender.address);
+      expect(loans[0].loanAmount).to.equal(loanAmount);
+      expect(requestIds).to.deep.equal([1n]);
+      expect(requests[0].borrower).to.equal(borrower.address);
+      expect(requests[0].isActive).to.be.true;
+    });
+
+    it("Should list the requests of a borrower", async function () {
+      const [requestIds, requests] = await loanLens.getBorrowerActiveLoans(borrower.address);
+      expect(requestIds).to.deep.equal([0n, 1n]);
+      expect(requests[1].borrower).to.equal(borrower.address);
+
+      const [otherIds] = await loanLens.getBorrowerActiveLoans(lender.address);
+      expect(otherIds).to.deep.equal([]);
+    });
+
+    it("Should serve the full-scan views from the platform through the lens", async function () {
+      await expect(lendingPlatform.getAllActiveLoans()).to.be.revertedWith("Loan lens not set");
+
+      await expect(lendingPlatform.setLoanLens(await loanLens.getAddress()))
+        .to.emit(lendingPlatform, "LoanLensUpdated").withArgs(await loanLens.getAddress());
+      const [loanIds, loans, requestIds] = await lendingPlatform.getAllActiveLoans();
+      expect(loanIds).to.deep.equal([0n]);
+      expect(loans[0].lender).to.equal(lender.address);
+      expect(requestIds).to.deep.equal([1n]);
+
+      const [borrowerIds, requests] = await lendingPlatform.getBorrowerActiveLoans(borrower.address);
+      expect(borrowerIds).to.deep.equal([0n, 1n]);
+      expect(requests[1].borrower).to.equal(borrower.address);
+    });
+
+    describe("Paginated views", function () {
+      const OPEN = 1;
+      const CLOSED = 2;
+
+      beforeEach(async function () {
+        // requests 2 and 3; request 2 is funded as loan 1, which is then repaid
+        await createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("2") });
+        await createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("2") });
+        await lendingPlatform.connect(lender).fundLoanRequest(2, { value: loanAmount });
+        await lendingPlatform.connect(borrower).repayLoan(1, 0, { value: ethers.parseEther("1.1") });
+      });
+
+      it("Should keep the open request and loan indexes up to date", async function () {
+        expect(await lendingPlatform.openRequestCount()).to.equal(2);
+        expect(await lendingPlatform.openLoanCount()).to.equal(1);
+        expect(await lendingPlatform.openLoanIds(0)).to.equal(0);
+
+        await lendingPlatform.connect(borrower).cancelLoanRequest(1);
+        expect(await lendingPlatform.openRequestIds(0)).to.equal(3);
+        expect(await lendingPlatform.openRequestCount()).to.equal(1);
+        expect(await lendingPlatform.getBorrowerRequestIds(borrower.address)).to.deep.equal([0n, 1n, 2n, 3n]);
+      });
+
+      it("Should page through the open requests without the encrypted fields", async function () {
+        const [ids, requests, total] = await loanLens.getOpenRequests(0, 1);
+        expect(total).to.equal(2);
+        expect(ids).to.deep.equal([1n]);
+        expect(requests[0].borrower).to.equal(borrower.address);
+        expect(requests[0].propertyIdCommitment).to.equal(propertyCommitment);
+        expect(requests[0]).to.not.have.property("encryptedCid");
+
+        const [nextIds] = await loanLens.getOpenRequests(1, 1);
+        expect(nextIds).to.deep.equal([3n]);
+        const [pastEnd] = await loanLens.getOpenRequests(5, 10);
+        expect(pastEnd).to.deep.equal([]);
+      });
+
+      it("Should filter account loans and requests by status", async function () {
+        // total is the size of the account index, not the number of matches
+        const [openLoanIds, , openTotal] = await loanLens.getLenderLoans(lender.address, OPEN, 0, 10);
+        expect(openLoanIds).to.deep.equal([0n]);
+        expect(openTotal).to.equal(2);
+        const [closedLoanIds, closedLoans] = await loanLens.getBorrowerLoans(borrower.address, CLOSED, 0, 10);
+        expect(closedLoanIds).to.deep.equal([1n]);
+        expect(closedLoans[0].isRepaid).to.be.true;
+
+        const [requestIds, , requestTotal] = await loanLens.getBorrowerRequests(borrower.address, OPEN, 1, 10);
+        expect(requestTotal).to.equal(4);
+        expect(requestIds).to.deep.equal([1n, 3n]);
+        // the window covers index positions, so the funded request 2 leaves a short page
+        const [windowIds] = await loanLens.getBorrowerRequests(borrower.address, OPEN, 2, 1);
+        expect(windowIds).to.deep.equal([]);
+        const [allIds] = await loanLens.getBorrowerRequests(borrower.address, 0, 0, 3);
+        expect(allIds).to.deep.equal([0n, 1n, 2n]);
+
+        await expect(loanLens.getLenderLoans(lender.address, 3, 0, 10)).to.be.revertedWith("invalid status");
+      });
+
+      it("Should read single entries of the account indexes", async function () {
+        expect(await lendingPlatform.accountIdAt(0, borrower.address, 1)).to.deep.equal([1n, 2n]);
+        expect(await lendingPlatform.accountIdAt(1, lender.address, 0)).to.deep.equal([0n, 2n]);
+        expect(await lendingPlatform.accountIdAt(2, borrower.address, 3)).to.deep.equal([3n, 4n]);
+        expect(await lendingPlatform.accountIdAt(2, borrower.address, 4)).to.deep.equal([0n, 4n]);
+      });
+
+      it("Should read the details of ids listed off-chain", async function () {
+        const requests = await loanLens.getRequestSummaries([3, 2]);
+        expect(requests.length).to.equal(2);
+        expect(requests[0].isActive).to.be.true;
+        expect(requests[1].isActive).to.be.false;
+
+        const loans = await loanLens.getActiveLoans([1, 0]);
+        expect(loans[0].isRepaid).to.be.true;
+        expect(loans[1].lender).to.equal(lender.address);
+        expect(await loanLens.getActiveLoans([])).to.deep.equal([]);
+      });
+    });
+  });
+
+  describe("Roles and Timelock", function () {
+    const DAY = 24 * 60 * 60;
+    let pauser;
+    let timelock;
+
+    async function latestTimestamp() {
+      return (await ethers.provider.getBlock("latest")).timestamp;
+    }
+
+    beforeEach(async function () {
+      [, , , pauser] = await ethers.getSigners();
+      const ParameterTimelock = await ethers.getContractFactory("ParameterTimelock");
+      timelock = await ParameterTimelock.deploy(DAY);
+      const timelockAddress = await timelock.getAddress();
+      await expect(
+        lendingPlatform.connect(owner).setRoles(pauser.address, timelockAddress, timelockAddress)
+      ).to.emit(lendingPlatform, "RolesUpdated").withArgs(pauser.address, timelockAddress, timelockAddress);
+    });
+
+    it("Should split admin actions between the roles", async function () {
+      await expect(lendingPlatform.connect(owner).pause()).to.be.revertedWith("Only pauser");
+      await expect(lendingPlatform.connect(pauser).pause()).to.emit(lendingPlatform, "Paused").withArgs(pauser.address);
+      await lendingPlatform.connect(pauser).unpause();
+
+      await expect(lendingPlatform.connect(owner).updateParams(100, 100, 60)).to.be.revertedWith("Only risk admin");
+      await expect(lendingPlatform.connect(owner).updateOracle(ethers.ZeroAddress)).to.be.revertedWith("Only oracle admin");
+      await expect(
+        lendingPlatform.connect(pauser).setRoles(pauser.address, pauser.address, pauser.address)
+      ).to.be.revertedWith("Only owner");
+      await expect(
+        lendingPlatform.connect(owner).setRoles(pauser.address, ethers.ZeroAddress, pauser.address)
+      ).to.be.revertedWith("zero address");
+    });
+
+    it("Should queue role changes and owner setters once the timelock owns the platform", async function () {
+      const timelockAddress = await timelock.getAddress();
+      const target = await lendingPlatform.getAddress();
+      await expect(lendingPlatform.connect(owner).transferOwnership(timelockAddress))
+        .to.emit(lendingPlatform, "OwnerUpdated").withArgs(owner.address, timelockAddress);
+
+      // the former owner can no longer take the delayed roles back at once
+      await expect(
+        lendingPlatform.connect(owner).setRoles(owner.address, owner.address, owner.address)
+      ).to.be.revertedWith("Only owner");
+      await expect(lendingPlatform.connect(owner).setTreasury(owner.address)).to.be.revertedWith("Only owner");
+      await expect(lendingPlatform.connect(owner).setLoanOffers(owner.address)).to.be.revertedWith("Only owner");
+
+      const data = lendingPlatform.interface.encodeFunctionData("setRoles", [owner.address, owner.address, owner.address]);
+      const eta = (await latestTimestamp()) + DAY + 10;
+      await timelock.queue(target, data, eta);
+      await expect(timelock.execute(target, data, eta)).to.be.revertedWith("too early");
+      await network.provider.send("evm_increaseTime", [DAY + 10]);
+      await network.provider.send("evm_mine");
+      await expect(timelock.execute(target, data, eta))
+        .to.emit(lendingPlatform, "RolesUpdated").withArgs(owner.address, owner.address, owner.address);
+    });
+
+    it("Should queue collateral registry changes once the timelock owns it", async function () {
+      const CollateralRegistry = await ethers.getContractFactory("CollateralRegistry");
+      const registry = await CollateralRegistry.deploy();
+      await registry.transferOwnership(await timelock.getAddress());
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const wbtc = await MockERC20.deploy("Wrapped BTC", "WBTC", 8);
+      const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+      const wbtcFeed = await MockV3Aggregator.deploy(8, 60000n * 10n ** 8n);
+      const args = [await wbtc.getAddress(), false, await wbtcFeed.getAddress(), 7500];
+      await expect(registry.setAsset(...args)).to.be.revertedWith("not owner");
+
+      const target = await registry.getAddress();
+      const data = registry.interface.encodeFunctionData("setAsset", args);
+      const eta = (await latestTimestamp()) + DAY + 10;
+      await timelock.queue(target, data, eta);
+      await network.provider.send("evm_increaseTime", [DAY + 10]);
+      await network.provider.send("evm_mine");
+      await timelock.execute(target, data, eta);
+      expect((await registry.assets(await wbtc.getAddress())).isSupported).to.be.true;
+    });
+
+    it("Should apply a queued change only after the delay", async function () {
+      const data = lendingPlatform.interface.encodeFunctionData("updateParams", [500, 400, 1800]);
+      const target = await lendingPlatform.getAddress();
+      const eta = (await latestTimestamp()) + DAY + 10;
+
+      await expect(timelock.queue(target, data, eta)).to.emit(timelock, "ChangeQueued");
+      await expect(timelock.execute(target, data, eta)).to.be.revertedWith("too early");
+
+      await network.provider.send("evm_increaseTime", [DAY + 10]);
+      await network.provider.send("evm_mine");
+      await expect(timelock.execute(target, data, eta))
+        .to.emit(timelock, "ChangeExecuted")
+        .and.to.emit(lendingPlatform, "ParamsUpdated").withArgs(500, 400, 1800);
+      expect(await lendingPlatform.overdueRepayPenaltyBp()).to.equal(500);
+      await expect(timelock.execute(target, data, eta)).to.be.revertedWith("not queued");
+    });
+
+    it("Should enforce the minimum delay and let the admin cancel", async function () {
+      const data = lendingPlatform.interface.encodeFunctionData("setDemoFixedEthUsdPrice", [ethers.parseEther("1000")]);
+      const target = await lendingPlatform.getAddress();
+      const eta = (await latestTimestamp()) + DAY + 10;
+
+      await expect(timelock.queue(target, data, eta - 20)).to.be.revertedWith("eta before delay");
+      await expect(timelock.connect(borrower).queue(target, data, eta)).to.be.revertedWith("not admin");
+
+      await timelock.queue(target, data, eta);
+      const id = await timelock.changeId(target, data, eta);
+      await expect(timelock.cancel(target, data, eta)).to.emit(timelock, "ChangeCancelled").withArgs(id);
+
+      await network.provider.send("evm_increaseTime", [DAY + 10]);
+      await network.provider.send("evm_mine");
+      await expect(timelock.execute(target, data, eta)).to.be.revertedWith("not queued");
+      expect(await lendingPlatform.demoFixedEthUsdPrice()).to.equal(ethers.parseEther("2000"));
+    });
+
+    it("Should surface the platform's revert reason and change its own delay only through the queue", async function () {
+      const target = await lendingPlatform.getAddress();
+      const badFees = lendingPlatform.interface.encodeFunctionData("setFees", [6000, 0]);
+      const newDelay = timelock.interface.encodeFunctionData("setDelay", [2 * DAY]);
+      const eta = (await latestTimestamp()) + DAY + 10;
+      await timelock.queue(target, badFees, eta);
+      await timelock.queue(await timelock.getAddress(), newDelay, eta);
+
+      await expect(timelock.setDelay(2 * DAY)).to.be.revertedWith("only timelock");
+      await network.provider.send("evm_increaseTime", [DAY + 10]);
+      await network.provider.send("evm_mine");
+
+      await expect(timelock.execute(target, badFees, eta)).to.be.revertedWith("fee too high");
+      await expect(timelock.execute(await timelock.getAddress(), newDelay, eta))
+        .to.emit(timelock, "DelayUpdated").withArgs(2 * DAY);
+      expect(await timelock.delay()).to.equal(2 * DAY);
+    });
+  });
+
+  describe("Event Indexer", function () {
+    async function indexPlatform() {
+      const address = await lendingPlatform.getAddress();
+      const logs = await ethers.provider.getLogs({ address, fromBlock: 0 });
+      const contracts = { [address.toLowerCase()]: { name: "LendingPlatform", contract: lendingPlatform } };
+      return project(await indexLogs(ethers.provider, contracts, logs));
+    }
+
+    it("Should keep repaid, liquidated and cancelled loans in the history", async function () {
+      const stake = ethers.parseEther("2");
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: stake });
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: stake });
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: stake });
+      await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
+      await lendingPlatform.connect(lender).fundLoanRequest(1, { value: loanAmount });
+      await lendingPlatform.connect(borrower).cancelLoanRequest(2);
+
+      const repayTx = await lendingPlatform.connect(borrower).repayLoan(0, 0, { value: ethers.parseEther("1.1") });
+      await network.provider.send("evm_increaseTime", [(duration + 3) * 24 * 60 * 60 + 1]);
+      await network.provider.send("evm_mine");
+      await lendingPlatform.connect(owner).liquidateExpiredLoan(1);
+
+      const state = await indexPlatform();
+      const repaid = state.loans["0"];
+      expect(repaid.status).to.equal("repaid");
+      expect(repaid.closed.txHash).to.equal(repayTx.hash);
+      expect(BigInt(repaid.amountPaid)).to.be.greaterThan(loanAmount);
+      expect(repaid.collateralReturned).to.equal(stake.toString());
+
+      const liquidated = state.loans["1"];
+      expect(liquidated.status).to.equal("liquidated");
+      expect(liquidated.liquidator).to.equal(owner.address);
+      // the lender's share, after the 3% liquidator bonus
+      expect(liquidated.collateralSeized).to.equal(ethers.parseEther("1.94").toString());
+      expect(state.requests["2"].status).to.equal("cancelled");
+
+      const stats = protocolStats(state);
+      expect(stats.loans).to.equal(2);
+      expect(stats.repaidLoans).to.equal(1);
+      expect(stats.liquidatedLoans).to.equal(1);
+      expect(stats.volume[ethers.ZeroAddress]).to.equal((2n * loanAmount).toString());
+
+      const borrowerStats = accountStats(state, borrower.address);
+      expect(borrowerStats.borrower.requests).to.equal(3);
+      expect(borrowerStats.borrower.loanIds).to.deep.equal(["0", "1"]);
+      expect(borrowerStats.lender.loans).to.equal(0);
+      expect(accountStats(state, lender.address).lender.lent[ethers.ZeroAddress]).to.equal((2n * loanAmount).toString());
+    });
+
+    it("Should record the late penalty in a repayment", async function () {
+      await createRequest(borrower, loanAmount, duration, interestRate, { value: ethers.parseEther("2") });
+      await lendingPlatform.connect(lender).fundLoanRequest(0, { value: loanAmount });
+
+      await network.provider.send("evm_increaseTime", [duration * 24 * 60 * 60 + 60]);
+      await network.provider.send("evm_mine");
+      await lendingPlatform.connect(borrower).repayLoan(0, 0, { value: ethers.parseEther("1.2") });
+
+      const penaltyBp = await lendingPlatform.overdueRepayPenaltyBp();
+      const [payment] = await lendingPlatform.queryFilter(lendingPlatform.filters.LoanPayment(0));
+      expect(payment.args.penaltyBp).to.equal(penaltyBp);
+
+      const loan = (await indexPlatform()).loans["0"];
+      expect(loan.payments).to.have.lengthOf(1);
+      expect(loan.payments[0].penaltyBp).to.equal(penaltyBp.toString());
+      expect(BigInt(loan.penaltyPaid)).to.be.greaterThan(0n);
     });
   });
 });
\ No newline at end of file